@@ -11,14 +11,36 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 // Import services
-import { generateVideoFromSummary, generateQuickVideo, generatePremiumVideo, checkPipelineHealth, cleanupVideo } from './services/bookVideoPipeline.js';
+import { generateVideoFromSummary, generateQuickVideo, generatePremiumVideo, generateDialogueVideo, checkPipelineHealth, cleanupVideo } from './services/bookVideoPipeline.js';
 import { generateCharacterDrivenVideo, generateCompletePreview } from './services/videoGenerationService.js';
 import { getAestheticRecommendations, generateSummary } from './services/geminiService.js';
 import { analyzeBook } from './services/bookAnalysis.js';
+import { normalizeMusicVolume } from './services/videoCompilerService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Public URLs for the caption sidecars written next to a video
+ */
+function getCaptionUrls(captionFiles) {
+  if (!captionFiles) return null;
+  return {
+    vtt: `/videos/${path.basename(captionFiles.vttPath)}`,
+    srt: `/videos/${path.basename(captionFiles.srtPath)}`,
+  };
+}
+
+/**
+ * Public URLs for the renditions written next to a video
+ */
+function getRenditionUrls(renditions) {
+  return (renditions || []).map(({ path: filePath, ...rendition }) => ({
+    ...rendition,
+    url: `/videos/${path.basename(filePath)}`,
+  }));
+}
+
 const app = express();
 const PORT = process.env.AI_SERVICE_PORT || 5001;
 
@@ -63,7 +85,15 @@ app.get('/health', async (req, res) => {
  *   "aesthetic": "dark-academia" | "cozy-fantasy" | "paranormal-romance" | etc. (optional),
  *   "voiceType": "male" | "female" | "mysterious" (optional, default: female),
  *   "numImages": 4 (optional, default: 4),
- *   "quality": "quick" | "standard" | "premium" (optional, default: standard)
+ *   "quality": "quick" | "standard" | "premium" | "dialogue" (optional, default: standard;
+ *              dialogue = characters voiced in their own voices, cutting to each speaker's scene),
+ *   "characters": [{ "name", "role", "personality", "description" }] (optional, dialogue cast; extracted from the summary if omitted),
+ *   "transition": "fade" | "dissolve" | "wipe" | "slide" | "zoom" | "circleopen" | ... or one per cut (optional, default: fade),
+ *   "transitionDuration": 0.5 (optional, seconds),
+ *   "burnCaptions": false (optional, burn captions into the video; sidecar captions are always written),
+ *   "music": true (optional, mix a track from the local music library under the narration),
+ *   "musicVolume": 0.35 (optional, 0-1, music level before ducking),
+ *   "renditions": ["portrait", "square", "landscape", "gif", "webp", "poster"] (optional, default: portrait + poster)
  * }
  * 
  * Response:
@@ -78,7 +108,14 @@ app.post('/generate-video', async (req, res) => {
       aesthetic, 
       voiceType, 
       numImages, 
-      quality = 'standard' 
+      quality = 'standard',
+      transition,
+      transitionDuration,
+      burnCaptions = false,
+      music = true,
+      musicVolume,
+      renditions,
+      characters,
     } = req.body;
 
     // Validate required fields
@@ -89,6 +126,16 @@ app.post('/generate-video', async (req, res) => {
       });
     }
 
+    let safeMusicVolume;
+    try {
+      safeMusicVolume = normalizeMusicVolume(musicVolume, null);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid musicVolume',
+        message: error.message,
+      });
+    }
+
     console.log(`\n${'='.repeat(50)}`);
     console.log(`📚 New video generation request`);
     console.log(`📖 Title: ${title || 'Untitled'}`);
@@ -107,6 +154,9 @@ app.post('/generate-video', async (req, res) => {
       case 'premium':
         generateFunc = generatePremiumVideo;
         break;
+      case 'dialogue':
+        generateFunc = generateDialogueVideo;
+        break;
       default:
         generateFunc = generateVideoFromSummary;
     }
@@ -118,6 +168,13 @@ app.post('/generate-video', async (req, res) => {
       aesthetic: aesthetic || 'cinematic',
       voiceType: voiceType || 'female',
       numImages: numImages || 4,
+      transition,
+      transitionDuration,
+      burnCaptions,
+      music,
+      musicVolume: safeMusicVolume,
+      renditions,
+      characters,
     });
 
     if (!result.success) {
@@ -144,6 +201,8 @@ app.post('/generate-video', async (req, res) => {
       res.json({
         success: true,
         videoUrl,
+        captions: getCaptionUrls(result.captionFiles),
+        renditions: getRenditionUrls(result.renditions),
         duration: result.duration,
         metadata: result.metadata,
         message: 'Video generated successfully',
@@ -164,7 +223,7 @@ app.post('/generate-video', async (req, res) => {
  * Streaming endpoint with progress updates via SSE
  */
 app.post('/generate-video-stream', async (req, res) => {
-  const { summary, title, aesthetic, voiceType } = req.body;
+  const { summary, title, aesthetic, voiceType, burnCaptions = false, renditions } = req.body;
 
   if (!summary) {
     return res.status(400).json({ error: 'Summary is required' });
@@ -175,32 +234,44 @@ app.post('/generate-video-stream', async (req, res) => {
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
 
-  const sendProgress = (step, message, progress) => {
-    res.write(`data: ${JSON.stringify({ step, message, progress })}\n\n`);
+  // Stop writing once the client has gone away; the pipeline still finishes
+  let clientClosed = false;
+  req.on('close', () => {
+    clientClosed = true;
+  });
+
+  const sendEvent = (payload) => {
+    if (clientClosed) return;
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  // Only ever move forward, even if parallel stages report out of order
+  let lastProgress = 0;
+  const relayProgress = (event) => {
+    lastProgress = Math.max(lastProgress, event.progress);
+    sendEvent({ ...event, progress: lastProgress });
   };
 
   try {
-    sendProgress(1, 'Preparing narration script...', 10);
-    
-    sendProgress(2, 'Generating images from summary...', 25);
-    
-    sendProgress(3, 'Creating voiceover...', 50);
-    
-    sendProgress(4, 'Compiling video...', 75);
-    
     const result = await generateVideoFromSummary({
       summary,
       title: title || 'Book Preview',
       aesthetic: aesthetic || 'cinematic',
       voiceType: voiceType || 'female',
+      burnCaptions,
+      renditions,
+      onProgress: relayProgress,
     });
 
+    if (clientClosed) return;
+
     if (result.success) {
       const videoUrl = `/videos/${path.basename(result.videoPath)}`;
-      sendProgress(5, 'Complete!', 100);
       res.write(`data: ${JSON.stringify({ 
         complete: true, 
         videoUrl,
+        captions: getCaptionUrls(result.captionFiles),
+        renditions: getRenditionUrls(result.renditions),
         duration: result.duration,
         metadata: result.metadata,
       })}\n\n`);
@@ -1,4 +1,4 @@
-import { generateJsonLike } from './llmClient.js';
+import { generateStructured } from './llmClient.js';
 
 const DEFAULT_TROPES = [
   'enemies-to-lovers',
@@ -14,48 +14,101 @@ const DEFAULT_TROPES = [
   'forbidden-magic',
 ];
 
+const AESTHETICS = [
+  'cozy-fantasy',
+  'dark-academia',
+  'paranormal-romance',
+  'contemporary',
+  'mystery-thriller',
+  'paranormal-cozy',
+  'paranormal-dark',
+];
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'tropes', 'aesthetic', 'vibeCollage'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    tropes: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 8 },
+    aesthetic: { type: 'string', enum: AESTHETICS },
+    vibeCollage: { type: 'string', minLength: 1 },
+  },
+};
+
+const CHARACTERS_SCHEMA = {
+  type: 'object',
+  required: ['characters'],
+  properties: {
+    characters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'archetype', 'description'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          archetype: { type: 'string' },
+          description: { type: 'string' },
+          perspective: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+const PERSPECTIVES_SCHEMA = {
+  type: 'object',
+  required: ['perspectives'],
+  properties: {
+    perspectives: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['character', 'view'],
+        properties: {
+          character: { type: 'string' },
+          view: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+const QUESTIONS_SCHEMA = {
+  type: 'object',
+  required: ['questions'],
+  properties: {
+    questions: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+  },
+};
+
 /**
  * Analyze a book and extract key information
- * Returns: summary, tropes, aesthetic, vibeCollage
+ * Returns: summary, tropes, aesthetic, vibeCollage, source ('llm' or 'fallback')
  */
 export async function analyzeBook(bookData) {
   try {
     const { title, author, description, genres = [] } = bookData;
 
-    const prompt = `Analyze this book and provide structured JSON output:
+    const prompt = `Analyze this book:
 
 Book: "${title}" by ${author}
 Description: ${description}
 Genres: ${genres.join(', ')}
 
-Respond ONLY with valid JSON (no markdown, no explanation):
-{
-  "summary": "2-3 sentence summary of the book's essence",
-  "tropes": ["trope1", "trope2", "trope3", "trope4"],
-  "aesthetic": "one-word aesthetic category like: cozy-fantasy, dark-academia, paranormal-romance, contemporary, mystery-thriller, paranormal-cozy, paranormal-dark",
-  "vibeCollage": "Vivid sensory description of the book's mood, atmosphere, and aesthetic (2-3 sentences with colors, lighting, textures, and emotions)"
-}`;
-
-    const responseText = await generateJsonLike(prompt);
-
-    // Extract JSON from response
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      console.warn('No JSON found in response, using defaults');
-      return getDefaultAnalysis(bookData);
-    }
+- summary: 2-3 sentence summary of the book's essence
+- tropes: 3-5 tropes
+- aesthetic: one of ${AESTHETICS.join(', ')}
+- vibeCollage: vivid sensory description of the book's mood, atmosphere, and aesthetic (2-3 sentences with colors, lighting, textures, and emotions)`;
 
-    const analysis = JSON.parse(jsonMatch[0]);
+    const { data, source } = await generateStructured(prompt, ANALYSIS_SCHEMA, {
+      label: 'Book analysis',
+      fallback: () => getDefaultAnalysis(bookData),
+    });
 
-    return {
-      summary: analysis.summary || 'A compelling story worth reading.',
-      tropes: Array.isArray(analysis.tropes) ? analysis.tropes : [],
-      aesthetic: analysis.aesthetic || 'contemporary',
-      vibeCollage: analysis.vibeCollage || 'A unique reading experience.',
-    };
+    return { ...data, source };
   } catch (error) {
     console.error('Error analyzing book:', error);
-    return getDefaultAnalysis(bookData);
+    return { ...getDefaultAnalysis(bookData), source: 'fallback' };
   }
 }
 
@@ -73,31 +126,19 @@ export async function extractCharacterProfiles(bookData) {
   try {
     const { title, description } = bookData;
 
-    const prompt = `Extract main character profiles from this book description. Respond ONLY with valid JSON:
+    const prompt = `Extract main character profiles from this book description.
 
 Book: "${title}"
 Description: ${description}
 
-{
-  "characters": [
-    {
-      "name": "Character Name",
-      "archetype": "The archetype (e.g., The Hero, The Love Interest, The Mentor)",
-      "description": "Brief description of their role",
-      "perspective": "How this character might describe the book's core message"
-    }
-  ]
-}`;
-
-    const responseText = await generateJsonLike(prompt);
-
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      return { characters: [] };
-    }
+For each character give their name, archetype (e.g., The Hero, The Love Interest, The Mentor),
+a brief description of their role, and a perspective: how they might describe the book's core message.`;
 
-    const analysis = JSON.parse(jsonMatch[0]);
-    return analysis.characters || [];
+    const { data } = await generateStructured(prompt, CHARACTERS_SCHEMA, {
+      label: 'Character extraction',
+      fallback: { characters: [] },
+    });
+    return data.characters;
   } catch (error) {
     console.error('Error extracting characters:', error);
     return [];
@@ -116,24 +157,14 @@ export async function generateAllCharacterPerspectives(bookData) {
 Book: "${title}"
 Description: ${description}
 
-Respond with JSON:
-{
-  "perspectives": [
-    { "character": "The Protagonist", "view": "What they'd say about this story" },
-    { "character": "The Antagonist", "view": "Their perspective" },
-    { "character": "A Supporting Character", "view": "Their perspective" }
-  ]
-}`;
-
-    const responseText = await generateJsonLike(prompt);
+Give one perspective each for The Protagonist, The Antagonist and A Supporting Character:
+what they'd say about this story.`;
 
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      return [];
-    }
-
-    const analysis = JSON.parse(jsonMatch[0]);
-    return analysis.perspectives || [];
+    const { data } = await generateStructured(prompt, PERSPECTIVES_SCHEMA, {
+      label: 'Character perspectives',
+      fallback: { perspectives: [] },
+    });
+    return data.perspectives;
   } catch (error) {
     console.error('Error generating perspectives:', error);
     return [];
@@ -150,22 +181,13 @@ export async function generateDiscussionQuestions(bookData) {
     const prompt = `Generate 4 thoughtful discussion questions for this book. Avoid spoilers.
 
 Book: "${title}"
-Description: ${description}
-
-Respond with JSON:
-{
-  "questions": ["q1", "q2", "q3", "q4"]
-}`;
+Description: ${description}`;
 
-    const responseText = await generateJsonLike(prompt);
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      return getDefaultQuestions(title);
-    }
-
-    const parsed = JSON.parse(jsonMatch[0]);
-    const questions = Array.isArray(parsed.questions) ? parsed.questions : getDefaultQuestions(title);
-    return questions;
+    const { data } = await generateStructured(prompt, QUESTIONS_SCHEMA, {
+      label: 'Discussion questions',
+      fallback: () => ({ questions: getDefaultQuestions(title) }),
+    });
+    return data.questions;
   } catch (error) {
     console.error('Error generating discussion questions:', error);
     return getDefaultQuestions(bookData.title);
@@ -240,41 +262,259 @@ export function findSimilarBooks(targetBook, allBooks = []) {
   return scored.map(({ book }) => book);
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much a shelf entry without a rating says about taste; ratings map 1..5 to -1..1
+const SHELF_STATUS_WEIGHTS = {
+  completed: 0.6,
+  reading: 0.4,
+  want_to_read: 0.25,
+  'to-read': 0.25,
+  abandoned: -0.6,
+};
+
+// Older entries count for less, but never less than half
+const RECENCY_HALF_LIFE_DAYS = 180;
+
+const RECOMMENDATION_WEIGHTS = {
+  similarity: 1,
+  genre: 0.8,
+  trope: 0.6,
+  keyword: 0.4,
+  aesthetic: 0.3,
+  popularity: 0.15,
+};
+
+// How strongly picks that resemble books already picked are held back (0 = no diversity)
+const DIVERSITY_PENALTY = 0.35;
+
+// Every book without a chosen aesthetic has this one, so it says nothing about taste
+const DEFAULT_AESTHETIC = 'cinematic';
+
+function unitVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map((value) => value / norm) : null;
+}
+
+function cosine(a, b) {
+  if (!a?.length || !b?.length || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function shelfWeight(entry, now) {
+  let weight = entry.rating ? (entry.rating - 3) / 2 : SHELF_STATUS_WEIGHTS[entry.status] ?? 0.25;
+  // Abandoning a book outweighs a kind rating of it
+  if (entry.status === 'abandoned') weight = Math.min(weight, SHELF_STATUS_WEIGHTS.abandoned / 2);
+
+  const at = entry.completedDate || entry.updatedAt || entry.createdAt;
+  const ageDays = at ? Math.max(0, (now - new Date(at).getTime()) / DAY_MS) : 0;
+  return weight * (0.5 + 0.5 * 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS));
+}
+
+function topOf(weights, count = 5) {
+  return [...weights]
+    .filter(([, weight]) => weight > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([name, weight]) => ({ name, weight: Math.round(weight * 1000) / 1000 }));
+}
+
+function largestWeight(weights) {
+  return Math.max(...[...weights.values()].map(Math.abs), 0) || 1;
+}
+
 /**
- * Personalized recommendations based on user's read history.
+ * A reader's taste from their shelf: genres, tropes, keywords and aesthetics they
+ * lean towards (or away from), and the average of their books' embedding vectors.
+ * High ratings, finished and recent books count most; low ratings and abandoned books count against.
+ *
+ * @param {Array<object>} shelf - UserBook entries ({ status, rating, completedDate, updatedAt })
+ *   with `book` populated ({ _id, title, genre, keywords, videoAesthetic, tropes?, vector? })
+ * @param {object} options - { now (ms, for recency) }
+ * @returns {{ weights: { genres, tropes, keywords, aesthetics }, vector: number[]|null, sources: Array<object>, summary: object }}
+ *   `sources` are the entries that shaped the profile ({ book, weight, rating, status })
  */
-export function getPersonalizedRecommendations(user, allBooks = []) {
-  if (!user) return [];
+export function buildTasteProfile(shelf = [], options = {}) {
+  const { now = Date.now() } = options;
+  const weights = { genres: new Map(), tropes: new Map(), keywords: new Map(), aesthetics: new Map() };
+  const add = (map, key, weight) => map.set(key, (map.get(key) || 0) + weight);
+  const sources = [];
+  let vector = null;
+
+  for (const entry of shelf) {
+    const { book } = entry;
+    if (!book) continue;
+    const weight = shelfWeight(entry, now);
+    if (!weight) continue;
+
+    normalizeArray([book.genre]).forEach((genre) => add(weights.genres, genre, weight));
+    normalizeArray(book.tropes).forEach((trope) => add(weights.tropes, trope, weight));
+    normalizeArray(book.keywords).forEach((keyword) => add(weights.keywords, keyword, weight));
+    normalizeArray([book.videoAesthetic])
+      .filter((aesthetic) => aesthetic !== DEFAULT_AESTHETIC)
+      .forEach((aesthetic) => add(weights.aesthetics, aesthetic, weight));
+
+    const bookVector = book.vector?.length ? unitVector(book.vector) : null;
+    if (bookVector && (!vector || vector.length === bookVector.length)) {
+      vector = vector || new Array(bookVector.length).fill(0);
+      bookVector.forEach((value, i) => { vector[i] += value * weight; });
+    }
 
-  const readIds = new Set(
-    (user.readBooks || []).map((rb) => rb.bookId?._id?.toString?.() || rb.bookId?.toString?.()).filter(Boolean)
-  );
+    sources.push({ book, weight, rating: entry.rating || null, status: entry.status });
+  }
 
-  const likedTropes = new Set(
-    (user.readBooks || [])
-      .flatMap((rb) => normalizeArray(rb.bookId?.tropes || []))
-  );
+  return {
+    weights,
+    vector: vector && unitVector(vector),
+    sources,
+    summary: {
+      basedOn: sources.length,
+      genres: topOf(weights.genres),
+      tropes: topOf(weights.tropes),
+      keywords: topOf(weights.keywords),
+      aesthetics: topOf(weights.aesthetics, 3),
+    },
+  };
+}
 
-  const preferredAesthetics = new Set(
-    (user.readBooks || [])
-      .map((rb) => (rb.bookId?.aesthetic || '').toLowerCase())
-      .filter(Boolean)
-  );
+// Sum of the profile weights of a book's terms, scaled to -1..1
+function termScore(terms, weights) {
+  const total = terms.reduce((sum, term) => sum + (weights.get(term) || 0), 0);
+  return Math.max(-1, Math.min(1, total / largestWeight(weights)));
+}
 
-  const scored = allBooks
-    .filter((book) => !readIds.has(book._id?.toString()))
-    .map((book) => {
-      const tropes = normalizeArray(book.tropes);
-      const aesthetic = (book.aesthetic || '').toLowerCase();
+// The liked book a candidate most resembles, for "because you rated X 5 stars"
+function findReason(book, profile) {
+  const tropes = new Set([...normalizeArray(book.tropes), ...normalizeArray(book.keywords)]);
+  const genre = normalizeArray([book.genre])[0];
+  let best = null;
+
+  for (const source of profile.sources) {
+    if (source.weight <= 0) continue;
+    const shared = [...normalizeArray(source.book.tropes), ...normalizeArray(source.book.keywords)]
+      .filter((term) => tropes.has(term)).length;
+    const affinity = cosine(book.vector, source.book.vector)
+      + (genre && genre === normalizeArray([source.book.genre])[0] ? 0.3 : 0)
+      + Math.min(shared, 3) * 0.15;
+    const strength = affinity * source.weight;
+    if (affinity >= 0.3 && (!best || strength > best.strength)) best = { source, strength };
+  }
+  return best?.source || null;
+}
 
-      const tropeOverlap = tropes.filter((t) => likedTropes.has(t)).length;
-      const aestheticMatch = preferredAesthetics.has(aesthetic) ? 2 : 0;
+function describeSource({ book, rating, status }) {
+  if (rating) return `Because you rated "${book.title}" ${rating} star${rating === 1 ? '' : 's'}`;
+  if (status === 'completed') return `Because you finished "${book.title}"`;
+  if (status === 'reading') return `Because you're reading "${book.title}"`;
+  return `Because "${book.title}" is on your reading list`;
+}
 
-      const score = tropeOverlap * 1.25 + aestheticMatch;
-      return { book, score };
-    })
-    .filter(({ score }) => score > 0)
-    .sort((a, b) => b.score - a.score);
+function explain(candidate, because, profile) {
+  const { book, matched } = candidate;
+  const reasons = [];
+  if (because) reasons.push(describeSource(because));
+  if (matched.tropes.length) reasons.push(`Has tropes you like: ${matched.tropes.slice(0, 3).map((trope) => trope.replace(/-/g, ' ')).join(', ')}`);
+  if (matched.genre) reasons.push(`You often enjoy ${book.genre}`);
+  if (matched.aesthetic) reasons.push(`Matches the ${book.videoAesthetic.replace(/-/g, ' ')} aesthetic you like`);
+  if (!profile.sources.length || reasons.length === 0) {
+    reasons.push(book.readerCount ? `Popular with readers (${book.readerCount} shelved it)` : 'New on BookTok');
+  }
+  return reasons.slice(0, 3);
+}
 
-  return scored.map(({ book }) => book);
+// 0..1: how alike two picks are (same genre, shared tropes and keywords)
+function redundancy(a, b) {
+  const genreA = normalizeArray([a.genre])[0];
+  const sameGenre = genreA && genreA === normalizeArray([b.genre])[0] ? 0.5 : 0;
+  const termsA = new Set([...normalizeArray(a.tropes), ...normalizeArray(a.keywords)]);
+  const termsB = [...normalizeArray(b.tropes), ...normalizeArray(b.keywords)];
+  const shared = termsB.filter((term) => termsA.has(term)).length;
+  const union = new Set([...termsA, ...termsB]).size;
+  return sameGenre + (union ? 0.5 * (shared / union) : 0);
+}
+
+/**
+ * Score candidate books against a taste profile, then pick a varied list:
+ * each pick is held back by how much it resembles the picks before it.
+ * With an empty profile (nothing shelved) candidates keep their given order,
+ * which should be most popular first.
+ *
+ * @param {object} profile - From buildTasteProfile()
+ * @param {Array<object>} candidates - Books not on the shelf ({ _id, title, genre, keywords, videoAesthetic, readerCount, tropes?, vector? })
+ * @param {object} options - { limit (default 20) }
+ * @returns {Array<{ book, score, reasons: Array<string>, because: { _id, title, rating, status }|null }>}
+ */
+export function getPersonalizedRecommendations(profile, candidates = [], options = {}) {
+  const { limit = 20 } = options;
+  const coldStart = !profile?.sources?.length;
+  const maxReaders = Math.max(...candidates.map((book) => book.readerCount || 0), 1);
+
+  const scored = candidates.map((book, position) => {
+    if (coldStart) {
+      return { book, score: (candidates.length - position) / candidates.length, matched: { tropes: [], genre: false, aesthetic: false } };
+    }
+
+    const { weights } = profile;
+    const genres = normalizeArray([book.genre]);
+    const tropes = normalizeArray(book.tropes);
+    const keywords = normalizeArray(book.keywords);
+    const aesthetics = normalizeArray([book.videoAesthetic]).filter((aesthetic) => aesthetic !== DEFAULT_AESTHETIC);
+
+    const scores = {
+      similarity: Math.max(cosine(profile.vector, book.vector), 0),
+      genre: termScore(genres, weights.genres),
+      trope: termScore(tropes, weights.tropes),
+      keyword: termScore(keywords, weights.keywords),
+      aesthetic: termScore(aesthetics, weights.aesthetics),
+      popularity: Math.log1p(book.readerCount || 0) / Math.log1p(maxReaders),
+    };
+    const score = Object.entries(scores).reduce((sum, [name, value]) => sum + value * RECOMMENDATION_WEIGHTS[name], 0);
+
+    return {
+      book,
+      score,
+      matched: {
+        tropes: [...tropes, ...keywords].filter((term) => (weights.tropes.get(term) || 0) > 0 || (weights.keywords.get(term) || 0) > 0),
+        genre: scores.genre > 0,
+        aesthetic: scores.aesthetic > 0,
+      },
+    };
+  }).filter(({ score }) => score > 0);
+
+  const remaining = scored.sort((a, b) => b.score - a.score);
+  const picks = [];
+  while (picks.length < limit && remaining.length) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+    remaining.forEach((candidate, index) => {
+      const overlap = Math.max(0, ...picks.map((pick) => redundancy(candidate.book, pick.book)));
+      const value = candidate.score * (1 - DIVERSITY_PENALTY * overlap);
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = index;
+      }
+    });
+    picks.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return picks.map((candidate) => {
+    const because = coldStart ? null : findReason(candidate.book, profile);
+    const { vector, ...book } = candidate.book;
+    return {
+      book,
+      score: Math.round(candidate.score * 1000) / 1000,
+      reasons: explain(candidate, because, profile),
+      because: because
+        ? { _id: because.book._id, title: because.book.title, rating: because.rating, status: because.status }
+        : null,
+    };
+  });
 }
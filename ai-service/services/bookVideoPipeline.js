@@ -6,16 +6,23 @@
  * This service orchestrates the entire video generation process:
  * 1. Takes a book summary/prompt from frontend
  * 2. Generates scene images using AI
- * 3. Generates voiceover narration using ElevenLabs (with Google TTS fallback)
+ * 3. Generates voiceover narration through the TTS provider registry (ElevenLabs, Google TTS, offline)
  * 4. Compiles everything into a final video using FFmpeg
  */
 
-import { generateImagesFromSummary, isConfigured as isImageConfigured } from './imageGenerationService.js';
-import { generateSummaryAudio, isConfigured as isVoiceConfigured } from './elevenlabsService.js';
-import { generateSpeech as generateGoogleTTS } from './edgeTtsService.js';
+import { generateImagesFromSummary, generateImagesFromPrompts, isConfigured as isImageConfigured } from './imageGenerationService.js';
+import { synthesizeSpeech, getTTSHealth, getProviderPriority } from './ttsService.js';
+import { synthesizeDialogue } from './dialogueAudioService.js';
+import { extractCharacterProfiles, generateDialogueScript, NARRATOR } from './characterVoiceService.js';
 import { compileVideo, compileVideoWithEffects, getVideoBuffer, deleteVideo, checkFFmpeg } from './videoCompilerService.js';
-import { generateText } from './llmClient.js';
-import axios from 'axios';
+import { generateText, getLLMHealth } from './llmClient.js';
+import { buildCaptionCues } from './captionService.js';
+import { probeMedia, measureLoudness, checkFFprobe } from './mediaProbeService.js';
+import { selectMusicForAesthetic } from './musicSelectionService.js';
+import { pickTrack, hasMusic } from './musicLibraryService.js';
+import { resolveRenditions, getMasterProfile, createRenditions, DEFAULT_RENDITIONS } from './renditionService.js';
+import { withCache, getCacheStats } from './cacheService.js';
+import { recordUsage } from './usageService.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -23,16 +30,38 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
-const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
-
-// Voice IDs for narration
-const NARRATOR_VOICES = {
-  male: 'JBFqnCBsd6RMkjVY3EL8',      // Professional narrator
-  female: 'EXAVITQu4vr4xnSDxMaL',    // Female narrator
-  mysterious: 'nPczCjzI2devNBz1zQrb', // Deep mysterious voice
+// Pipeline stages with the share of overall progress (0-100) each one covers.
+// `step` keeps the numbering the SSE endpoint has always reported.
+const PROGRESS_STAGES = {
+  script: { step: 1, start: 0, end: 10 },
+  'scene-prompts': { step: 2, start: 10, end: 20 },
+  image: { step: 2, start: 20, end: 60 },
+  voiceover: { step: 3, start: 60, end: 70 },
+  encode: { step: 4, start: 70, end: 90 },
+  renditions: { step: 4, start: 90, end: 99 },
+  complete: { step: 5, start: 100, end: 100 },
 };
 
+/**
+ * Build a reporter that maps stage-local progress onto overall pipeline progress
+ * @param {Function} onProgress - Receives { step, stage, message, progress, ...detail }
+ */
+function createProgressReporter(onProgress) {
+  return (stage, message, fraction = 1, detail = {}) => {
+    if (typeof onProgress !== 'function') return;
+
+    const { step, start, end } = PROGRESS_STAGES[stage];
+    const clamped = Math.min(Math.max(fraction, 0), 1);
+    const progress = Math.round(start + (end - start) * clamped);
+
+    try {
+      onProgress({ step, stage, message, progress, ...detail });
+    } catch (error) {
+      console.warn('⚠️ Progress listener threw:', error.message);
+    }
+  };
+}
+
 /**
  * Main pipeline function: Generate video from book summary
  * 
@@ -43,6 +72,15 @@ const NARRATOR_VOICES = {
  * @param {string} params.voiceType - Voice type (male, female, mysterious)
  * @param {number} params.numImages - Number of images/scenes (default 4)
  * @param {boolean} params.useEffects - Use Ken Burns effect (default false)
+ * @param {string|Array} params.transition - Transition between scenes, or one per cut (default 'fade')
+ * @param {number} params.transitionDuration - Transition length in seconds (default 0.5)
+ * @param {boolean} params.captions - Write WebVTT/SRT captions next to the video (default true)
+ * @param {boolean} params.burnCaptions - Burn captions into the video (default false)
+ * @param {boolean} params.music - Mix a background track from the music library under the narration (default true)
+ * @param {number} params.musicVolume - Music bed volume before ducking, 0-1 (default 0.35)
+ * @param {string|Array<string>} params.renditions - Output formats: portrait, square, landscape, gif, webp, poster
+ *   (default portrait + poster). The first video format is the master the others are derived from.
+ * @param {Function} params.onProgress - Optional callback receiving { step, stage, message, progress } per real pipeline stage
  * @returns {Promise<{success: boolean, videoBuffer?: Buffer, videoPath?: string, error?: string}>}
  */
 export async function generateVideoFromSummary(params) {
@@ -53,8 +91,19 @@ export async function generateVideoFromSummary(params) {
     voiceType = 'female',
     numImages = 4,
     useEffects = false,
+    transition = 'fade',
+    transitionDuration = 0.5,
+    captions = true,
+    burnCaptions = false,
+    music = true,
+    musicVolume,
+    renditions = DEFAULT_RENDITIONS,
+    onProgress = null,
   } = params;
 
+  const renditionProfiles = resolveRenditions(renditions);
+  const reportProgress = createProgressReporter(onProgress);
+
   console.log('🎬 Starting video generation pipeline...');
   console.log(`📖 Title: ${title}`);
   console.log(`🎨 Aesthetic: ${aesthetic}`);
@@ -72,46 +121,72 @@ export async function generateVideoFromSummary(params) {
   try {
     // Step 1: Enhance the summary for narration
     console.log('\n📝 Step 1: Preparing narration script...');
+    reportProgress('script', 'Preparing narration script...', 0);
     const narrationScript = await prepareNarrationScript(summary, title);
     console.log(`✅ Narration: "${narrationScript.substring(0, 100)}..."`);
+    reportProgress('script', 'Narration script ready');
 
     // Step 2: Generate images from the summary
     console.log('\n🎨 Step 2: Generating images...');
-    const imageUrls = await generateImagesFromSummary(summary, aesthetic, numImages);
+    reportProgress('scene-prompts', 'Writing scene prompts...', 0);
+    const imageUrls = await generateImagesFromSummary(summary, aesthetic, {
+      onProgress: ({ stage, completed, total }) => {
+        if (stage === 'scene-prompts') {
+          reportProgress('scene-prompts', `Planned ${total} scenes`, 1, { total });
+        } else {
+          reportProgress('image', `Generated image ${completed} of ${total}`, completed / total, { completed, total });
+        }
+      },
+    });
     console.log(`✅ Generated ${imageUrls.length} images`);
 
     // Step 3: Generate voiceover
     console.log('\n🔊 Step 3: Generating voiceover...');
+    reportProgress('voiceover', 'Creating voiceover...', 0);
     const audioResult = await generateVoiceover(narrationScript, voiceType);
-    console.log(`✅ Voiceover generated (${audioResult.duration}s)`);
+    console.log(`✅ Voiceover generated with ${audioResult.provider} (${audioResult.duration}s)`);
     console.log(`   Audio buffer: ${audioResult.audioBuffer ? `${audioResult.audioBuffer.length} bytes` : 'NULL'}`);
+    const audioInfo = await describeAudio(audioResult.audioBuffer);
+    reportProgress('voiceover', 'Voiceover ready');
 
     // Step 4: Compile video
     console.log('\n🎥 Step 4: Compiling video...');
     if (!audioResult.audioBuffer) {
       console.warn('⚠️ WARNING: No audio buffer available!');
     }
-    const compileFunc = useEffects ? compileVideoWithEffects : compileVideo;
-    const videoResult = await compileFunc(imageUrls, audioResult.audioBuffer, {
-      audioDuration: audioResult.duration,
-      resolution: '768x1024', // 3:4 portrait aspect ratio
-    });
-    console.log(`✅ Video compiled: ${videoResult.videoPath}`);
-
-    // Step 5: Read video buffer for response
-    const videoBuffer = await getVideoBuffer(videoResult.videoPath);
+    const captionCues = captions || burnCaptions
+      ? buildCaptionCues(narrationScript, audioResult.duration)
+      : null;
+    const { videoResult, videoBuffer, renditionFiles, musicTrack } = await assembleVideo(imageUrls, audioResult, {
+      title,
+      aesthetic,
+      useEffects,
+      transition,
+      transitionDuration,
+      captionCues,
+      burnCaptions,
+      music,
+      musicVolume,
+      renditionProfiles,
+    }, reportProgress);
 
     return {
       success: true,
       videoPath: videoResult.videoPath,
       videoBuffer,
       duration: videoResult.duration,
+      captionFiles: videoResult.captionFiles || null,
+      renditions: renditionFiles,
       metadata: {
         title,
         aesthetic,
         narration: narrationScript,
         imageCount: imageUrls.length,
         sessionId: videoResult.sessionId,
+        voiceProvider: audioResult.provider,
+        audio: audioInfo,
+        video: videoResult.media?.video || null,
+        music: describeMusic(musicTrack),
       },
     };
   } catch (error) {
@@ -123,6 +198,288 @@ export async function generateVideoFromSummary(params) {
   }
 }
 
+/**
+ * Dialogue trailer: the LLM writes a multi-speaker script, every line is voiced
+ * with its character's own voice, and the picture cuts to that speaker's scene
+ * image while they talk.
+ *
+ * Takes the same params as generateVideoFromSummary, plus:
+ * @param {Array<object>} params.characters - Cast ({ name, role, personality, description });
+ *   extracted from the summary when omitted
+ * @param {number} params.linePause - Silence between lines in seconds (default 0.4)
+ * Falls back to the narrated trailer when fewer than two characters or lines come back.
+ */
+export async function generateDialogueVideo(params) {
+  const {
+    summary,
+    title = 'Book Preview',
+    aesthetic = 'cinematic',
+    characters = null,
+    linePause,
+    useEffects = false,
+    transition = 'fade',
+    transitionDuration = 0.3,
+    captions = true,
+    burnCaptions = false,
+    music = true,
+    musicVolume,
+    renditions = DEFAULT_RENDITIONS,
+    onProgress = null,
+  } = params;
+
+  const renditionProfiles = resolveRenditions(renditions);
+  const reportProgress = createProgressReporter(onProgress);
+
+  console.log('🎭 Starting dialogue trailer pipeline...');
+  console.log(`📖 Title: ${title}`);
+
+  const ffmpegAvailable = await checkFFmpeg();
+  if (!ffmpegAvailable) {
+    return {
+      success: false,
+      error: 'FFmpeg is not installed or not available in PATH. Please install FFmpeg to generate videos.',
+    };
+  }
+
+  try {
+    // Step 1: Cast and script
+    console.log('\n📝 Step 1: Writing dialogue script...');
+    reportProgress('script', 'Finding the cast...', 0);
+    const bookData = { title, description: summary, aesthetic };
+    const cast = (characters?.length ? characters : await extractCharacterProfiles(bookData))
+      .filter((character) => character?.name && character.name !== NARRATOR)
+      .slice(0, 4);
+
+    reportProgress('script', 'Writing dialogue...', 0.5);
+    const lines = cast.length >= 2 ? await generateDialogueScript(bookData, cast) : [];
+    if (lines.filter((line) => line.speaker !== NARRATOR).length < 2) {
+      console.warn('⚠️ Not enough characters or dialogue for a dialogue trailer, using narration instead');
+      return generateVideoFromSummary({ ...params, onProgress });
+    }
+    reportProgress('script', `Dialogue ready (${lines.length} lines)`);
+
+    // Only voice and picture the speakers that actually have lines
+    const speakers = [NARRATOR, ...cast.map((c) => c.name)].filter((name) => lines.some((line) => line.speaker === name));
+    const speakerCast = speakers.map((name) => cast.find((c) => c.name === name) || { name: NARRATOR, role: 'narrator' });
+
+    // Step 2: One scene image per speaker
+    console.log('\n🎨 Step 2: Generating speaker scenes...');
+    reportProgress('scene-prompts', 'Planned speaker scenes', 1, { total: speakerCast.length });
+    const speakerImages = await generateImagesFromPrompts(
+      speakerCast.map((member) => buildSpeakerScenePrompt(member, bookData)),
+      aesthetic,
+      {
+        onProgress: ({ completed, total }) => {
+          reportProgress('image', `Generated image ${completed} of ${total}`, completed / total, { completed, total });
+        },
+      }
+    );
+    const fallbackImage = speakerImages.find(Boolean);
+    if (!fallbackImage) {
+      throw new Error('No scene images were generated');
+    }
+    const imageBySpeaker = new Map(speakers.map((name, i) => [name, speakerImages[i] || fallbackImage]));
+
+    // Step 3: Voice every line with its speaker's voice
+    console.log('\n🔊 Step 3: Voicing dialogue...');
+    reportProgress('voiceover', 'Voicing dialogue...', 0);
+    const dialogue = await synthesizeDialogue(lines, speakerCast, {
+      aesthetic,
+      ...(linePause !== undefined && { pause: linePause }),
+      onLine: ({ completed, total }) => {
+        reportProgress('voiceover', `Voiced line ${completed} of ${total}`, completed / total, { completed, total });
+      },
+    });
+    console.log(`✅ Dialogue voiced with ${dialogue.provider} (${dialogue.duration}s)`);
+    const audioInfo = await describeAudio(dialogue.audioBuffer);
+
+    // Step 4: Cut to the speaker's image for each line
+    console.log('\n🎥 Step 4: Compiling video...');
+    const imageUrls = dialogue.timeline.map((line) => imageBySpeaker.get(line.speaker));
+    const clipTimeline = dialogue.timeline.map((line, i) => {
+      const next = dialogue.timeline[i + 1];
+      return (next ? next.start : dialogue.duration) - line.start;
+    });
+    const captionCues = captions || burnCaptions ? buildDialogueCaptionCues(dialogue.timeline) : null;
+
+    const { videoResult, videoBuffer, renditionFiles, musicTrack } = await assembleVideo(imageUrls, dialogue, {
+      title,
+      aesthetic,
+      useEffects,
+      transition,
+      transitionDuration,
+      captionCues,
+      burnCaptions,
+      music,
+      musicVolume,
+      renditionProfiles,
+      clipTimeline,
+    }, reportProgress);
+
+    return {
+      success: true,
+      videoPath: videoResult.videoPath,
+      videoBuffer,
+      duration: videoResult.duration,
+      captionFiles: videoResult.captionFiles || null,
+      renditions: renditionFiles,
+      metadata: {
+        title,
+        aesthetic,
+        mode: 'dialogue',
+        script: dialogue.timeline,
+        cast: dialogue.cast.map(({ name, role, assignedVoice }) => ({ name, role, voice: assignedVoice })),
+        imageCount: imageUrls.length,
+        sessionId: videoResult.sessionId,
+        voiceProvider: dialogue.provider,
+        audio: audioInfo,
+        video: videoResult.media?.video || null,
+        music: describeMusic(musicTrack),
+      },
+    };
+  } catch (error) {
+    console.error('❌ Dialogue pipeline error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to generate dialogue trailer',
+    };
+  }
+}
+
+function buildSpeakerScenePrompt(member, bookData) {
+  if (member.name === NARRATOR) {
+    return `Establishing shot of the world of "${bookData.title}": ${bookData.description.substring(0, 200)}`;
+  }
+  const details = [member.description, member.personality].filter(Boolean).join('; ');
+  return `A scene centred on ${member.name}${details ? ` (${details})` : ''} from "${bookData.title}", mid-conversation, expressive pose, face partly in shadow`;
+}
+
+/**
+ * Caption cues for each voiced line, placed at the time the line is spoken
+ */
+function buildDialogueCaptionCues(timeline) {
+  const cues = timeline.flatMap((line) =>
+    buildCaptionCues(line.text, line.end - line.start).map((cue) => ({
+      ...cue,
+      start: Math.round((cue.start + line.start) * 1000) / 1000,
+      end: Math.round((cue.end + line.start) * 1000) / 1000,
+    }))
+  );
+  return cues.map((cue, i) => ({ ...cue, index: i + 1 }));
+}
+
+/**
+ * Steps shared by every trailer mode: compile images + audio into the master video,
+ * then derive the requested renditions from it
+ */
+async function assembleVideo(imageUrls, audioResult, options, reportProgress) {
+  const {
+    title,
+    aesthetic,
+    useEffects,
+    transition,
+    transitionDuration,
+    captionCues,
+    burnCaptions,
+    music,
+    musicVolume,
+    renditionProfiles,
+    clipTimeline = null,
+  } = options;
+
+  const masterProfile = getMasterProfile(renditionProfiles);
+  reportProgress('encode', 'Compiling video...', 0, { percent: 0 });
+
+  const musicTrack = music ? await chooseMusicTrack(title, aesthetic) : null;
+  const compileFunc = useEffects ? compileVideoWithEffects : compileVideo;
+  const videoResult = await compileFunc(imageUrls, audioResult.audioBuffer, {
+    audioDuration: audioResult.duration,
+    resolution: `${masterProfile.width}x${masterProfile.height}`,
+    transition,
+    transitionDuration,
+    captions: captionCues,
+    burnCaptions,
+    aesthetic,
+    music: musicTrack ? { path: musicTrack.path, volume: musicVolume } : null,
+    clipTimeline,
+    onProgress: ({ percent }) => {
+      reportProgress('encode', `Encoding video (${percent}%)`, percent / 100, { percent });
+    },
+  });
+  console.log(`✅ Video compiled: ${videoResult.videoPath}`);
+
+  reportProgress('renditions', 'Rendering output formats...', 0);
+  const renditionFiles = await createRenditions(videoResult.videoPath, renditionProfiles, {
+    duration: videoResult.duration,
+    onProgress: ({ completed, total, name }) => {
+      reportProgress('renditions', `Rendered ${name} (${completed} of ${total})`, completed / total, { completed, total });
+    },
+  });
+  console.log(`✅ Renditions: ${renditionFiles.map((r) => r.name).join(', ')}`);
+
+  // Step 5: Read video buffer for response
+  const videoBuffer = await getVideoBuffer(videoResult.videoPath);
+  reportProgress('complete', 'Complete!');
+
+  return { videoResult, videoBuffer, renditionFiles, musicTrack };
+}
+
+/**
+ * Attribution for the music bed, if one was used
+ */
+function describeMusic(track) {
+  return track ? {
+    id: track.id,
+    title: track.title,
+    artist: track.artist,
+    license: track.license,
+  } : null;
+}
+
+/**
+ * Pick a library track for the book's aesthetic, or null when the library is empty
+ */
+async function chooseMusicTrack(title, aesthetic) {
+  try {
+    if (!(await hasMusic())) return null;
+
+    const selection = await selectMusicForAesthetic({ title, aesthetic });
+    const track = await pickTrack(selection, { aesthetic, seed: title });
+    if (track) {
+      console.log(`🎵 Music: "${track.title}"${track.artist ? ` by ${track.artist}` : ''}`);
+    }
+    return track;
+  } catch (error) {
+    console.warn('⚠️ Music selection failed, continuing without music:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Codec and loudness of the generated voiceover, for pipeline metadata
+ */
+async function describeAudio(audioBuffer) {
+  if (!audioBuffer) return null;
+
+  try {
+    const [media, loudness] = await Promise.all([
+      probeMedia(audioBuffer),
+      measureLoudness(audioBuffer).catch(() => null),
+    ]);
+
+    return {
+      duration: media.duration,
+      codec: media.audio?.codec || null,
+      sampleRate: media.audio?.sampleRate || null,
+      channels: media.audio?.channels || null,
+      loudness,
+    };
+  } catch (error) {
+    console.warn('⚠️ Could not probe voiceover:', error.message);
+    return null;
+  }
+}
+
 /**
  * Prepare narration script from summary
  */
@@ -157,68 +514,28 @@ Respond ONLY with the narration text, nothing else.`;
 }
 
 /**
- * Generate voiceover audio using ElevenLabs (with Google TTS fallback)
+ * Generate voiceover audio with the TTS provider registry
+ * (ElevenLabs → Google TTS → offline engine by default, see TTS_PROVIDERS).
+ * Cached, so regenerating a book with the same narration reuses the audio.
  */
 async function generateVoiceover(text, voiceType = 'female') {
-  // Try ElevenLabs first if configured
-  if (ELEVENLABS_API_KEY) {
-    const voiceId = NARRATOR_VOICES[voiceType] || NARRATOR_VOICES.female;
+  // Keyed by the provider order too, so changing TTS_PROVIDERS re-synthesizes
+  let fresh = false;
+  const result = await withCache(
+    'tts',
+    { provider: getProviderPriority().join(','), prompt: text, params: { voiceType } },
+    () => {
+      fresh = true;
+      return synthesizeSpeech(text, { voiceType });
+    },
+    { shouldCache: (value) => value?.audioBuffer?.length > 0 }
+  );
 
-    try {
-      console.log('🎤 Trying ElevenLabs TTS...');
-      const response = await axios.post(
-        `${ELEVENLABS_API_URL}/text-to-speech/${voiceId}`,
-        {
-          text,
-          model_id: 'eleven_multilingual_v2',
-          voice_settings: {
-            stability: 0.5,
-            similarity_boost: 0.75,
-          },
-        },
-        {
-          headers: {
-            'xi-api-key': ELEVENLABS_API_KEY,
-            'Content-Type': 'application/json',
-          },
-          responseType: 'arraybuffer',
-          timeout: 60000,
-        }
-      );
-
-      const audioBuffer = Buffer.from(response.data);
-      const duration = calculateSpeakingDuration(text);
-      console.log('✅ ElevenLabs TTS successful');
-
-      return {
-        audioBuffer,
-        duration,
-      };
-    } catch (error) {
-      console.warn('⚠️ ElevenLabs failed:', error.response?.status || error.message);
-      console.log('🔄 Falling back to Google TTS...');
-    }
-  }
-
-  // Fallback to Google TTS (free, no API key needed)
-  try {
-    console.log('🎤 Using Google TTS (free)...');
-    const result = await generateGoogleTTS(text, voiceType);
-    console.log('✅ Google TTS successful');
-    return result;
-  } catch (error) {
-    console.error('❌ Google TTS error:', error.message);
-    throw new Error('All TTS services failed: ' + error.message);
+  // Fresh synthesis is metered by the TTS registry itself
+  if (!fresh) {
+    recordUsage({ kind: 'tts', provider: result.provider, model: voiceType, characters: text.length, cached: true });
   }
-}
-
-/**
- * Calculate approximate speaking duration
- */
-function calculateSpeakingDuration(text) {
-  const wordCount = text.split(/\s+/).length;
-  const wordsPerSecond = 2.5; // Average speaking rate
-  return Math.ceil(wordCount / wordsPerSecond);
+  return result;
 }
 
 /**
@@ -247,12 +564,18 @@ export async function generatePremiumVideo(params) {
  * Check pipeline health
  */
 export async function checkPipelineHealth() {
-  const ffmpegAvailable = await checkFFmpeg();
+  const [ffmpegAvailable, ffprobeAvailable, ttsProviders] = await Promise.all([checkFFmpeg(), checkFFprobe(), getTTSHealth()]);
+  const llmProviders = getLLMHealth();
   
   return {
     ffmpeg: ffmpegAvailable,
+    ffprobe: ffprobeAvailable, // Without it, durations fall back to word-count estimates
     imageGeneration: isImageConfigured(),
-    voiceGeneration: isVoiceConfigured(),
+    voiceGeneration: ttsProviders.some((provider) => provider.enabled && provider.configured),
+    ttsProviders, // Per-provider configuration, capabilities and last error
+    textGeneration: llmProviders.some((provider) => provider.enabled && provider.configured),
+    llmProviders,
+    cache: getCacheStats(), // Backend, TTLs and hit rate per namespace
     ready: ffmpegAvailable, // Minimum requirement is FFmpeg
   };
 }
@@ -0,0 +1,285 @@
+/**
+ * Cache Service
+ * Content-addressed cache for paid generation calls (LLM text, images, TTS).
+ *
+ * Entries are keyed by a hash of { provider, model, prompt, params }, so the
+ * same request to the same model is only paid for once per TTL.
+ *
+ * Backends (CACHE_BACKEND):
+ * - disk  (default) JSON files under CACHE_DIR (ai-service/temp/cache)
+ * - mongo a collection in CACHE_MONGO_URI (defaults to MONGO_URI)
+ * - none  caching disabled
+ *
+ * TTLs in seconds per namespace: CACHE_TTL_LLM, CACHE_TTL_IMAGE, CACHE_TTL_TTS, CACHE_TTL_EMBEDDING.
+ * Images that come back as provider URLs rather than data URLs expire with the URL: CACHE_TTL_IMAGE_URL.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CACHE_BACKEND = (process.env.CACHE_BACKEND || 'disk').toLowerCase();
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '..', 'temp', 'cache');
+const CACHE_MONGO_URI = process.env.CACHE_MONGO_URI || process.env.MONGO_URI;
+const CACHE_COLLECTION = 'ai_cache';
+
+const DAY = 24 * 60 * 60;
+
+// Default time to live per namespace, in seconds
+const TTLS = {
+  llm: parseInt(process.env.CACHE_TTL_LLM || String(7 * DAY), 10),
+  image: parseInt(process.env.CACHE_TTL_IMAGE || String(30 * DAY), 10),
+  tts: parseInt(process.env.CACHE_TTL_TTS || String(30 * DAY), 10),
+  embedding: parseInt(process.env.CACHE_TTL_EMBEDDING || String(30 * DAY), 10),
+  // Hosted image URLs are signed for about an hour, so stop serving them well before that
+  imageUrl: parseInt(process.env.CACHE_TTL_IMAGE_URL || '2700', 10),
+};
+
+// Hit/miss counters per namespace since startup, reported by getCacheStats()
+const metrics = new Map();
+
+function getMetrics(namespace) {
+  if (!metrics.has(namespace)) {
+    metrics.set(namespace, { hits: 0, misses: 0, writes: 0, errors: 0 });
+  }
+  return metrics.get(namespace);
+}
+
+/**
+ * Cache key for a request
+ * @param {object} parts - { provider, model, prompt, params }
+ * @returns {string} sha256 hex digest
+ */
+export function getCacheKey({ provider = null, model = null, prompt = '', params = {} }) {
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify({ provider, model, prompt, params }))
+    .digest('hex');
+}
+
+/**
+ * JSON with object keys sorted, so equal params always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Buffers (TTS audio) survive the round trip through JSON as base64
+function serialize(value) {
+  // `this[key]` is the value before Buffer#toJSON turns it into a byte array
+  return JSON.stringify(value, function replacer(key, item) {
+    return Buffer.isBuffer(this[key]) ? { __buffer: this[key].toString('base64') } : item;
+  });
+}
+
+function deserialize(text) {
+  return JSON.parse(text, (key, item) => (
+    item && typeof item === 'object' && typeof item.__buffer === 'string'
+      ? Buffer.from(item.__buffer, 'base64')
+      : item
+  ));
+}
+
+const diskBackend = {
+  name: 'disk',
+
+  entryPath(namespace, key) {
+    return path.join(CACHE_DIR, namespace, `${key}.json`);
+  },
+
+  async get(namespace, key) {
+    const entryPath = this.entryPath(namespace, key);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(entryPath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+
+    if (entry.expiresAt && new Date(entry.expiresAt) <= new Date()) {
+      await fs.unlink(entryPath).catch(() => {});
+      return undefined;
+    }
+    return deserialize(entry.value);
+  },
+
+  async set(namespace, key, value, ttl) {
+    const entryPath = this.entryPath(namespace, key);
+    await fs.mkdir(path.dirname(entryPath), { recursive: true });
+
+    // Write then rename so a concurrent reader never sees half an entry
+    const tempPath = `${entryPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({
+      key,
+      namespace,
+      createdAt: new Date(),
+      expiresAt: ttl ? new Date(Date.now() + ttl * 1000) : null,
+      value: serialize(value),
+    }));
+    await fs.rename(tempPath, entryPath);
+  },
+
+  async clear(namespace) {
+    await fs.rm(namespace ? path.join(CACHE_DIR, namespace) : CACHE_DIR, { recursive: true, force: true });
+  },
+};
+
+const mongoBackend = {
+  name: 'mongo',
+  collectionPromise: null,
+
+  collection() {
+    if (!this.collectionPromise) {
+      this.collectionPromise = (async () => {
+        if (!CACHE_MONGO_URI) throw new Error('CACHE_BACKEND=mongo needs CACHE_MONGO_URI or MONGO_URI');
+
+        const { MongoClient } = await import('mongodb');
+        const client = await new MongoClient(CACHE_MONGO_URI).connect();
+        const collection = client.db().collection(CACHE_COLLECTION);
+        // Mongo drops entries on its own once expiresAt has passed
+        await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        return collection;
+      })().catch((error) => {
+        this.collectionPromise = null;
+        throw error;
+      });
+    }
+    return this.collectionPromise;
+  },
+
+  async get(namespace, key) {
+    const collection = await this.collection();
+    const entry = await collection.findOne({ _id: key, namespace });
+
+    // The TTL monitor only runs once a minute
+    if (!entry || (entry.expiresAt && entry.expiresAt <= new Date())) return undefined;
+    return deserialize(entry.value);
+  },
+
+  async set(namespace, key, value, ttl) {
+    const collection = await this.collection();
+    await collection.replaceOne(
+      { _id: key },
+      {
+        namespace,
+        createdAt: new Date(),
+        expiresAt: ttl ? new Date(Date.now() + ttl * 1000) : null,
+        value: serialize(value),
+      },
+      { upsert: true }
+    );
+  },
+
+  async clear(namespace) {
+    const collection = await this.collection();
+    await collection.deleteMany(namespace ? { namespace } : {});
+  },
+};
+
+const BACKENDS = { disk: diskBackend, mongo: mongoBackend };
+
+function getBackend() {
+  if (CACHE_BACKEND === 'none') return null;
+  if (!BACKENDS[CACHE_BACKEND]) {
+    console.warn(`⚠️ Unknown CACHE_BACKEND "${CACHE_BACKEND}", caching disabled`);
+    return null;
+  }
+  return BACKENDS[CACHE_BACKEND];
+}
+
+/**
+ * Return the cached result for a request, or compute and cache it.
+ * Cache errors never fail the call: a broken backend just means a miss.
+ *
+ * @template T
+ * @param {string} namespace - 'llm' | 'image' | 'tts' | 'embedding' (picks the default TTL)
+ * @param {object} keyParts - { provider, model, prompt, params } (see getCacheKey)
+ * @param {() => Promise<T>} compute - Makes the real call on a miss
+ * @param {object} options - { ttl (seconds, or value => seconds), shouldCache (value => boolean, default: value is not null/empty) }
+ * @returns {Promise<T>}
+ */
+export async function withCache(namespace, keyParts, compute, options = {}) {
+  const backend = getBackend();
+  if (!backend) return compute();
+
+  const { ttl = TTLS[namespace] ?? DAY, shouldCache = (value) => value !== null && value !== undefined && value !== '' } = options;
+  const key = getCacheKey(keyParts);
+  const stats = getMetrics(namespace);
+
+  try {
+    const cached = await backend.get(namespace, key);
+    if (cached !== undefined) {
+      stats.hits++;
+      console.log(`💾 Cache hit (${namespace} ${key.slice(0, 12)})`);
+      return cached;
+    }
+  } catch (error) {
+    stats.errors++;
+    console.warn(`⚠️ Cache read failed (${namespace}):`, error.message);
+  }
+
+  stats.misses++;
+  const value = await compute();
+
+  if (shouldCache(value)) {
+    try {
+      await backend.set(namespace, key, value, typeof ttl === 'function' ? ttl(value) : ttl);
+      stats.writes++;
+    } catch (error) {
+      stats.errors++;
+      console.warn(`⚠️ Cache write failed (${namespace}):`, error.message);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Default TTL of a namespace, in seconds
+ */
+export function getCacheTtl(namespace) {
+  return TTLS[namespace] ?? DAY;
+}
+
+/**
+ * Remove cached entries for one namespace, or everything
+ */
+export async function clearCache(namespace = null) {
+  const backend = getBackend();
+  if (backend) await backend.clear(namespace);
+}
+
+/**
+ * Backend, TTLs and hit/miss counts per namespace since startup
+ */
+export function getCacheStats() {
+  const namespaces = {};
+  for (const [namespace, stats] of metrics) {
+    const lookups = stats.hits + stats.misses;
+    namespaces[namespace] = { ...stats, hitRate: lookups ? Math.round((stats.hits / lookups) * 1000) / 1000 : null };
+  }
+
+  return {
+    backend: getBackend()?.name || 'none',
+    ttls: TTLS,
+    namespaces,
+  };
+}
+
+export default {
+  getCacheKey,
+  withCache,
+  getCacheTtl,
+  clearCache,
+  getCacheStats,
+};
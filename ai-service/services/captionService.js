@@ -0,0 +1,209 @@
+/**
+ * Caption Service
+ * Builds time-aligned caption cues from the narration script and
+ * formats them as WebVTT / SRT or as an FFmpeg burn-in style
+ */
+
+import fs from 'fs/promises';
+
+// Keep cues short enough to read on a phone at a glance
+const MAX_WORDS_PER_CUE = 7;
+const MAX_CHARS_PER_CUE = 42;
+
+// Extra reading weight (in characters) for the pause after a sentence
+const SENTENCE_PAUSE_WEIGHT = 6;
+
+// Burn-in styles per aesthetic. Colors are #RRGGBB.
+const CAPTION_STYLES = {
+  'dark-academia': { fontName: 'Georgia', fontSize: 20, primaryColor: '#F3E5C8', outlineColor: '#1B140F', outline: 2, bold: false },
+  'paranormal-romance': { fontName: 'Palatino Linotype', fontSize: 20, primaryColor: '#FBE3F2', outlineColor: '#3A0F35', outline: 2, bold: false },
+  'paranormal-cozy': { fontName: 'Trebuchet MS', fontSize: 20, primaryColor: '#FFF4D6', outlineColor: '#5A3410', outline: 2, bold: true },
+  'paranormal-dark': { fontName: 'Georgia', fontSize: 20, primaryColor: '#E8E8E8', outlineColor: '#2B0000', outline: 3, bold: true },
+  'cozy-fantasy': { fontName: 'Trebuchet MS', fontSize: 20, primaryColor: '#FFF8E1', outlineColor: '#4E3B1F', outline: 2, bold: true },
+  'contemporary': { fontName: 'Arial', fontSize: 20, primaryColor: '#FFFFFF', outlineColor: '#000000', outline: 2, bold: true },
+  'mystery-thriller': { fontName: 'Courier New', fontSize: 19, primaryColor: '#F5F5F5', outlineColor: '#0A0A0A', outline: 2, bold: true },
+  'romantasy': { fontName: 'Palatino Linotype', fontSize: 20, primaryColor: '#FFEFF6', outlineColor: '#4A1A3A', outline: 2, bold: false },
+  'cinematic': { fontName: 'Arial', fontSize: 20, primaryColor: '#FFFFFF', outlineColor: '#000000', outline: 2, bold: true },
+};
+
+/**
+ * Split narration into caption cues spread across the audio duration
+ * Time is shared out by text length, so longer phrases stay on screen longer.
+ *
+ * @param {string} text - Narration script
+ * @param {number} duration - Narration length in seconds
+ * @returns {Array<{index: number, start: number, end: number, text: string}>}
+ */
+export function buildCaptionCues(text, duration) {
+  const phrases = splitIntoPhrases(text);
+  if (phrases.length === 0 || !duration) return [];
+
+  const weights = phrases.map(({ text: phrase, endsSentence }) =>
+    phrase.length + (endsSentence ? SENTENCE_PAUSE_WEIGHT : 0)
+  );
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  let elapsed = 0;
+  return phrases.map(({ text: phrase }, i) => {
+    const start = elapsed;
+    elapsed += (weights[i] / totalWeight) * duration;
+    return {
+      index: i + 1,
+      start: round(start),
+      end: round(i === phrases.length - 1 ? duration : elapsed),
+      text: phrase,
+    };
+  });
+}
+
+/**
+ * Break text into sentences, then into phrases short enough for one cue
+ */
+function splitIntoPhrases(text) {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  if (!normalized) return [];
+
+  const sentences = normalized.match(/[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)/g) || [normalized];
+  const phrases = [];
+
+  sentences.map((s) => s.trim()).filter(Boolean).forEach((sentence) => {
+    const parts = fitsInCue(sentence)
+      ? [sentence]
+      : sentence.split(/(?<=[,;:—–])\s+/).flatMap(chunkByWords);
+
+    parts.forEach((part, i) => {
+      phrases.push({ text: part, endsSentence: i === parts.length - 1 });
+    });
+  });
+
+  return phrases;
+}
+
+function fitsInCue(text) {
+  return text.split(' ').length <= MAX_WORDS_PER_CUE && text.length <= MAX_CHARS_PER_CUE;
+}
+
+/**
+ * Split a phrase into evenly sized word groups that each fit in a cue
+ */
+function chunkByWords(phrase) {
+  if (fitsInCue(phrase)) return [phrase];
+
+  const words = phrase.split(' ');
+  const chunkCount = Math.max(
+    Math.ceil(words.length / MAX_WORDS_PER_CUE),
+    Math.ceil(phrase.length / MAX_CHARS_PER_CUE)
+  );
+  const size = Math.ceil(words.length / chunkCount);
+
+  const chunks = [];
+  for (let i = 0; i < words.length; i += size) {
+    chunks.push(words.slice(i, i + size).join(' '));
+  }
+  return chunks;
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Format seconds as HH:MM:SS.mmm (VTT) or HH:MM:SS,mmm (SRT)
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, len = 2) => String(n).padStart(len, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Render cues as a WebVTT document
+ */
+export function toWebVTT(cues) {
+  const body = cues.map((cue) =>
+    `${cue.index}\n${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}`
+  ).join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Render cues as an SRT document
+ */
+export function toSRT(cues) {
+  return cues.map((cue) =>
+    `${cue.index}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}`
+  ).join('\n\n') + '\n';
+}
+
+/**
+ * Write .vtt and .srt files sharing a base path (e.g. next to the MP4)
+ * @param {Array} cues - Output of buildCaptionCues()
+ * @param {string} basePath - Path without extension
+ * @returns {Promise<{vttPath: string, srtPath: string}>}
+ */
+export async function writeCaptionFiles(cues, basePath) {
+  const vttPath = `${basePath}.vtt`;
+  const srtPath = `${basePath}.srt`;
+
+  await Promise.all([
+    fs.writeFile(vttPath, toWebVTT(cues), 'utf-8'),
+    fs.writeFile(srtPath, toSRT(cues), 'utf-8'),
+  ]);
+
+  return { vttPath, srtPath };
+}
+
+/**
+ * Get the burn-in style for an aesthetic
+ */
+export function getCaptionStyle(aesthetic) {
+  return CAPTION_STYLES[aesthetic] || CAPTION_STYLES.cinematic;
+}
+
+/**
+ * Convert #RRGGBB to the &HAABBGGRR form libass expects
+ */
+function toAssColor(hex) {
+  const [r, g, b] = hex.replace('#', '').match(/.{2}/g);
+  return `&H00${b}${g}${r}`.toUpperCase();
+}
+
+/**
+ * Build the FFmpeg `subtitles` filter that burns an SRT file into the video
+ * @param {string} srtPath - Subtitle file to burn in
+ * @param {string} aesthetic - Aesthetic used to pick font and colors
+ * @returns {string} Filter expression
+ */
+export function buildBurnInFilter(srtPath, aesthetic) {
+  const style = getCaptionStyle(aesthetic);
+  const forceStyle = [
+    `FontName=${style.fontName}`,
+    `FontSize=${style.fontSize}`,
+    `PrimaryColour=${toAssColor(style.primaryColor)}`,
+    `OutlineColour=${toAssColor(style.outlineColor)}`,
+    `BackColour=&H80000000`,
+    `BorderStyle=1`,
+    `Outline=${style.outline}`,
+    `Shadow=1`,
+    `Bold=${style.bold ? -1 : 0}`,
+    `Alignment=2`,
+    `MarginV=60`,
+  ].join(',');
+
+  // Filter arguments need ':' , '\' and quotes escaped
+  const escapedPath = srtPath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+  return `subtitles='${escapedPath}':force_style='${forceStyle}'`;
+}
+
+export default {
+  buildCaptionCues,
+  toWebVTT,
+  toSRT,
+  writeCaptionFiles,
+  getCaptionStyle,
+  buildBurnInFilter,
+};
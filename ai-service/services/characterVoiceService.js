@@ -3,19 +3,38 @@
  * Generates character perspectives and voice-driven content
  */
 
-import { generateJsonLike, generateText } from './llmClient.js';
+import { generateStructured, generateText } from './llmClient.js';
 import { getAvailableVoices, getVoiceRecommendations } from './elevenlabsService.js';
 
-function parseJsonObject(text) {
-  try {
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) return null;
-    return JSON.parse(jsonMatch[0]);
-  } catch (err) {
-    console.warn('Failed to parse JSON from LLM response:', err.message);
-    return null;
-  }
-}
+const CHARACTER_PROFILES_SCHEMA = {
+  type: 'object',
+  required: ['characters'],
+  properties: {
+    characters: {
+      type: 'array',
+      maxItems: 4,
+      items: {
+        type: 'object',
+        required: ['name', 'role'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          archetype: { type: 'string' },
+          personality: { type: 'string' },
+          description: { type: 'string' },
+          role: { type: 'string', enum: ['protagonist', 'antagonist', 'supporting'] },
+        },
+      },
+    },
+  },
+};
+
+const QUESTIONS_SCHEMA = {
+  type: 'object',
+  required: ['questions'],
+  properties: {
+    questions: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+  },
+};
 
 /**
  * Extract character profiles with detailed information
@@ -29,22 +48,15 @@ export async function extractCharacterProfiles(bookData) {
 Book: "${title}"
 Description: ${description}
 
-Respond ONLY with valid JSON (extract 2-4 main characters):
-{
-  "characters": [
-    {
-      "name": "Character Name",
-      "archetype": "Their role/archetype in the story",
-      "personality": "Key personality traits",
-      "description": "Physical description or who they are",
-      "role": "protagonist/antagonist/supporting"
-    }
-  ]
-}`;
+Extract 2-4 main characters, each with their name, archetype (role/archetype in the story),
+personality (key traits), description (physical description or who they are) and role
+(protagonist, antagonist or supporting).`;
 
-    const responseText = await generateJsonLike(prompt);
-    const analysis = parseJsonObject(responseText) || {};
-    return analysis.characters || [];
+    const { data } = await generateStructured(prompt, CHARACTER_PROFILES_SCHEMA, {
+      label: 'Character profiles',
+      fallback: { characters: [] },
+    });
+    return data.characters;
   } catch (error) {
     console.error('Error extracting characters:', error);
     return [];
@@ -52,31 +64,60 @@ Respond ONLY with valid JSON (extract 2-4 main characters):
 }
 
 /**
- * Assign simple ElevenLabs voices to characters. Uses recommended voice for the book aesthetic
- * when available, otherwise cycles through available voices.
+ * Give every character a distinct voice. The lead gets the voice recommended for the
+ * book aesthetic, the rest get voices matching their role where possible, then any
+ * voice not yet taken. Voices only repeat once every voice is in use.
+ *
+ * @param {Array<object>} characters - Character profiles
+ * @param {string} bookAesthetic - Aesthetic used for the lead's recommended voice
+ * @param {Array<{id: string, name: string, role?: string, voiceType?: string}>} voices - Voices to assign
+ *   (default: the ElevenLabs character voices)
  */
-export async function assignVoicesToCharacters(characters = [], bookAesthetic = 'contemporary') {
-  const voices = getAvailableVoices();
-  const voiceEntries = Object.entries(voices);
-  const recommendation = getVoiceRecommendations(bookAesthetic);
+export async function assignVoicesToCharacters(characters = [], bookAesthetic = 'contemporary', voices = null) {
+  const voicePool = dedupeVoices(voices || Object.entries(getAvailableVoices()).map(([role, id]) => ({ id, name: role, role })));
+  if (voicePool.length === 0) return characters.map((character) => ({ ...character }));
+
+  const recommendedVoiceId = getVoiceRecommendations(bookAesthetic)?.recommendedVoice;
+  const used = new Set();
 
   return characters.map((character, index) => {
-    const fallback = voiceEntries[index % voiceEntries.length] || voiceEntries[0];
-    const recommendedVoiceId = recommendation?.recommendedVoice;
-    const [voiceName, voiceId] = recommendedVoiceId
-      ? [bookAesthetic || 'recommended', recommendedVoiceId]
-      : fallback;
+    const role = String(character.role || character.archetype || '').toLowerCase();
+    const unused = voicePool.filter((voice) => !used.has(voice.id));
+
+    const voice = (index === 0 && unused.find((v) => v.id === recommendedVoiceId))
+      || unused.find((v) => v.role && role.includes(v.role))
+      || unused.find((v) => v.voiceType && VOICE_TYPE_BY_ROLE[role] === v.voiceType)
+      || unused[0]
+      || voicePool[index % voicePool.length];
+
+    used.add(voice.id);
 
     return {
       ...character,
       assignedVoice: {
-        id: voiceId,
-        name: voiceName,
+        id: voice.id,
+        name: voice.name,
       },
     };
   });
 }
 
+// Voice type hints for providers whose voices are described by type rather than role
+const VOICE_TYPE_BY_ROLE = {
+  narrator: 'male',
+  antagonist: 'mysterious',
+  mentor: 'male',
+};
+
+function dedupeVoices(voices) {
+  const seen = new Set();
+  return voices.filter((voice) => {
+    if (!voice?.id || seen.has(voice.id)) return false;
+    seen.add(voice.id);
+    return true;
+  });
+}
+
 /**
  * Generate narration from a specific character's perspective
  */
@@ -112,18 +153,13 @@ export async function generateCharacterDrivenQuestions(bookData) {
 Book: "${title}"
 Description: ${description}
 
-Respond with JSON:
-{
-  "questions": [
-    "Question 1 (no spoilers)?",
-    "Question 2 (no spoilers)?",
-    "Question 3 (no spoilers)?"
-  ]
-}`;
-
-    const responseText = await generateJsonLike(prompt);
-    const analysis = parseJsonObject(responseText) || {};
-    return analysis.questions || [];
+No spoilers.`;
+
+    const { data } = await generateStructured(prompt, QUESTIONS_SCHEMA, {
+      label: 'Character-driven questions',
+      fallback: { questions: [] },
+    });
+    return data.questions;
   } catch (error) {
     console.error('Error generating questions:', error);
     return [];
@@ -173,6 +209,78 @@ Keep it engaging and hint at the conflict without spoilers.`;
   };
 }
 
+export const NARRATOR = 'Narrator';
+
+/**
+ * Write a multi-speaker trailer script. Each line is tagged with its speaker
+ * ([Name] line), mixing character dialogue with a narrator.
+ *
+ * @param {object} bookData - { title, description, aesthetic }
+ * @param {Array<object>} characters - Cast (names are used as speaker tags)
+ * @param {object} options - { duration (seconds), maxLines }
+ * @returns {Promise<Array<{speaker: string, text: string}>>} Lines in order; empty if the LLM gave nothing usable
+ */
+export async function generateDialogueScript(bookData, characters = [], options = {}) {
+  const { duration = 30, maxLines = 10 } = options;
+  const cast = characters.map((c) => `- ${c.name}: ${c.personality || c.archetype || c.description || 'character'}`).join('\n');
+
+  const prompt = `Write a ${duration}-second (~90-130 words) dialogue trailer for this book.
+
+Book: "${bookData.title}"
+Description: ${bookData.description}
+
+Cast:
+${cast}
+- ${NARRATOR}: sets the scene and delivers the closing hook
+
+Rules:
+- ${Math.min(6, maxLines)}-${maxLines} lines, each starting with the speaker tag in square brackets, e.g. [${characters[0]?.name || 'Name'}] line
+- Only use the speakers listed above
+- Open and close with the ${NARRATOR}
+- No stage directions, no spoilers
+
+Respond ONLY with the tagged lines.`;
+
+  try {
+    const script = await generateText(prompt);
+    return parseDialogueScript(script, characters).slice(0, maxLines);
+  } catch (error) {
+    console.error('Error generating dialogue script:', error);
+    return [];
+  }
+}
+
+/**
+ * Parse "[Speaker] line" text into dialogue lines.
+ * Unknown speakers become the narrator and consecutive lines by one speaker are merged.
+ */
+export function parseDialogueScript(script, characters = []) {
+  const names = new Map(characters.map((c) => [c.name.toLowerCase(), c.name]));
+  const lines = [];
+
+  for (const rawLine of (script || '').split('\n')) {
+    const match = rawLine.match(/^\s*[*_]*\[([^\]]+)\][*_]*\s*:?\s*(.+)$/);
+    if (!match) continue;
+
+    const text = match[2]
+      .replace(/\([^)]*\)/g, '') // Stage directions
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^["“](.*)["”]$/, '$1');
+    if (!text) continue;
+
+    const speaker = names.get(match[1].trim().toLowerCase()) || NARRATOR;
+    const previous = lines[lines.length - 1];
+    if (previous?.speaker === speaker) {
+      previous.text = `${previous.text} ${text}`;
+    } else {
+      lines.push({ speaker, text });
+    }
+  }
+
+  return lines;
+}
+
 /**
  * Generate perspective videos for all characters found on the book.
  */
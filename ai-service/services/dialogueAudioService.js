@@ -0,0 +1,126 @@
+/**
+ * Dialogue Audio Service
+ * Voices a multi-speaker script line by line and joins the lines into one track
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { getAvailableProviders, synthesizeSpeech } from './ttsService.js';
+import { assignVoicesToCharacters } from './characterVoiceService.js';
+import { getMediaDuration } from './mediaProbeService.js';
+import { runFFmpeg } from './processRunner.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMP_DIR = process.env.TEMP_DIR || path.join(__dirname, '..', 'temp');
+
+// Silence between lines, in seconds
+const DEFAULT_LINE_PAUSE = 0.4;
+
+/**
+ * Voice every line and join them with pauses.
+ * The whole script uses one TTS provider so a character never changes voice
+ * mid-trailer; if that provider fails on any line, the next one starts over.
+ *
+ * @param {Array<{speaker: string, text: string}>} lines - Dialogue script
+ * @param {Array<object>} cast - Speakers ({ name, role, ... }), lead first
+ * @param {object} options - { aesthetic, pause (seconds between lines), onLine ({ completed, total }) }
+ * @returns {Promise<{audioBuffer: Buffer, duration: number, provider: string,
+ *   cast: Array<object>, timeline: Array<{speaker, text, start, end}>}>}
+ */
+export async function synthesizeDialogue(lines, cast, options = {}) {
+  const { aesthetic = 'cinematic', pause = DEFAULT_LINE_PAUSE, onLine = null } = options;
+  const providers = await getAvailableProviders();
+  const errors = [];
+
+  for (const provider of providers) {
+    const castWithVoices = await assignVoicesToCharacters(cast, aesthetic, await provider.listVoices());
+    const voiceBySpeaker = new Map(castWithVoices.map((member) => [member.name, member.assignedVoice?.id]));
+
+    try {
+      console.log(`🎭 Voicing ${lines.length} dialogue lines with ${provider.label || provider.name}...`);
+      const segments = [];
+
+      for (const line of lines) {
+        const result = await synthesizeSpeech(line.text, {
+          voice: voiceBySpeaker.get(line.speaker),
+          providers: [provider.name],
+        });
+        segments.push({ ...line, audioBuffer: result.audioBuffer, duration: result.duration });
+        onLine?.({ completed: segments.length, total: lines.length });
+      }
+
+      const joined = await concatenateLines(segments, pause);
+      return { ...joined, provider: provider.name, cast: castWithVoices };
+    } catch (error) {
+      errors.push(`${provider.name}: ${error.message}`);
+      console.warn(`⚠️ Dialogue voicing with ${provider.name} failed, trying the next provider`);
+    }
+  }
+
+  throw new Error(errors.length
+    ? `Dialogue voicing failed (${errors.join('; ')})`
+    : 'No TTS provider is configured');
+}
+
+/**
+ * Join voiced lines into one MP3 with `pause` seconds of silence after each line but the last
+ * @returns {Promise<{audioBuffer: Buffer, duration: number, timeline: Array}>}
+ */
+async function concatenateLines(segments, pause) {
+  const sessionDir = path.join(TEMP_DIR, `dialogue_${crypto.randomBytes(8).toString('hex')}`);
+  await fs.mkdir(sessionDir, { recursive: true });
+
+  try {
+    const inputs = [];
+    const timeline = [];
+    let elapsed = 0;
+
+    for (const [i, segment] of segments.entries()) {
+      const linePath = path.join(sessionDir, `line_${String(i).padStart(3, '0')}.mp3`);
+      await fs.writeFile(linePath, segment.audioBuffer);
+      inputs.push('-i', linePath);
+
+      const duration = await getMediaDuration(linePath, segment.text);
+      timeline.push({ speaker: segment.speaker, text: segment.text, start: round(elapsed), end: round(elapsed + duration) });
+      elapsed += duration + (i < segments.length - 1 ? pause : 0);
+    }
+
+    // Same format for every line, silence padded after all but the last, then one concat
+    const chains = segments.map((_, i) => {
+      const padding = i < segments.length - 1 ? `,apad=pad_dur=${pause}` : '';
+      return `[${i}:a]aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo${padding}[a${i}]`;
+    });
+    const concatInputs = segments.map((_, i) => `[a${i}]`).join('');
+    const filterComplex = `${chains.join(';')};${concatInputs}concat=n=${segments.length}:v=0:a=1[out]`;
+
+    const outputPath = path.join(sessionDir, 'dialogue.mp3');
+    await runFFmpeg([
+      ...inputs,
+      '-filter_complex', filterComplex,
+      '-map', '[out]',
+      '-codec:a', 'libmp3lame',
+      '-q:a', '2',
+      '-y',
+      outputPath,
+    ]);
+
+    const audioBuffer = await fs.readFile(outputPath);
+    const duration = (await getMediaDuration(outputPath)) || elapsed;
+
+    return { audioBuffer, duration, timeline };
+  } finally {
+    await fs.rm(sessionDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+export default {
+  synthesizeDialogue,
+};
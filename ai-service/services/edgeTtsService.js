@@ -9,6 +9,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import { getMediaDuration } from './mediaProbeService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,9 +21,10 @@ const TEMP_DIR = path.join(__dirname, '..', 'temp');
  * Generate speech from text using Google TTS
  * @param {string} text - Text to convert to speech
  * @param {string} voiceType - Voice type (not used for gTTS, but kept for compatibility)
+ * @param {string} language - Language/accent code, e.g. 'en', 'en-uk', 'en-au'
  * @returns {Promise<{audioBuffer: Buffer, duration: number}>}
  */
-export async function generateSpeech(text, voiceType = 'female') {
+export async function generateSpeech(text, voiceType = 'female', language = 'en') {
   try {
     console.log(`🎤 Generating speech with Google TTS...`);
     
@@ -34,7 +36,7 @@ export async function generateSpeech(text, voiceType = 'female') {
     const tempPath = path.join(TEMP_DIR, `tts_${tempId}.mp3`);
     
     // Generate speech
-    const gtts = new gTTS(text, 'en');
+    const gtts = new gTTS(text, language);
     
     await new Promise((resolve, reject) => {
       gtts.save(tempPath, (err) => {
@@ -43,15 +45,13 @@ export async function generateSpeech(text, voiceType = 'female') {
       });
     });
     
-    // Read the file into a buffer
+    // Read the file into a buffer and measure it before it goes away
     const audioBuffer = await fs.readFile(tempPath);
+    const duration = await getMediaDuration(tempPath, text);
     
     // Clean up temp file
     await fs.unlink(tempPath).catch(() => {});
     
-    // Calculate approximate duration
-    const duration = calculateSpeakingDuration(text);
-    
     console.log(`✅ Google TTS audio generated (${audioBuffer.length} bytes)`);
     
     return {
@@ -84,7 +84,7 @@ export async function generateSpeechToFile(text, outputPath, voiceType = 'female
       });
     });
     
-    const duration = calculateSpeakingDuration(text);
+    const duration = await getMediaDuration(outputPath, text);
     
     console.log(`✅ Google TTS audio saved to: ${outputPath}`);
     
@@ -98,15 +98,6 @@ export async function generateSpeechToFile(text, outputPath, voiceType = 'female
   }
 }
 
-/**
- * Calculate approximate speaking duration
- */
-function calculateSpeakingDuration(text) {
-  const wordCount = text.split(/\s+/).length;
-  const wordsPerSecond = 2.5; // Average speaking rate
-  return Math.ceil(wordCount / wordsPerSecond);
-}
-
 /**
  * Get available languages (for reference)
  */
@@ -114,8 +105,34 @@ export function getAvailableLanguages() {
   return ['en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ja', 'ko', 'zh-CN'];
 }
 
+// English accents double as distinct voices (e.g. for dialogue)
+const ENGLISH_ACCENTS = {
+  'en-us': 'English (United States)',
+  'en-uk': 'English (United Kingdom)',
+  'en-au': 'English (Australia)',
+};
+
+/**
+ * TTS provider entry for the provider registry (ttsService.js)
+ * gTTS has a single voice per language, so voice types are ignored; its voices are English accents.
+ */
+export const ttsProvider = {
+  name: 'gtts',
+  label: 'Google TTS (free)',
+  capabilities: {
+    offline: false,
+    voiceTypes: false,
+    languages: getAvailableLanguages(),
+    outputFormat: 'mp3',
+  },
+  isConfigured: () => true, // No API key needed, but it does need network access
+  listVoices: async () => Object.entries(ENGLISH_ACCENTS).map(([id, name]) => ({ id, name: `Google ${name}`, language: id })),
+  synthesize: (text, { voiceType, voice } = {}) => generateSpeech(text, voiceType, voice || 'en'),
+};
+
 export default {
   generateSpeech,
   generateSpeechToFile,
   getAvailableLanguages,
+  ttsProvider,
 };
@@ -4,6 +4,7 @@
  */
 
 import axios from 'axios';
+import { getMediaDuration } from './mediaProbeService.js';
 
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
 const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
@@ -16,6 +17,13 @@ const VOICES = {
   mysterious: 'nPczCjzI2devNBz1zQrb',   // Deep, mysterious voice
 };
 
+// Narrator voices used for full video voiceovers, by voice type
+const NARRATOR_VOICES = {
+  male: 'JBFqnCBsd6RMkjVY3EL8',      // Professional narrator
+  female: 'EXAVITQu4vr4xnSDxMaL',    // Female narrator
+  mysterious: 'nPczCjzI2devNBz1zQrb', // Deep mysterious voice
+};
+
 /**
  * Generate voiceover for book preview
  * Creates a short narration about the book
@@ -42,7 +50,7 @@ export async function generatePreviewVoiceover(bookData) {
       narration,
       audioUrl,
       voiceId,
-      duration: calculateDuration(narration),
+      duration: await getMediaDuration(audioUrl.buffer, narration),
     };
   } catch (error) {
     console.error('Error generating preview voiceover:', error);
@@ -76,7 +84,7 @@ export async function generateCharacterVoicelines(bookData, character) {
       voiceline,
       audioUrl,
       archetype,
-      duration: calculateDuration(voiceline),
+      duration: await getMediaDuration(audioUrl.buffer, voiceline),
     };
   } catch (error) {
     console.error('Error generating character voiceline:', error);
@@ -105,7 +113,7 @@ export async function generateSummaryAudio(summary, aesthetic = 'contemporary')
 
     return {
       audioUrl,
-      duration: calculateDuration(trimmedSummary),
+      duration: await getMediaDuration(audioUrl.buffer, trimmedSummary),
       type: 'summary',
     };
   } catch (error) {
@@ -135,7 +143,7 @@ export async function generateVibeAudio(vibeCollage, aesthetic = 'contemporary')
 
     return {
       audioUrl,
-      duration: calculateDuration(trimmedVibe),
+      duration: await getMediaDuration(audioUrl.buffer, trimmedVibe),
       type: 'vibe',
     };
   } catch (error) {
@@ -177,6 +185,7 @@ async function generateAudio(text, voiceId) {
           'Content-Type': 'application/json'
         },
         responseType: 'arraybuffer',
+        timeout: 60000,
       }
     );
 
@@ -297,16 +306,6 @@ function trimForAudio(text, maxChars = 300) {
   return trimmed + '...';
 }
 
-/**
- * Calculate approximate audio duration in seconds
- * Average speaking rate: ~150 words per minute = ~2.5 words per second
- */
-function calculateDuration(text) {
-  const wordCount = text.split(/\s+/).length;
-  const wordsPerSecond = 2.5;
-  return Math.ceil(wordCount / wordsPerSecond);
-}
-
 /**
  * Check if ElevenLabs is configured
  */
@@ -331,3 +330,43 @@ export function getVoiceRecommendations(aesthetic) {
     alternatives: [VOICES.narrator, VOICES.protagonist, VOICES.mysterious],
   };
 }
+
+/**
+ * Narrate text with the narrator voice for a voice type
+ * @param {string} text - Narration text
+ * @param {string} voiceType - male, female or mysterious
+ * @param {string} voiceId - Specific ElevenLabs voice to use instead (optional)
+ * @returns {Promise<{audioBuffer: Buffer, duration: number}>}
+ */
+export async function generateNarration(text, voiceType = 'female', voiceId = null) {
+  if (!ELEVENLABS_API_KEY) {
+    throw new Error('ElevenLabs API key not configured');
+  }
+
+  const { buffer } = await generateAudio(text, voiceId || NARRATOR_VOICES[voiceType] || NARRATOR_VOICES.female);
+
+  return {
+    audioBuffer: buffer,
+    duration: await getMediaDuration(buffer, text),
+  };
+}
+
+/**
+ * TTS provider entry for the provider registry (ttsService.js)
+ */
+export const ttsProvider = {
+  name: 'elevenlabs',
+  label: 'ElevenLabs',
+  capabilities: {
+    offline: false,
+    voiceTypes: true,
+    languages: ['multilingual'],
+    outputFormat: 'mp3',
+  },
+  isConfigured,
+  listVoices: async () => [
+    ...Object.entries(NARRATOR_VOICES).map(([voiceType, id]) => ({ id, name: `Narrator (${voiceType})`, voiceType })),
+    ...Object.entries(VOICES).map(([role, id]) => ({ id, name: `Character (${role})`, role })),
+  ],
+  synthesize: (text, { voiceType, voice } = {}) => generateNarration(text, voiceType, voice),
+};
@@ -0,0 +1,280 @@
+/**
+ * Embedding Service
+ * Turns text into vectors for semantic search and similar-book retrieval
+ *
+ * An embedding provider is an object:
+ * {
+ *   name: 'openai',
+ *   label: 'OpenAI-compatible',
+ *   capabilities: { offline },
+ *   defaultModel: 'text-embedding-3-small',
+ *   isConfigured(): boolean,
+ *   embed(texts, { model }): Promise<{ vectors: number[][], usage: { inputTokens } | null }>
+ * }
+ *
+ * EMBEDDING_PROVIDER picks the one provider in use (default: local). Unlike the LLM
+ * registry there is no fallback: vectors from different models can't be compared.
+ *
+ * - local:  deterministic hashed bag of words and word pairs (LOCAL_EMBEDDING_DIMENSIONS,
+ *           default 256); free, offline and stable, so tests and development need no keys
+ * - openai: any OpenAI-compatible /embeddings endpoint (OPENAI_BASE_URL, OPENAI_API_KEY,
+ *           OPENAI_EMBEDDING_MODEL), e.g. OpenAI itself or Ollama
+ * - gemini: Google Gemini SDK (GEMINI_API_KEY, GEMINI_EMBEDDING_MODEL)
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { withCache } from './cacheService.js';
+import { recordUsage, estimateTokens } from './usageService.js';
+
+const EMBEDDING_PROVIDER = (process.env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+
+const LOCAL_DIMENSIONS = parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS || '256', 10);
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+const OPENAI_EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const GEMINI_EMBEDDING_MODEL = process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004';
+
+const REQUEST_TIMEOUT = 25000;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'her', 'his', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'she', 'that', 'the', 'their', 'they', 'this', 'to', 'was', 'who', 'with',
+]);
+
+const providers = new Map();
+
+/**
+ * Register an embedding provider (replaces any provider with the same name)
+ */
+export function registerEmbeddingProvider(provider) {
+  if (!provider?.name || typeof provider.embed !== 'function') {
+    throw new Error('Embedding provider needs a name and an embed() function');
+  }
+  providers.set(provider.name, provider);
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word));
+}
+
+// 32-bit FNV-1a, so the same word always lands in the same dimension
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Hashed bag of words and adjacent word pairs ("found family"), log-scaled and
+ * L2-normalised. Books that share vocabulary score high; there is no notion of
+ * synonyms, which is what the hosted models are for.
+ */
+function localEmbedding(text, dimensions = LOCAL_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = tokenize(text);
+  const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+  const counts = new Map();
+  for (const feature of features) counts.set(feature, (counts.get(feature) || 0) + 1);
+
+  for (const [feature, count] of counts) {
+    const hash = fnv1a(feature);
+    // The top bit picks the sign so collisions cancel out instead of piling up
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimensions] += sign * (1 + Math.log(count)) * (feature.includes(' ') ? 0.5 : 1);
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map((value) => Math.round((value / norm) * 1e6) / 1e6) : vector;
+}
+
+export const localEmbeddingProvider = {
+  name: 'local',
+  label: 'Local (hashed bag of words)',
+  capabilities: { offline: true },
+  defaultModel: `hashed-bow-${LOCAL_DIMENSIONS}`,
+  isConfigured: () => true,
+  embed: async (texts) => ({ vectors: texts.map((text) => localEmbedding(text)), usage: null }),
+};
+
+export const openaiEmbeddingProvider = {
+  name: 'openai',
+  label: `OpenAI-compatible (${OPENAI_BASE_URL})`,
+  capabilities: { offline: !/api\.openai\.com/.test(OPENAI_BASE_URL) },
+  defaultModel: OPENAI_EMBEDDING_MODEL,
+  // Local servers usually need no key, so an explicit base URL is enough
+  isConfigured: () => Boolean(OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+  embed: async (texts, { model = OPENAI_EMBEDDING_MODEL } = {}) => {
+    const response = await axios.post(
+      `${OPENAI_BASE_URL}/embeddings`,
+      { model, input: texts },
+      { headers: OPENAI_API_KEY ? { Authorization: `Bearer ${OPENAI_API_KEY}` } : {}, timeout: REQUEST_TIMEOUT }
+    );
+    const { data = [], usage } = response.data || {};
+    return {
+      vectors: [...data].sort((a, b) => a.index - b.index).map((item) => item.embedding),
+      usage: usage ? { inputTokens: usage.prompt_tokens } : null,
+    };
+  },
+};
+
+let genAI = null;
+if (GEMINI_API_KEY) {
+  genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+}
+
+export const geminiEmbeddingProvider = {
+  name: 'gemini',
+  label: 'Google Gemini',
+  capabilities: { offline: false },
+  defaultModel: GEMINI_EMBEDDING_MODEL,
+  isConfigured: () => Boolean(genAI),
+  embed: async (texts, { model = GEMINI_EMBEDDING_MODEL } = {}) => {
+    const result = await genAI.getGenerativeModel({ model }).batchEmbedContents({
+      requests: texts.map((text) => ({ content: { role: 'user', parts: [{ text }] } })),
+    });
+    return { vectors: result.embeddings.map((embedding) => embedding.values), usage: null };
+  },
+};
+
+registerEmbeddingProvider(localEmbeddingProvider);
+registerEmbeddingProvider(openaiEmbeddingProvider);
+registerEmbeddingProvider(geminiEmbeddingProvider);
+
+function getActiveProvider() {
+  const provider = providers.get(EMBEDDING_PROVIDER);
+  if (!provider) throw new Error(`Unknown embedding provider "${EMBEDDING_PROVIDER}" in EMBEDDING_PROVIDER`);
+  return provider;
+}
+
+/**
+ * The provider and model vectors are made with. `key` identifies the vector
+ * space: vectors stored under another key must be recomputed. `offline` is true
+ * when embedding costs nothing (no remote API call).
+ * @returns {{ provider: string, model: string, key: string, offline: boolean }}
+ */
+export function getEmbeddingModel() {
+  const provider = getActiveProvider();
+  return {
+    provider: provider.name,
+    model: provider.defaultModel,
+    key: `${provider.name}:${provider.defaultModel}`,
+    offline: Boolean(provider.capabilities?.offline),
+  };
+}
+
+/**
+ * Embed texts with the active provider
+ * @param {Array<string>} texts
+ * @param {object} options - { cache (default true: identical requests are answered from cacheService) }
+ * @returns {Promise<{ vectors: number[][], provider: string, model: string, key: string, dimensions: number }>}
+ */
+export async function embedTexts(texts, options = {}) {
+  const { cache = true } = options;
+  const provider = getActiveProvider();
+  const { model, key } = getEmbeddingModel();
+  if (!provider.isConfigured()) throw new Error(`Embedding provider "${provider.name}" is not configured`);
+  if (!texts.length) return { vectors: [], provider: provider.name, model, key, dimensions: 0 };
+
+  let fresh = false;
+  const request = async () => {
+    fresh = true;
+    return provider.embed(texts, { model });
+  };
+
+  // The local provider is cheaper to run than to look up
+  const offline = Boolean(provider.capabilities?.offline);
+  const result = cache && provider !== localEmbeddingProvider
+    ? await withCache('embedding', { provider: provider.name, model, prompt: texts }, request, {
+      shouldCache: (value) => value?.vectors?.length === texts.length,
+    })
+    : await request();
+
+  if (result?.vectors?.length !== texts.length) {
+    throw new Error(`${provider.label} returned ${result?.vectors?.length || 0} vectors for ${texts.length} texts`);
+  }
+
+  recordUsage({
+    kind: 'embedding',
+    provider: provider.name,
+    model,
+    inputTokens: result.usage?.inputTokens ?? estimateTokens(texts.join('\n')),
+    cached: !fresh,
+    local: offline,
+  });
+
+  return { vectors: result.vectors, provider: provider.name, model, key, dimensions: result.vectors[0].length };
+}
+
+/**
+ * Embed one text
+ * @returns {Promise<{ vector: number[], provider, model, key, dimensions }>}
+ */
+export async function embedText(text, options = {}) {
+  const { vectors, ...rest } = await embedTexts([String(text || '')], options);
+  return { vector: vectors[0], ...rest };
+}
+
+/**
+ * The text a book is embedded from: title, genre, keywords, summary and, when
+ * there is one, its analysis (tropes, aesthetic, vibe)
+ * @param {object} book - { title, genre, keywords, summary }
+ * @param {object|null} analysis - { tropes, aesthetic, vibeCollage } from bookAnalysis.analyzeBook()
+ */
+export function getBookEmbeddingText(book, analysis = null) {
+  const tropes = (analysis?.tropes || []).map((trope) => trope.replace(/-/g, ' '));
+  return [
+    book.title,
+    book.genre && `Genre: ${book.genre}`,
+    book.keywords?.length && `Keywords: ${book.keywords.join(', ')}`,
+    tropes.length && `Tropes: ${tropes.join(', ')}`,
+    analysis?.aesthetic && `Aesthetic: ${analysis.aesthetic.replace(/-/g, ' ')}`,
+    book.summary,
+    analysis?.vibeCollage,
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Hash of the book fields an embedding depends on, to tell when it is stale
+ */
+export function getBookContentHash(book) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([book.title || '', book.genre || '', book.keywords || [], book.summary || '']))
+    .digest('hex');
+}
+
+/**
+ * Active provider, model and whether it is configured
+ */
+export function getEmbeddingHealth() {
+  const provider = providers.get(EMBEDDING_PROVIDER);
+  return {
+    provider: EMBEDDING_PROVIDER,
+    known: Boolean(provider),
+    configured: Boolean(provider?.isConfigured()),
+    model: provider?.defaultModel || null,
+    available: [...providers.keys()],
+  };
+}
+
+export default {
+  registerEmbeddingProvider,
+  getEmbeddingModel,
+  embedTexts,
+  embedText,
+  getBookEmbeddingText,
+  getBookContentHash,
+  getEmbeddingHealth,
+};
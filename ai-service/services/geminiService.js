@@ -2,7 +2,7 @@
  * Gemini Service (now routed through OpenRouter when available)
  */
 
-import { generateText, isLLMConfigured } from './llmClient.js';
+import { generateText, parseJsonResponse } from './llmClient.js';
 
 /**
  * Get aesthetic recommendations based on book data
@@ -126,22 +126,8 @@ export async function generateContent(prompt) {
 
 /**
  * Parse JSON from Gemini response
+ * @deprecated Use llmClient.generateStructured(), which also validates the result
  */
 export function parseJsonFromResponse(text) {
-  try {
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      return null;
-    }
-    return JSON.parse(jsonMatch[0]);
-  } catch {
-    return null;
-  }
-}
-
-/**
- * Check if API is configured
- */
-export function isConfigured() {
-  return isLLMConfigured();
+  return parseJsonResponse(text);
 }
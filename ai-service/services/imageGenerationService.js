@@ -7,34 +7,47 @@ import axios from 'axios';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { withCache, getCacheTtl } from './cacheService.js';
+import { recordUsage } from './usageService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
 const OPENROUTER_BASE_URL = process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
+const IMAGE_MODEL = 'google/gemini-3-pro-image-preview';
 
 /**
  * Generate multiple images for a book summary using Nano Banana via OpenRouter
  * @param {string} summary - Book summary text
  * @param {string} aesthetic - Visual aesthetic (dark-academia, cozy-fantasy, etc.)
+ * @param {object} options - { onProgress } called as scene prompts and each image finish
  * @returns {Promise<string[]>} Array of image URLs or base64 data
  */
-export async function generateImagesFromSummary(summary, aesthetic = 'cinematic') {
+export async function generateImagesFromSummary(summary, aesthetic = 'cinematic', options = {}) {
     const numImages = 4;
+  const { onProgress = () => {} } = options;
 
   if (!OPENROUTER_API_KEY) {
     console.warn('⚠️ OpenRouter API not configured. Using placeholder images.');
+    onProgress({ stage: 'scene-prompts', completed: numImages, total: numImages });
+    onProgress({ stage: 'image', completed: numImages, total: numImages });
     return generatePlaceholderImages(numImages);
   }
 
   try {
     // Generate scene prompts from summary
     const scenePrompts = await generateScenePrompts(summary, aesthetic, numImages);
+    onProgress({ stage: 'scene-prompts', completed: scenePrompts.length, total: scenePrompts.length });
     
-    // Generate images in parallel
+    // Generate images in parallel, reporting each one as it lands
+    let completed = 0;
     const imagePromises = scenePrompts.map((prompt, index) => 
-      generateSingleImage(prompt, aesthetic, index)
+      generateSingleImage(prompt, aesthetic, index).then((image) => {
+        completed += 1;
+        onProgress({ stage: 'image', index, completed, total: scenePrompts.length, success: image !== null });
+        return image;
+      })
     );
     
     const images = await Promise.all(imagePromises);
@@ -45,11 +58,37 @@ export async function generateImagesFromSummary(summary, aesthetic = 'cinematic'
   }
 }
 
+/**
+ * Generate one image per scene prompt, keeping the order of the prompts
+ * @param {string[]} prompts - Scene descriptions
+ * @param {string} aesthetic - Visual aesthetic
+ * @param {object} options - { onProgress } called as each image finishes
+ * @returns {Promise<Array<string|null>>} Image URLs or base64 data; null where an image failed
+ */
+export async function generateImagesFromPrompts(prompts, aesthetic = 'cinematic', options = {}) {
+  const { onProgress = () => {} } = options;
+
+  if (!OPENROUTER_API_KEY) {
+    console.warn('⚠️ OpenRouter API not configured. Using placeholder images.');
+    onProgress({ stage: 'image', completed: prompts.length, total: prompts.length });
+    return generatePlaceholderImages(prompts.length);
+  }
+
+  let completed = 0;
+  return Promise.all(prompts.map((prompt, index) =>
+    generateSingleImage(prompt, aesthetic, index).then((image) => {
+      completed += 1;
+      onProgress({ stage: 'image', index, completed, total: prompts.length, success: image !== null });
+      return image;
+    })
+  ));
+}
+
 /**
  * Generate scene prompts from a summary using LLM
  */
 async function generateScenePrompts(summary, aesthetic, numScenes) {
-  const { generateText } = await import('./llmClient.js');
+  const { generateStructured } = await import('./llmClient.js');
   
   const styleGuide = getStyleGuide(aesthetic);
   
@@ -61,9 +100,6 @@ Visual Style: ${styleGuide}
 
 Create ${numScenes} scenes that tell the story visually. Each scene should be a detailed image description (50-80 words) suitable for AI image generation.
 
-Respond ONLY with a JSON array of strings:
-["Scene 1 description...", "Scene 2 description...", ...]
-
 Focus on:
 - Vivid visual details
 - Mood and atmosphere
@@ -71,12 +107,18 @@ Focus on:
 - Lighting and color palette
 - Camera angle/composition`;
 
+  const schema = {
+    type: 'object',
+    required: ['scenes'],
+    properties: {
+      scenes: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: numScenes },
+    },
+  };
+
   try {
-    const response = await generateText(prompt);
-    const jsonMatch = response.match(/\[[\s\S]*\]/);
-    if (jsonMatch) {
-      const scenes = JSON.parse(jsonMatch[0]);
-      return scenes.slice(0, numScenes);
+    const { data, source } = await generateStructured(prompt, schema, { label: 'Scene prompts' });
+    if (source === 'llm') {
+      return data.scenes.slice(0, numScenes);
     }
   } catch (error) {
     console.error('Error generating scene prompts:', error);
@@ -87,12 +129,35 @@ Focus on:
 }
 
 /**
- * Generate a single image using Gemini Image via OpenRouter
+ * Generate a single image using Gemini Image via OpenRouter.
+ * Images are cached by their full prompt, so regenerating a book reuses them;
+ * hosted URLs only for as long as the provider keeps them.
  */
 async function generateSingleImage(prompt, aesthetic, index) {
   const styleGuide = getStyleGuide(aesthetic);
   const fullPrompt = `Create a detailed, high-quality image of this scene in 3:4 portrait aspect ratio (768x1024 pixels): ${prompt}. Style: ${styleGuide}, cinematic lighting, high quality, detailed, 4k resolution. The image MUST be in portrait orientation (taller than wide, 3:4 ratio). Output only the generated image.`;
-  
+
+  let fresh = false;
+  const image = await withCache(
+    'image',
+    { provider: 'openrouter', model: IMAGE_MODEL, prompt: fullPrompt },
+    () => {
+      fresh = true;
+      return requestImage(fullPrompt, prompt, index);
+    },
+    { ttl: (image) => getCacheTtl(image.startsWith('data:') ? 'image' : 'imageUrl') }
+  );
+
+  if (image) {
+    recordUsage({ kind: 'image', provider: 'openrouter', model: IMAGE_MODEL, images: 1, cached: !fresh });
+  }
+  return image;
+}
+
+/**
+ * Request one image from OpenRouter, trying the fallback model if it errors
+ */
+async function requestImage(fullPrompt, prompt, index) {
   try {
     console.log(`🎨 Generating image ${index + 1}: ${prompt.substring(0, 50)}...`);
     
@@ -100,7 +165,7 @@ async function generateSingleImage(prompt, aesthetic, index) {
     const response = await axios.post(
       `${OPENROUTER_BASE_URL}/chat/completions`,
       {
-        model: 'google/gemini-3-pro-image-preview',
+        model: IMAGE_MODEL,
         messages: [
           {
             role: 'user',
@@ -1,71 +1,340 @@
-import axios from 'axios';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+/**
+ * LLM Client
+ * Registry of chat-completion providers with priority-ordered fallback
+ *
+ * A provider is an object:
+ * {
+ *   name: 'openrouter',
+ *   label: 'OpenRouter',
+ *   capabilities: { jsonMode, offline },
+ *   defaultModel: 'google/gemini-flash-1.5',
+ *   isConfigured(): boolean,
+ *   complete(messages, { json, model }): Promise<string | { text, usage: { inputTokens, outputTokens } }>
+ *     (messages are [{ role: 'user' | 'assistant', content }]; usage is metered by usageService.js)
+ * }
+ *
+ * LLM_PROVIDERS sets the order providers are tried in (default: openrouter,gemini,openai).
+ * Every call can also pick its own providers, e.g. generateText(prompt, { providers: ['fixture'] }).
+ * LLM_PROVIDERS=fixture runs the whole service offline on recorded responses (llmFixtureProvider.js).
+ */
+
+import { validateSchema } from './schemaValidator.js';
+import { openrouterProvider, geminiProvider, openaiCompatibleProvider } from './llmProviders.js';
+import { fixtureProvider, recordFixture } from './llmFixtureProvider.js';
+import { withCache } from './cacheService.js';
+import { recordUsage, estimateTokens } from './usageService.js';
+
+const DEFAULT_PRIORITY = ['openrouter', 'gemini', 'openai'];
+
+// How many times generateStructured() re-prompts after an invalid response
+const STRUCTURED_MAX_RETRIES = parseInt(process.env.LLM_STRUCTURED_RETRIES || '2', 10);
+
+const RECORD_FIXTURES = process.env.LLM_RECORD_FIXTURES === 'true';
+
+const providers = new Map();
+
+// Last outcome per provider, reported by getLLMHealth()
+const providerStatus = new Map();
+
+/**
+ * Register a provider (replaces any provider with the same name)
+ */
+export function registerProvider(provider) {
+  if (!provider?.name || typeof provider.complete !== 'function') {
+    throw new Error('LLM provider needs a name and a complete() function');
+  }
+  providers.set(provider.name, provider);
+  if (!providerStatus.has(provider.name)) {
+    providerStatus.set(provider.name, { lastError: null, lastErrorAt: null, lastSuccessAt: null, failures: 0 });
+  }
+}
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_MODEL = process.env.OPENROUTER_MODEL || 'google/gemini-flash-1.5';
-const OPENROUTER_BASE_URL = process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
+registerProvider(openrouterProvider);
+registerProvider(geminiProvider);
+registerProvider(openaiCompatibleProvider);
+registerProvider(fixtureProvider);
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+/**
+ * Provider names in the order they should be tried
+ */
+export function getProviderPriority() {
+  const configured = process.env.LLM_PROVIDERS
+    ? process.env.LLM_PROVIDERS.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_PRIORITY;
 
-let geminiModel = null;
-if (GEMINI_API_KEY) {
-  const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-  geminiModel = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+  return configured.filter((name) => {
+    if (providers.has(name)) return true;
+    console.warn(`⚠️ Unknown LLM provider "${name}" in LLM_PROVIDERS`);
+    return false;
+  });
 }
 
 /**
- * Generate plain text from an LLM, preferring OpenRouter; falls back to Gemini SDK if missing.
+ * Get a registered provider by name
  */
-export async function generateText(prompt) {
-  // Prefer OpenRouter if configured
-  if (OPENROUTER_API_KEY) {
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+function isProviderConfigured(provider) {
+  try {
+    return Boolean(provider.isConfigured());
+  } catch {
+    return false;
+  }
+}
+
+function recordSuccess(name) {
+  const status = providerStatus.get(name);
+  status.lastSuccessAt = new Date();
+  status.failures = 0;
+}
+
+function recordFailure(name, error) {
+  const status = providerStatus.get(name);
+  status.lastError = error.response?.status ? `HTTP ${error.response.status}: ${error.message}` : error.message;
+  status.lastErrorAt = new Date();
+  status.failures++;
+}
+
+/**
+ * The model a call asked for on one provider. Model names only mean something to
+ * their own provider: a string is for the first provider in the order, an object
+ * is keyed by provider name. The others use their default model.
+ */
+function getRequestedModel(model, name, order) {
+  if (!model) return null;
+  if (typeof model === 'object') return model[name] || null;
+  return name === order[0] ? model : null;
+}
+
+/**
+ * Run a chat completion with the first provider that answers
+ * @param {Array<{role: 'user'|'assistant', content: string}>} messages - Conversation so far
+ * @param {object} options - { json (ask for a JSON object), model (for the first provider, or { [provider]: model }),
+ *   providers (name or list, overrides LLM_PROVIDERS),
+ *   cache (default true: identical requests to the same provider and model are answered from cacheService) }
+ * @returns {Promise<{text: string, provider: string}>}
+ * @throws {Error} With `.providerErrors` when no provider answered
+ */
+export async function complete(messages, options = {}) {
+  const { json = false, model, cache = true } = options;
+  const order = options.providers ? [].concat(options.providers) : getProviderPriority();
+  const errors = [];
+
+  for (const name of order) {
+    const provider = providers.get(name);
+    if (!provider) {
+      errors.push(`${name}: unknown provider`);
+      continue;
+    }
+    if (!isProviderConfigured(provider)) continue;
+
     try {
-      const { data } = await axios.post(
-        `${OPENROUTER_BASE_URL}/chat/completions`,
-        {
-          model: OPENROUTER_MODEL,
-          messages: [{ role: 'user', content: prompt }],
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-            'HTTP-Referer': 'http://localhost',
-            'X-Title': 'BookTok',
-          },
-          timeout: 25000,
-        }
-      );
-
-      const text = data?.choices?.[0]?.message?.content || '';
-      if (text) return text;
-    } catch (err) {
-      console.warn('OpenRouter request failed, falling back to Gemini if available:', err.message);
+      const requestedModel = getRequestedModel(model, name, order);
+      const usedModel = requestedModel || provider.defaultModel;
+      let fresh = false;
+      const request = async () => {
+        fresh = true;
+        const result = await provider.complete(messages, { json, ...(requestedModel && { model: requestedModel }) });
+        return typeof result === 'string' ? { text: result, usage: null } : result;
+      };
+
+      // Fixtures are already a local replay, no point caching or metering them
+      const isFixture = name === fixtureProvider.name;
+      const result = cache && !isFixture
+        ? await withCache('llm', { provider: name, model: usedModel, prompt: messages, params: { json } }, request, {
+          shouldCache: (value) => Boolean(value?.text),
+        })
+        : await request();
+      const text = typeof result === 'string' ? result : result?.text; // Entries cached before usage was tracked are strings
+      if (!text) throw new Error('Provider returned an empty response');
+
+      if (!isFixture) {
+        recordUsage({
+          kind: 'llm',
+          provider: name,
+          model: usedModel,
+          inputTokens: result.usage?.inputTokens ?? estimateTokens(messages.map((message) => message.content).join('\n')),
+          outputTokens: result.usage?.outputTokens ?? estimateTokens(text),
+          cached: !fresh,
+          local: Boolean(provider.capabilities?.offline),
+        });
+      }
+
+      recordSuccess(name);
+      if (RECORD_FIXTURES && name !== fixtureProvider.name) {
+        await recordFixture(messages, { json, provider: name, response: text })
+          .catch((error) => console.warn('⚠️ Could not record LLM fixture:', error.message));
+      }
+      return { text, provider: name };
+    } catch (error) {
+      recordFailure(name, error);
+      errors.push(`${name}: ${providerStatus.get(name).lastError}`);
+      console.warn(`⚠️ ${provider.label || name} request failed:`, providerStatus.get(name).lastError);
     }
   }
 
-  // Fallback: Gemini SDK if configured
-  if (geminiModel) {
+  const error = new Error(errors.length
+    ? `All LLM providers failed (${errors.join('; ')})`
+    : 'No LLM provider is configured');
+  error.providerErrors = errors;
+  throw error;
+}
+
+/**
+ * Generate plain text from the first LLM provider that answers.
+ * Returns '' when none does, so callers can fall back to their defaults.
+ * @param {string} prompt
+ * @param {object} options - { model, providers (name or list), cache }
+ */
+export async function generateText(prompt, options = {}) {
+  try {
+    const { text } = await complete([{ role: 'user', content: prompt }], options);
+    return text;
+  } catch (error) {
+    console.error('LLM text generation failed:', error.message);
+    return '';
+  }
+}
+
+/**
+ * Generate JSON-able content in JSON mode; returns string (caller parses JSON).
+ * Prefer generateStructured(), which also parses and validates.
+ */
+export async function generateJsonLike(prompt, options = {}) {
+  return generateText(prompt, { ...options, json: true });
+}
+
+/**
+ * Parse JSON out of an LLM response, tolerating markdown fences and text around it
+ * @returns {*} Parsed value, or null if there is no JSON in the text
+ */
+export function parseJsonResponse(text) {
+  if (!text) return null;
+
+  const unfenced = text.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '').trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    // Fall through to pulling the outermost object/array out of surrounding prose
+  }
+
+  const start = unfenced.search(/[{[]/);
+  if (start === -1) return null;
+  const end = unfenced.lastIndexOf(unfenced[start] === '{' ? '}' : ']');
+  if (end <= start) return null;
+
+  try {
+    return JSON.parse(unfenced.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Generate output that matches a JSON schema.
+ * Asks for JSON mode where the provider supports it, validates the response
+ * against `schema` and re-prompts with the validation errors until it passes
+ * or the retries run out; then `fallback` is returned instead.
+ *
+ * @template T
+ * @param {string} prompt - What to generate (the schema is appended)
+ * @param {object} schema - JSON Schema the response must satisfy (see schemaValidator.js)
+ * @param {object} options - { fallback: T | () => T, maxRetries, label (for logs), model, providers }
+ * @returns {Promise<{data: T, source: 'llm'|'fallback', attempts: number, errors: Array<string>}>}
+ */
+export async function generateStructured(prompt, schema, options = {}) {
+  const { fallback = null, maxRetries = STRUCTURED_MAX_RETRIES, label = 'Structured output', ...completeOptions } = options;
+  let attempts = 0;
+  let errors = [];
+
+  const useFallback = () => {
+    console.warn(`⚠️ ${label}: using fallback (${errors.join('; ')})`);
+    return {
+      data: typeof fallback === 'function' ? fallback() : fallback,
+      source: 'fallback',
+      attempts,
+      errors,
+    };
+  };
+
+  const messages = [{
+    role: 'user',
+    content: `${prompt}\n\nRespond ONLY with JSON (no markdown, no explanation) matching this JSON schema:\n${JSON.stringify(schema)}`,
+  }];
+
+  while (attempts <= maxRetries) {
+    attempts++;
+    let text;
     try {
-      const result = await geminiModel.generateContent(prompt);
-      return result.response.text();
-    } catch (err) {
-      console.error('Gemini fallback failed:', err.message);
+      ({ text } = await complete(messages, { ...completeOptions, json: schema.type === 'object' }));
+    } catch (error) {
+      // Nothing came back at all: the providers are down, re-prompting won't help
+      errors = error.providerErrors?.length ? error.providerErrors : [error.message];
+      return useFallback();
+    }
+
+    const data = parseJsonResponse(text);
+    errors = data === null ? ['Response was not valid JSON'] : validateSchema(data, schema);
+    if (errors.length === 0) {
+      return { data, source: 'llm', attempts, errors };
     }
+
+    console.warn(`⚠️ ${label}: invalid response (attempt ${attempts}/${maxRetries + 1}): ${errors.join('; ')}`);
+    messages.push(
+      { role: 'assistant', content: text },
+      {
+        role: 'user',
+        content: `That response does not match the schema:\n${errors.map((error) => `- ${error}`).join('\n')}\n\nReply again with ONLY the corrected JSON.`,
+      }
+    );
   }
 
-  return '';
+  return useFallback();
 }
 
 /**
- * Generate JSON-able content; returns string (caller parses JSON).
+ * Whether any enabled provider is configured.
  */
-export async function generateJsonLike(prompt) {
-  return generateText(prompt);
+export function isLLMConfigured() {
+  return getProviderPriority().some((name) => isProviderConfigured(providers.get(name)));
 }
 
 /**
- * Simple config check helper.
+ * Per-provider health: whether it is enabled and configured, its capabilities
+ * and the most recent error it returned
  */
-export function isLLMConfigured() {
-  return Boolean(OPENROUTER_API_KEY || GEMINI_API_KEY);
+export function getLLMHealth() {
+  const priority = getProviderPriority();
+
+  return [...providers.values()].map((provider) => {
+    const status = providerStatus.get(provider.name);
+    return {
+      name: provider.name,
+      label: provider.label,
+      priority: priority.includes(provider.name) ? priority.indexOf(provider.name) + 1 : null,
+      enabled: priority.includes(provider.name),
+      configured: isProviderConfigured(provider),
+      model: provider.defaultModel,
+      capabilities: provider.capabilities,
+      lastError: status.lastError,
+      lastErrorAt: status.lastErrorAt,
+      lastSuccessAt: status.lastSuccessAt,
+      consecutiveFailures: status.failures,
+    };
+  });
 }
+
+export default {
+  registerProvider,
+  getProvider,
+  getProviderPriority,
+  complete,
+  generateText,
+  generateJsonLike,
+  generateStructured,
+  parseJsonResponse,
+  isLLMConfigured,
+  getLLMHealth,
+};
@@ -0,0 +1,75 @@
+/**
+ * LLM Fixture Provider
+ * Deterministic, offline LLM provider that replays recorded responses.
+ *
+ * Each fixture is a JSON file in LLM_FIXTURES_DIR named after a hash of the
+ * conversation and JSON mode, so the same prompt always replays the same answer:
+ * { "key", "provider", "json", "messages", "response" }
+ *
+ * Fixtures are recorded from real providers by running with LLM_RECORD_FIXTURES=true.
+ * A prompt without a fixture fails like any provider would, so callers fall back.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'llm');
+
+/**
+ * Fixture key for a conversation
+ */
+export function getFixtureKey(messages, json = false) {
+  const normalized = JSON.stringify({
+    json: Boolean(json),
+    messages: messages.map(({ role, content }) => ({ role, content: content.trim() })),
+  });
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+}
+
+/**
+ * Save a real provider's response so it can be replayed offline
+ */
+export async function recordFixture(messages, { json = false, provider, response }) {
+  const key = getFixtureKey(messages, json);
+  await fs.promises.mkdir(FIXTURES_DIR, { recursive: true });
+  await fs.promises.writeFile(
+    path.join(FIXTURES_DIR, `${key}.json`),
+    `${JSON.stringify({ key, provider, json: Boolean(json), messages, response }, null, 2)}\n`
+  );
+  return key;
+}
+
+export const fixtureProvider = {
+  name: 'fixture',
+  label: 'Fixture replay',
+  capabilities: { jsonMode: true, offline: true },
+  defaultModel: null,
+  isConfigured: () => fs.existsSync(FIXTURES_DIR),
+  complete: async (messages, { json = false } = {}) => {
+    const key = getFixtureKey(messages, json);
+    const fixturePath = path.join(FIXTURES_DIR, `${key}.json`);
+
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(fixturePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No LLM fixture ${key}.json for this prompt (record one with LLM_RECORD_FIXTURES=true)`);
+      }
+      throw new Error(`Unreadable LLM fixture ${key}.json: ${error.message}`);
+    }
+
+    return fixture.response;
+  },
+};
+
+export default {
+  getFixtureKey,
+  recordFixture,
+  fixtureProvider,
+};
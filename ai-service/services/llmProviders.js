@@ -0,0 +1,119 @@
+/**
+ * LLM Providers
+ * Chat-completion backends for the LLM registry (llmClient.js)
+ *
+ * - openrouter: OpenRouter (OPENROUTER_API_KEY, OPENROUTER_MODEL)
+ * - gemini:     Google Gemini SDK (GEMINI_API_KEY, GEMINI_MODEL)
+ * - openai:     any OpenAI-compatible server (OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL),
+ *               e.g. OpenAI itself, Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1)
+ */
+
+import axios from 'axios';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+const OPENROUTER_MODEL = process.env.OPENROUTER_MODEL || 'google/gemini-flash-1.5';
+const OPENROUTER_BASE_URL = process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+const REQUEST_TIMEOUT = 25000;
+
+let genAI = null;
+if (GEMINI_API_KEY) {
+  genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+}
+
+/**
+ * POST a chat completion to an OpenAI-style endpoint.
+ * JSON mode is dropped and the request retried once if the server rejects it,
+ * since not every model supports it; the prompt still asks for JSON.
+ */
+async function postChatCompletion(baseUrl, headers, body, json) {
+  const request = (responseFormat) => axios.post(
+    `${baseUrl}/chat/completions`,
+    { ...body, ...(responseFormat && { response_format: responseFormat }) },
+    { headers, timeout: REQUEST_TIMEOUT }
+  );
+
+  let response;
+  try {
+    response = await request(json ? { type: 'json_object' } : null);
+  } catch (err) {
+    if (!json || err.response?.status !== 400) throw err;
+    console.warn('⚠️ Model rejected JSON mode, retrying without it');
+    response = await request(null);
+  }
+
+  const { choices, usage } = response.data || {};
+  return {
+    text: choices?.[0]?.message?.content || '',
+    usage: usage ? { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens } : null,
+  };
+}
+
+export const openrouterProvider = {
+  name: 'openrouter',
+  label: 'OpenRouter',
+  capabilities: { jsonMode: true, offline: false },
+  defaultModel: OPENROUTER_MODEL,
+  isConfigured: () => Boolean(OPENROUTER_API_KEY),
+  complete: (messages, { json = false, model = OPENROUTER_MODEL } = {}) => postChatCompletion(
+    OPENROUTER_BASE_URL,
+    {
+      Authorization: `Bearer ${OPENROUTER_API_KEY}`,
+      'HTTP-Referer': 'http://localhost',
+      'X-Title': 'BookTok',
+    },
+    { model, messages },
+    json
+  ),
+};
+
+export const geminiProvider = {
+  name: 'gemini',
+  label: 'Google Gemini',
+  capabilities: { jsonMode: true, offline: false },
+  defaultModel: GEMINI_MODEL,
+  isConfigured: () => Boolean(genAI),
+  complete: async (messages, { json = false, model = GEMINI_MODEL } = {}) => {
+    const result = await genAI.getGenerativeModel({ model }).generateContent({
+      contents: messages.map((message) => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }],
+      })),
+      generationConfig: json ? { responseMimeType: 'application/json' } : undefined,
+    });
+    const usage = result.response.usageMetadata;
+    return {
+      text: result.response.text(),
+      usage: usage ? { inputTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount } : null,
+    };
+  },
+};
+
+export const openaiCompatibleProvider = {
+  name: 'openai',
+  label: `OpenAI-compatible (${OPENAI_BASE_URL})`,
+  capabilities: { jsonMode: true, offline: !/api\.openai\.com/.test(OPENAI_BASE_URL) },
+  defaultModel: OPENAI_MODEL,
+  // Local servers usually need no key, so an explicit base URL is enough
+  isConfigured: () => Boolean(OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+  complete: (messages, { json = false, model = OPENAI_MODEL } = {}) => postChatCompletion(
+    OPENAI_BASE_URL,
+    OPENAI_API_KEY ? { Authorization: `Bearer ${OPENAI_API_KEY}` } : {},
+    { model, messages },
+    json
+  ),
+};
+
+export default {
+  openrouterProvider,
+  geminiProvider,
+  openaiCompatibleProvider,
+};
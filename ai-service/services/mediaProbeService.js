@@ -0,0 +1,169 @@
+/**
+ * Media Probe Service
+ * Reads real duration, codec and loudness of generated audio/video with ffprobe/FFmpeg
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { runCommand } from './processRunner.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMP_DIR = process.env.TEMP_DIR || path.join(__dirname, '..', 'temp');
+
+// Average speaking rate, only used when a file can't be probed
+const WORDS_PER_SECOND = 2.5;
+
+/**
+ * Give buffers a temporary file so ffprobe can seek through them
+ * @returns {Promise<{filePath: string, cleanup: Function}>}
+ */
+async function withFile(source, extension = 'mp3') {
+  if (!Buffer.isBuffer(source)) {
+    return { filePath: source, cleanup: async () => {} };
+  }
+
+  await fs.mkdir(TEMP_DIR, { recursive: true });
+  const filePath = path.join(TEMP_DIR, `probe_${crypto.randomBytes(8).toString('hex')}.${extension}`);
+  await fs.writeFile(filePath, source);
+  return { filePath, cleanup: () => fs.unlink(filePath).catch(() => {}) };
+}
+
+/**
+ * Probe a media file or buffer
+ * @param {string|Buffer} source - File path or in-memory audio/video
+ * @returns {Promise<{duration: number, formatName: string, bitRate: number, size: number,
+ *   audio: object|null, video: object|null}>}
+ */
+export async function probeMedia(source) {
+  const { filePath, cleanup } = await withFile(source);
+
+  try {
+    const { stdout } = await runCommand('ffprobe', [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      filePath,
+    ]);
+
+    const data = JSON.parse(stdout);
+    const streams = data.streams || [];
+    const audioStream = streams.find((s) => s.codec_type === 'audio');
+    const videoStream = streams.find((s) => s.codec_type === 'video');
+
+    return {
+      duration: Number(data.format?.duration) || 0,
+      formatName: data.format?.format_name || '',
+      bitRate: Number(data.format?.bit_rate) || 0,
+      size: Number(data.format?.size) || 0,
+      audio: audioStream ? {
+        codec: audioStream.codec_name,
+        sampleRate: Number(audioStream.sample_rate) || 0,
+        channels: audioStream.channels || 0,
+        duration: Number(audioStream.duration) || null,
+      } : null,
+      video: videoStream ? {
+        codec: videoStream.codec_name,
+        width: videoStream.width,
+        height: videoStream.height,
+        frameRate: parseFrameRate(videoStream.avg_frame_rate),
+        pixelFormat: videoStream.pix_fmt,
+        duration: Number(videoStream.duration) || null,
+      } : null,
+    };
+  } finally {
+    await cleanup();
+  }
+}
+
+function parseFrameRate(rate) {
+  const [num, den] = String(rate || '0/1').split('/').map(Number);
+  return den ? Math.round((num / den) * 100) / 100 : 0;
+}
+
+/**
+ * Measure integrated loudness (EBU R128) using FFmpeg's loudnorm analysis pass
+ * @param {string|Buffer} source - File path or in-memory audio/video
+ * @returns {Promise<{integrated: number, truePeak: number, range: number, threshold: number}>} LUFS / dBTP / LU
+ */
+export async function measureLoudness(source) {
+  const { filePath, cleanup } = await withFile(source);
+
+  try {
+    const { stderr } = await runCommand('ffmpeg', [
+      '-hide_banner',
+      '-nostats',
+      '-i', filePath,
+      '-af', 'loudnorm=print_format=json',
+      '-f', 'null',
+      '-',
+    ]);
+
+    // loudnorm prints its JSON report as the last block on stderr
+    const jsonMatch = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Could not read loudness report from FFmpeg output');
+    }
+
+    const report = JSON.parse(jsonMatch[0]);
+    return {
+      integrated: Number(report.input_i),
+      truePeak: Number(report.input_tp),
+      range: Number(report.input_lra),
+      threshold: Number(report.input_thresh),
+    };
+  } finally {
+    await cleanup();
+  }
+}
+
+/**
+ * Approximate speaking duration from word count, for when probing isn't possible
+ */
+export function estimateSpeakingDuration(text) {
+  const wordCount = (text || '').split(/\s+/).filter(Boolean).length;
+  return Math.ceil(wordCount / WORDS_PER_SECOND);
+}
+
+/**
+ * Measured duration of audio/video in seconds, falling back to a word-count
+ * estimate of `fallbackText` when ffprobe is unavailable or fails
+ * @param {string|Buffer} source - File path or in-memory audio
+ * @param {string} fallbackText - Narration text used for the estimate
+ * @returns {Promise<number>}
+ */
+export async function getMediaDuration(source, fallbackText = '') {
+  try {
+    const { duration, audio } = await probeMedia(source);
+    const measured = duration || audio?.duration;
+    if (measured) return measured;
+  } catch (error) {
+    console.warn('⚠️ Could not probe media duration:', error.message);
+  }
+
+  return fallbackText ? estimateSpeakingDuration(fallbackText) : 0;
+}
+
+/**
+ * Check if ffprobe is available
+ */
+export async function checkFFprobe() {
+  return new Promise((resolve) => {
+    const ffprobe = spawn('ffprobe', ['-version']);
+    ffprobe.on('close', (code) => resolve(code === 0));
+    ffprobe.on('error', () => resolve(false));
+  });
+}
+
+export default {
+  probeMedia,
+  measureLoudness,
+  estimateSpeakingDuration,
+  getMediaDuration,
+  checkFFprobe,
+};
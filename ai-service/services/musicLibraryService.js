@@ -0,0 +1,170 @@
+/**
+ * Music Library Service
+ * Indexes local royalty-free tracks and picks one that matches a music selection
+ *
+ * Tracks live in MUSIC_LIBRARY_DIR (default: ai-service/music) and are listed in its manifest.json:
+ * {
+ *   "version": 1,
+ *   "tracks": [
+ *     {
+ *       "id": "candlelit-study",
+ *       "file": "candlelit-study.mp3",
+ *       "title": "Candlelit Study",
+ *       "artist": "Artist Name",
+ *       "license": "CC BY 4.0",
+ *       "aesthetics": ["dark-academia", "mystery-thriller"],
+ *       "tempo": "slow",
+ *       "bpm": 72,
+ *       "moods": ["mysterious", "melancholic"],
+ *       "genres": ["classical", "dark ambient"]
+ *     }
+ *   ]
+ * }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MUSIC_LIBRARY_DIR = process.env.MUSIC_LIBRARY_DIR || path.join(__dirname, '..', 'music');
+const MANIFEST_FILE = 'manifest.json';
+
+const TEMPOS = ['slow', 'moderate', 'fast'];
+
+let libraryCache = null;
+
+/**
+ * Load the manifest, keeping only tracks whose audio file exists
+ * @param {boolean} reload - Re-read the manifest instead of using the cached copy
+ * @returns {Promise<Array<object>>} Tracks with an absolute `path`
+ */
+export async function loadMusicLibrary(reload = false) {
+  if (libraryCache && !reload) return libraryCache;
+
+  let manifest;
+  try {
+    const raw = await fs.readFile(path.join(MUSIC_LIBRARY_DIR, MANIFEST_FILE), 'utf-8');
+    manifest = JSON.parse(raw);
+  } catch (error) {
+    console.warn(`⚠️ Music library manifest not loaded: ${error.message}`);
+    libraryCache = [];
+    return libraryCache;
+  }
+
+  const tracks = [];
+  for (const entry of manifest.tracks || []) {
+    if (!entry?.file) continue;
+
+    const trackPath = path.resolve(MUSIC_LIBRARY_DIR, entry.file);
+    try {
+      await fs.access(trackPath);
+    } catch {
+      console.warn(`⚠️ Music track missing, skipping: ${entry.file}`);
+      continue;
+    }
+
+    tracks.push({
+      id: entry.id || path.parse(entry.file).name,
+      title: entry.title || path.parse(entry.file).name,
+      artist: entry.artist || '',
+      license: entry.license || '',
+      aesthetics: normalizeTags(entry.aesthetics),
+      tempo: TEMPOS.includes(entry.tempo) ? entry.tempo : tempoFromBpm(entry.bpm),
+      bpm: Number(entry.bpm) || null,
+      moods: normalizeTags(entry.moods),
+      genres: normalizeTags(entry.genres),
+      path: trackPath,
+    });
+  }
+
+  libraryCache = tracks;
+  console.log(`🎵 Music library loaded: ${tracks.length} tracks`);
+  return libraryCache;
+}
+
+function normalizeTags(tags = []) {
+  return (Array.isArray(tags) ? tags : [tags])
+    .filter(Boolean)
+    .map((tag) => tag.toString().toLowerCase().trim());
+}
+
+function tempoFromBpm(bpm) {
+  if (!bpm) return 'moderate';
+  if (bpm < 85) return 'slow';
+  if (bpm > 120) return 'fast';
+  return 'moderate';
+}
+
+/**
+ * Words from free-text fields, for loose matching against track tags
+ */
+function toWords(values = []) {
+  return new Set(
+    normalizeTags(values)
+      .flatMap((value) => value.split(/[^a-z0-9-]+/))
+      .filter((word) => word.length > 2)
+  );
+}
+
+/**
+ * Score a track against a selection from musicSelectionService.selectMusicForAesthetic
+ */
+function scoreTrack(track, selection, aesthetic) {
+  let score = 0;
+
+  if (aesthetic && track.aesthetics.includes(aesthetic)) score += 3;
+
+  const tempo = (selection.tempo || '').toLowerCase();
+  if (tempo && track.tempo && tempo.includes(track.tempo)) score += 2;
+
+  const moodWords = toWords([selection.mood]);
+  score += track.moods.filter((mood) => moodWords.has(mood)).length;
+
+  const genreWords = toWords(selection.musicGenres);
+  score += track.genres.filter((genre) => genre.split(/\s+/).some((word) => genreWords.has(word))).length;
+
+  return score;
+}
+
+/**
+ * Pick the library track that best fits a music selection
+ * Ties are broken by a stable hash of `seed`, so the same book keeps the same track.
+ *
+ * @param {object} selection - { musicGenres, tempo, mood } from selectMusicForAesthetic
+ * @param {object} options - { aesthetic, seed }
+ * @returns {Promise<object|null>} Track, or null if nothing in the library matches
+ */
+export async function pickTrack(selection = {}, options = {}) {
+  const { aesthetic, seed = '' } = options;
+  const tracks = await loadMusicLibrary();
+  if (tracks.length === 0) return null;
+
+  const scored = tracks
+    .map((track) => ({ track, score: scoreTrack(track, selection, aesthetic) }))
+    .filter(({ score }) => score > 0);
+  if (scored.length === 0) return null;
+
+  const best = Math.max(...scored.map(({ score }) => score));
+  const candidates = scored.filter(({ score }) => score === best).map(({ track }) => track);
+
+  const hash = crypto.createHash('md5').update(String(seed)).digest().readUInt32BE(0);
+  return candidates[hash % candidates.length];
+}
+
+/**
+ * Check if any tracks are available
+ */
+export async function hasMusic() {
+  const tracks = await loadMusicLibrary();
+  return tracks.length > 0;
+}
+
+export default {
+  loadMusicLibrary,
+  pickTrack,
+  hasMusic,
+};
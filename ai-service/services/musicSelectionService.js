@@ -3,14 +3,29 @@
  * Recommends music and audio for different aesthetics and moods
 */
 
-import { generateText } from './llmClient.js';
+import { generateStructured } from './llmClient.js';
+
+const MUSIC_SELECTION_SCHEMA = {
+  type: 'object',
+  required: ['musicGenres', 'instrumentsToFeature', 'tempo', 'mood', 'recommendations', 'soundscapeElements'],
+  properties: {
+    musicGenres: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    instrumentsToFeature: { type: 'array', items: { type: 'string' } },
+    tempo: { type: 'string', enum: ['slow', 'moderate', 'fast'] },
+    mood: { type: 'string' },
+    recommendations: { type: 'array', items: { type: 'string' } },
+    soundscapeElements: { type: 'array', items: { type: 'string' } },
+  },
+};
 
 /**
  * Select music for a book's aesthetic
+ * Returns the selection plus source ('llm' or 'fallback')
 */
 export async function selectMusicForAesthetic(bookData) {
+  const { title, aesthetic, vibeCollage = '' } = bookData;
+
   try {
-    const { title, aesthetic, vibeCollage = '' } = bookData;
 
     const prompt = `Recommend music styles and characteristics for this book's aesthetic.
 
@@ -18,30 +33,21 @@ Book: "${title}"
 Aesthetic: ${aesthetic}
 Vibe: ${vibeCollage}
 
-Respond with JSON:
-{
-  "musicGenres": ["genre1", "genre2", "genre3"],
-  "instrumentsToFeature": ["instrument1", "instrument2"],
-  "tempo": "slow/moderate/fast",
-  "mood": "The emotional tone of recommended music",
-  "recommendations": [
-    "Artist or song suggestion",
-    "Artist or song suggestion"
-  ],
-  "soundscapeElements": ["element1", "element2"]
-}`;
-
-    const responseText = await generateText(prompt);
-
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      return getDefaultMusicForAesthetic(aesthetic);
-    }
+- musicGenres: 3 genres
+- instrumentsToFeature: 2 instruments
+- tempo: slow, moderate or fast
+- mood: the emotional tone of recommended music
+- recommendations: 2 artist or song suggestions
+- soundscapeElements: 2 ambient sound elements`;
 
-    return JSON.parse(jsonMatch[0]);
+    const { data, source } = await generateStructured(prompt, MUSIC_SELECTION_SCHEMA, {
+      label: 'Music selection',
+      fallback: () => getDefaultMusicForAesthetic(aesthetic),
+    });
+    return { ...data, source };
   } catch (error) {
     console.error('Error selecting music:', error);
-    return getDefaultMusicForAesthetic(aesthetic);
+    return { ...getDefaultMusicForAesthetic(aesthetic), source: 'fallback' };
   }
 }
 
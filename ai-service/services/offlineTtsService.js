@@ -0,0 +1,189 @@
+/**
+ * Offline TTS Service
+ * Local text-to-speech that works without network access or API keys.
+ *
+ * Engines, in the order they are auto-detected:
+ * - piper     (neural voices; needs PIPER_MODEL pointing at a .onnx voice model)
+ * - espeak-ng / espeak (robotic but available on almost any Linux box)
+ * - say       (the `say` package: macOS `say` / Windows SAPI; it can't export audio on Linux)
+ *
+ * Set OFFLINE_TTS_ENGINE to force one of: piper, espeak-ng, espeak, say
+ */
+
+import say from 'say';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { getMediaDuration } from './mediaProbeService.js';
+import { runCommand, runFFmpeg } from './processRunner.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMP_DIR = path.join(__dirname, '..', 'temp');
+
+const OFFLINE_TTS_ENGINE = process.env.OFFLINE_TTS_ENGINE;
+const PIPER_MODEL = process.env.PIPER_MODEL;
+
+// Voice and speaking rate per voice type
+const ESPEAK_VOICES = {
+  female: { voice: 'en-us+f3', wordsPerMinute: 165 },
+  male: { voice: 'en-us+m3', wordsPerMinute: 160 },
+  mysterious: { voice: 'en-gb+m7', wordsPerMinute: 140 },
+};
+
+// Extra espeak voices so dialogue can give each character its own
+const ESPEAK_CHARACTER_VOICES = ['en-us+f4', 'en-gb+m1', 'en-us+m5', 'en-gb+f2'];
+
+const SAY_VOICES = {
+  darwin: { female: 'Samantha', male: 'Alex', mysterious: 'Daniel' },
+  win32: { female: 'Microsoft Zira Desktop', male: 'Microsoft David Desktop', mysterious: 'Microsoft David Desktop' },
+};
+
+let detectedEngine;
+
+async function commandExists(command, args = ['--version']) {
+  try {
+    await runCommand(command, args);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Work out which local engine to use (cached after the first call)
+ * @returns {Promise<string|null>} Engine name, or null if none is installed
+ */
+export async function detectEngine() {
+  if (detectedEngine !== undefined) return detectedEngine;
+
+  const candidates = OFFLINE_TTS_ENGINE ? [OFFLINE_TTS_ENGINE] : ['piper', 'espeak-ng', 'espeak', 'say'];
+  detectedEngine = null;
+
+  for (const engine of candidates) {
+    if (engine === 'piper') {
+      if (PIPER_MODEL && await commandExists('piper', ['--help'])) detectedEngine = 'piper';
+    } else if (engine === 'espeak-ng' || engine === 'espeak') {
+      if (await commandExists(engine)) detectedEngine = engine;
+    } else if (engine === 'say') {
+      if (SAY_VOICES[process.platform]) detectedEngine = 'say';
+    } else {
+      console.warn(`⚠️ Unknown OFFLINE_TTS_ENGINE "${engine}"`);
+    }
+
+    if (detectedEngine) break;
+  }
+
+  return detectedEngine;
+}
+
+/**
+ * Write speech for `text` to a WAV file with the given engine
+ */
+async function synthesizeToWav(engine, text, voiceType, voiceId, wavPath) {
+  if (engine === 'piper') {
+    await runCommand('piper', ['--model', PIPER_MODEL, '--output_file', wavPath], { input: text });
+    return;
+  }
+
+  if (engine === 'say') {
+    const voice = voiceId || SAY_VOICES[process.platform][voiceType] || null;
+    await new Promise((resolve, reject) => {
+      say.export(text, voice, 1, wavPath, (err) => (err ? reject(err) : resolve()));
+    });
+    return;
+  }
+
+  const preset = ESPEAK_VOICES[voiceType] || ESPEAK_VOICES.female;
+  const voice = voiceId || preset.voice;
+  const wordsPerMinute = preset.wordsPerMinute;
+  // Text goes through stdin so narration can't be mistaken for options
+  await runCommand(engine, ['-v', voice, '-s', String(wordsPerMinute), '-w', wavPath, '--stdin'], { input: text });
+}
+
+/**
+ * Generate speech locally
+ * @param {string} text - Text to convert to speech
+ * @param {string} voiceType - Voice type (male, female, mysterious)
+ * @param {string} voiceId - Engine voice from listVoices() to use instead (optional, ignored by piper)
+ * @returns {Promise<{audioBuffer: Buffer, duration: number}>} MP3 audio (WAV if FFmpeg can't transcode)
+ */
+export async function generateSpeech(text, voiceType = 'female', voiceId = null) {
+  const engine = await detectEngine();
+  if (!engine) {
+    throw new Error('No offline TTS engine found (install espeak-ng or piper, or set OFFLINE_TTS_ENGINE)');
+  }
+
+  console.log(`🎤 Generating speech offline with ${engine}...`);
+  await fs.mkdir(TEMP_DIR, { recursive: true });
+
+  const tempId = crypto.randomBytes(8).toString('hex');
+  const wavPath = path.join(TEMP_DIR, `tts_${tempId}.wav`);
+  const mp3Path = path.join(TEMP_DIR, `tts_${tempId}.mp3`);
+
+  try {
+    await synthesizeToWav(engine, text, voiceType, voiceId, wavPath);
+
+    // Match the MP3 output of the other providers
+    let outputPath = mp3Path;
+    try {
+      await runFFmpeg(['-i', wavPath, '-codec:a', 'libmp3lame', '-q:a', '4', '-y', mp3Path]);
+    } catch (error) {
+      console.warn('⚠️ Could not transcode offline speech to MP3, using WAV:', error.message);
+      outputPath = wavPath;
+    }
+
+    const audioBuffer = await fs.readFile(outputPath);
+    const duration = await getMediaDuration(outputPath, text);
+
+    console.log(`✅ Offline TTS audio generated (${audioBuffer.length} bytes)`);
+    return { audioBuffer, duration };
+  } finally {
+    await Promise.all([wavPath, mp3Path].map((file) => fs.unlink(file).catch(() => {})));
+  }
+}
+
+/**
+ * Voices available for the detected engine
+ */
+export async function listVoices() {
+  const engine = await detectEngine();
+  if (!engine) return [];
+
+  if (engine === 'piper') {
+    return [{ id: path.basename(PIPER_MODEL, '.onnx'), name: `Piper (${path.basename(PIPER_MODEL)})` }];
+  }
+  if (engine === 'say') {
+    return Object.entries(SAY_VOICES[process.platform]).map(([voiceType, id]) => ({ id, name: id, voiceType }));
+  }
+  return [
+    ...Object.entries(ESPEAK_VOICES).map(([voiceType, { voice }]) => ({ id: voice, name: `${engine} (${voice})`, voiceType })),
+    ...ESPEAK_CHARACTER_VOICES.map((voice) => ({ id: voice, name: `${engine} (${voice})` })),
+  ];
+}
+
+/**
+ * TTS provider entry for the provider registry (ttsService.js)
+ */
+export const ttsProvider = {
+  name: 'offline',
+  label: 'Offline (piper / espeak-ng / say)',
+  capabilities: {
+    offline: true,
+    voiceTypes: true,
+    languages: ['en'],
+    outputFormat: 'mp3',
+  },
+  isConfigured: async () => Boolean(await detectEngine()),
+  listVoices,
+  synthesize: (text, { voiceType, voice } = {}) => generateSpeech(text, voiceType, voice),
+};
+
+export default {
+  detectEngine,
+  generateSpeech,
+  listVoices,
+  ttsProvider,
+};
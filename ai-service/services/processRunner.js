@@ -0,0 +1,48 @@
+/**
+ * Process Runner
+ * Runs command-line tools (FFmpeg, ffprobe, TTS engines) to completion
+ */
+
+import { spawn } from 'child_process';
+
+/**
+ * Run a command, optionally writing `input` to its stdin
+ * @param {string} command - Executable to run
+ * @param {string[]} args - Its arguments
+ * @param {object} options
+ * @param {string|Buffer} options.input - Written to stdin, which is then closed
+ * @param {string} options.label - Name used in error messages (default: the command)
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+export function runCommand(command, args, { input = null, label = command } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => { stdout += data.toString(); });
+    child.stderr.on('data', (data) => { stderr += data.toString(); });
+    child.on('error', (error) => reject(new Error(`${label} error: ${error.message}`)));
+    child.on('close', (code) => {
+      if (code === 0) resolve({ stdout, stderr });
+      else reject(new Error(`${label} exited with code ${code}: ${stderr.slice(-500)}`));
+    });
+
+    if (input !== null) {
+      child.stdin.on('error', () => {}); // Reported through 'close' instead
+      child.stdin.end(input);
+    }
+  });
+}
+
+/**
+ * Run FFmpeg to completion
+ */
+export function runFFmpeg(args) {
+  return runCommand('ffmpeg', args, { label: 'FFmpeg' });
+}
+
+export default {
+  runCommand,
+  runFFmpeg,
+};
@@ -0,0 +1,216 @@
+/**
+ * Rendition Service
+ * Derives the output formats of a generation (aspect ratios, animated previews,
+ * poster frame) from the master video
+ */
+
+import path from 'path';
+import { runFFmpeg } from './processRunner.js';
+
+// Output profiles a generation can request.
+// `video` profiles are full MP4s; `preview` profiles are short looping animations.
+export const RENDITION_PROFILES = {
+  portrait: { kind: 'video', format: 'mp4', width: 1080, height: 1920, aspect: '9:16' }, // TikTok / Reels / Shorts
+  square: { kind: 'video', format: 'mp4', width: 1080, height: 1080, aspect: '1:1' },
+  landscape: { kind: 'video', format: 'mp4', width: 1920, height: 1080, aspect: '16:9' },
+  gif: { kind: 'preview', format: 'gif', width: 480, fps: 12, duration: 4 },
+  webp: { kind: 'preview', format: 'webp', width: 480, fps: 15, duration: 4 },
+  poster: { kind: 'image', format: 'jpg', at: 1 },
+};
+
+const ALIASES = {
+  '9:16': 'portrait',
+  '1:1': 'square',
+  '16:9': 'landscape',
+  preview: 'gif',
+  thumbnail: 'poster',
+};
+
+export const DEFAULT_RENDITIONS = ['portrait', 'poster'];
+
+const MIME_TYPES = {
+  mp4: 'video/mp4',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  jpg: 'image/jpeg',
+};
+
+/**
+ * Get the list of supported rendition names
+ */
+export function getAvailableRenditions() {
+  return Object.keys(RENDITION_PROFILES);
+}
+
+/**
+ * Normalize requested renditions into a de-duplicated list of { name, ...profile }
+ * A portrait video is added when no video format was requested, since every
+ * other rendition is derived from a master video.
+ * @param {string|Array<string>} renditions - Names (or aspect ratios), as a list or comma-separated string
+ * @returns {Array<object>}
+ */
+export function resolveRenditions(renditions = DEFAULT_RENDITIONS) {
+  const list = Array.isArray(renditions) ? renditions : String(renditions).split(',');
+  const resolved = [];
+
+  for (const entry of list) {
+    const key = String(entry).toLowerCase().trim();
+    const name = ALIASES[key] || key;
+
+    if (!(name in RENDITION_PROFILES)) {
+      console.warn(`⚠️ Unknown rendition "${entry}", skipping`);
+      continue;
+    }
+    if (resolved.some((r) => r.name === name)) continue;
+
+    resolved.push({ name, ...RENDITION_PROFILES[name] });
+  }
+
+  if (!resolved.some((r) => r.kind === 'video')) {
+    resolved.unshift({ name: 'portrait', ...RENDITION_PROFILES.portrait });
+  }
+
+  return resolved;
+}
+
+/**
+ * The video profile the master is encoded at: the first video rendition requested
+ */
+export function getMasterProfile(renditions) {
+  return renditions.find((r) => r.kind === 'video');
+}
+
+/**
+ * Create every requested rendition from the master video.
+ * The master itself is returned as its own rendition. A rendition that fails
+ * to encode is skipped rather than failing the generation.
+ *
+ * @param {string} masterPath - Compiled video
+ * @param {Array<object>} renditions - Output of resolveRenditions()
+ * @param {object} options - { duration (seconds), onProgress ({ completed, total }) }
+ * @returns {Promise<Array<{name, kind, format, mimeType, width, height, path}>>}
+ */
+export async function createRenditions(masterPath, renditions, options = {}) {
+  const { duration = 0, onProgress = null } = options;
+  const master = getMasterProfile(renditions);
+  const basePath = masterPath.slice(0, -path.extname(masterPath).length);
+  const outputs = [];
+  let completed = 0;
+
+  for (const rendition of renditions) {
+    const outputPath = `${basePath}_${rendition.name}.${rendition.format}`;
+
+    try {
+      if (rendition.name === master.name) {
+        outputs.push(describeRendition(rendition, masterPath, master));
+      } else if (rendition.kind === 'video') {
+        console.log(`📐 Rendering ${rendition.name} (${rendition.width}x${rendition.height})...`);
+        await runFFmpeg(buildReframeArgs(masterPath, outputPath, rendition));
+        outputs.push(describeRendition(rendition, outputPath, master));
+      } else if (rendition.kind === 'preview') {
+        console.log(`🎞️ Rendering ${rendition.format.toUpperCase()} preview...`);
+        await runFFmpeg(buildPreviewArgs(masterPath, outputPath, rendition));
+        outputs.push(describeRendition(rendition, outputPath, master));
+      } else {
+        console.log('🖼️ Extracting poster frame...');
+        const at = duration ? Math.min(rendition.at, duration / 2) : rendition.at;
+        await runFFmpeg(['-ss', at.toFixed(3), '-i', masterPath, '-frames:v', '1', '-q:v', '2', '-y', outputPath]);
+        outputs.push(describeRendition(rendition, outputPath, master));
+      }
+    } catch (error) {
+      console.warn(`⚠️ Rendition ${rendition.name} failed, skipping:`, error.message);
+    }
+
+    completed++;
+    if (typeof onProgress === 'function') {
+      onProgress({ completed, total: renditions.length, name: rendition.name });
+    }
+  }
+
+  return outputs;
+}
+
+/**
+ * Refit the master into another aspect ratio: the full frame is kept in the
+ * middle over a blurred, cropped copy of itself so nothing (captions included) is cut off
+ */
+function buildReframeArgs(inputPath, outputPath, { width, height }) {
+  const filter = [
+    '[0:v]split=2[bg][fg]',
+    `[bg]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=20:2[blurred]`,
+    `[fg]scale=${width}:${height}:force_original_aspect_ratio=decrease[front]`,
+    '[blurred][front]overlay=(W-w)/2:(H-h)/2,setsar=1,format=yuv420p[outv]',
+  ].join(';');
+
+  return [
+    '-i', inputPath,
+    '-filter_complex', filter,
+    '-map', '[outv]',
+    '-map', '0:a?',
+    '-c:v', 'libx264',
+    '-preset', 'medium',
+    '-crf', '23',
+    '-c:a', 'copy',
+    '-movflags', '+faststart',
+    '-y',
+    outputPath,
+  ];
+}
+
+/**
+ * Short looping animation from the start of the video (no audio)
+ */
+function buildPreviewArgs(inputPath, outputPath, { format, width, fps, duration }) {
+  if (format === 'gif') {
+    // A palette built from the clip itself keeps GIF colors from banding
+    return [
+      '-t', String(duration),
+      '-i', inputPath,
+      '-filter_complex', `[0:v]fps=${fps},scale=${width}:-1:flags=lanczos,split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=3`,
+      '-loop', '0',
+      '-y',
+      outputPath,
+    ];
+  }
+
+  return [
+    '-t', String(duration),
+    '-i', inputPath,
+    '-vf', `fps=${fps},scale=${width}:-1:flags=lanczos`,
+    '-c:v', 'libwebp',
+    '-quality', '70',
+    '-loop', '0',
+    '-an',
+    '-y',
+    outputPath,
+  ];
+}
+
+function describeRendition(rendition, filePath, master) {
+  let { width, height } = rendition;
+
+  // Previews and posters keep the master's aspect ratio
+  if (rendition.kind !== 'video') {
+    width = width || master.width;
+    height = Math.round((width * master.height) / master.width);
+  }
+
+  return {
+    name: rendition.name,
+    kind: rendition.kind,
+    format: rendition.format,
+    mimeType: MIME_TYPES[rendition.format],
+    width,
+    height,
+    path: filePath,
+  };
+}
+
+export default {
+  RENDITION_PROFILES,
+  DEFAULT_RENDITIONS,
+  getAvailableRenditions,
+  resolveRenditions,
+  getMasterProfile,
+  createRenditions,
+};
@@ -0,0 +1,111 @@
+/**
+ * Schema Validator
+ * Validates parsed LLM output against a JSON Schema.
+ *
+ * Supports the subset the services use: type (string or list), enum, const,
+ * properties, required, additionalProperties: false, items, minItems, maxItems,
+ * minLength, maxLength, minimum, maximum.
+ */
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {object} schema - JSON Schema
+ * @returns {Array<string>} Human-readable errors ("$.tropes: expected array"); empty when valid
+ */
+export function validateSchema(value, schema, pointer = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return [`${pointer}: expected ${types.join(' or ')}, got ${describeType(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => option === value)) {
+    errors.push(`${pointer}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && schema.const !== value) {
+    errors.push(`${pointer}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${pointer}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${pointer}: must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${pointer}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${pointer}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${pointer}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${pointer}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${pointer}[${i}]`)));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${pointer}.${key}: is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${pointer}.${key}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!(key in properties)) errors.push(`${pointer}.${key}: is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default {
+  validateSchema,
+};
@@ -1,10 +1,222 @@
-// Placeholder search service to satisfy imports. Implement real search as needed.
+/**
+ * Search Service
+ * Natural-language book search: the LLM turns a query like
+ * "cozy fantasy with found family and no romance" into structured filters,
+ * the caller runs them against its book store, and the results are re-ranked
+ * by how well they match.
+ */
+
+import { generateStructured } from './llmClient.js';
+
+// Video aesthetics books can have (Book.videoAesthetic)
+const AESTHETICS = [
+  'dark-academia',
+  'paranormal-romance',
+  'paranormal-cozy',
+  'paranormal-dark',
+  'cozy-fantasy',
+  'contemporary',
+  'mystery-thriller',
+  'romantasy',
+  'cinematic',
+];
+
+const INTERPRETATION_SCHEMA = {
+  type: 'object',
+  required: ['keywords', 'tropes', 'genres', 'aesthetic', 'exclude'],
+  properties: {
+    keywords: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 10 },
+    tropes: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 8 },
+    genres: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 5 },
+    aesthetic: { type: ['string', 'null'], enum: [...AESTHETICS, null] },
+    exclude: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 8 },
+  },
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'any', 'book', 'books', 'but', 'by', 'for', 'from', 'i', 'in', 'is', 'like', 'me',
+  'novel', 'novels', 'of', 'on', 'or', 'read', 'some', 'something', 'that', 'the', 'to', 'want', 'with',
+]);
+
+// Re-ranking weights
+const WEIGHTS = {
+  text: 1,
+  trope: 2,
+  genre: 1.5,
+  aesthetic: 1,
+  keyword: 0.5,
+  hasVideo: 0.25,
+};
+
+function normalizeTerm(term) {
+  return String(term).toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+// "found-family" and "found family" are the same trope
+function termVariants(term) {
+  const normalized = normalizeTerm(term);
+  return [...new Set([normalized, normalized.replace(/-/g, ' ')])];
+}
+
+function unique(terms) {
+  return [...new Set(terms.map(normalizeTerm).filter(Boolean))];
+}
+
+/**
+ * Keyword interpretation used when no LLM answers: "no X" / "without X" become
+ * exclusions, known aesthetics are picked out, everything else is a keyword.
+ */
+function interpretWithoutLLM(query) {
+  const text = normalizeTerm(query);
+  const exclude = [];
+  const remaining = text.replace(/\b(?:no|without|not|minus)\s+([a-z-]+)/g, (match, term) => {
+    exclude.push(term);
+    return ' ';
+  });
+
+  const aesthetic = AESTHETICS.find((name) => termVariants(name).some((variant) => remaining.includes(variant))) || null;
+  const keywords = remaining
+    .split(/[^a-z0-9-]+/)
+    .filter((word) => word.length > 2 && !STOPWORDS.has(word));
+
+  return { keywords: unique(keywords).slice(0, 10), tropes: [], genres: [], aesthetic, exclude: unique(exclude) };
+}
+
+/**
+ * Labels for the UI's "searching for: …" chips
+ */
+function toChips(interpretation) {
+  return [
+    ...interpretation.genres.map((label) => ({ type: 'genre', label })),
+    ...interpretation.tropes.map((label) => ({ type: 'trope', label })),
+    ...(interpretation.aesthetic ? [{ type: 'aesthetic', label: interpretation.aesthetic }] : []),
+    ...interpretation.keywords.map((label) => ({ type: 'keyword', label })),
+    ...interpretation.exclude.map((label) => ({ type: 'exclude', label: `no ${label}` })),
+  ];
+}
+
+/**
+ * Turn a natural-language query into structured search filters
+ * @param {string} query - e.g. "cozy fantasy with found family and no romance"
+ * @param {object} options - { useLLM (default true; false goes straight to the keyword interpretation) }
+ * @returns {Promise<{ keywords, tropes, genres, aesthetic, exclude, chips, source: 'llm'|'fallback' }>}
+ */
+export async function interpretQuery(query, options = {}) {
+  const { useLLM = true } = options;
+  const prompt = `Turn this book search into structured filters for a BookTok book catalogue.
+
+Search: "${query}"
+
+- keywords: other important words from the search (setting, themes, character types), lowercase
+- tropes: BookTok tropes asked for, lowercase kebab-case (e.g. found-family, enemies-to-lovers, slow-burn)
+- genres: genres asked for, lowercase (e.g. fantasy, romance, thriller)
+- aesthetic: the closest of ${AESTHETICS.join(', ')}, or null if the search implies none
+- exclude: things the reader does NOT want (e.g. "no romance" -> "romance"), lowercase; never repeat these elsewhere`;
+
+  const { data, source } = useLLM
+    ? await generateStructured(prompt, INTERPRETATION_SCHEMA, {
+      label: 'Search interpretation',
+      fallback: () => interpretWithoutLLM(query),
+    })
+    : { data: interpretWithoutLLM(query), source: 'fallback' };
+
+  const exclude = unique(data.exclude);
+  const keep = (terms) => unique(terms).filter((term) => !exclude.includes(term));
+  const interpretation = {
+    keywords: keep(data.keywords),
+    tropes: keep(data.tropes),
+    genres: keep(data.genres),
+    aesthetic: data.aesthetic || null,
+    exclude,
+  };
+
+  return { ...interpretation, chips: toChips(interpretation), source };
+}
+
+/**
+ * Words for a full-text search of the interpretation (tropes and genres split into words)
+ */
+export function getSearchTerms(interpretation) {
+  const { keywords = [], tropes = [], genres = [] } = interpretation;
+  return unique([...keywords, ...tropes, ...genres].flatMap((term) => normalizeTerm(term).split(/[\s-]+/)))
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word));
+}
+
+// Lowercase words separated by single spaces; hyphens split words, so "found-family" reads as "found family"
+function toWords(text) {
+  return normalizeTerm(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean).join(' ');
+}
+
+// Padded with spaces so a term can be looked up as whole words
+function bookText(book) {
+  return ` ${toWords([book.title, book.genre, ...(book.keywords || []), book.summary].filter(Boolean).join(' '))} `;
+}
+
+/**
+ * Whether the text holds the term as whole words (plurals included), so "war"
+ * doesn't match "award" or "toward"
+ * @param {string} text - From bookText()
+ */
+function mentions(text, term) {
+  const words = toWords(term);
+  return Boolean(words) && [words, `${words}s`, `${words}es`].some((form) => text.includes(` ${form} `));
+}
+
+/**
+ * Drop books that mention an exclusion and order the rest by how well they match
+ * @param {object} interpretation - From interpretQuery()
+ * @param {Array<object>} books - Candidates ({ title, genre, keywords, summary, videoAesthetic, videoStatus, score? })
+ * @returns {Array<object>} Books with `relevance` and `matched: { tropes, genres, keywords, aesthetic }`, best first
+ */
+export function rerankResults(interpretation, books) {
+  const { keywords = [], tropes = [], genres = [], aesthetic = null, exclude = [] } = interpretation;
+  const maxScore = Math.max(...books.map((book) => book.score || 0), 0);
+
+  return books
+    .map((book) => {
+      const text = bookText(book);
+      if (exclude.some((term) => mentions(text, term))) return null;
+
+      const matched = {
+        tropes: tropes.filter((trope) => mentions(text, trope)),
+        genres: genres.filter((genre) => mentions(text, genre)),
+        keywords: keywords.filter((keyword) => mentions(text, keyword)),
+        aesthetic: Boolean(aesthetic) && book.videoAesthetic === aesthetic,
+      };
+
+      const relevance = (maxScore ? (book.score || 0) / maxScore : 0) * WEIGHTS.text
+        + matched.tropes.length * WEIGHTS.trope
+        + matched.genres.length * WEIGHTS.genre
+        + matched.keywords.length * WEIGHTS.keyword
+        + (matched.aesthetic ? WEIGHTS.aesthetic : 0)
+        + (book.videoStatus === 'completed' ? WEIGHTS.hasVideo : 0);
+
+      return { ...book, relevance: Math.round(relevance * 1000) / 1000, matched };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.relevance - a.relevance);
+}
+
+/**
+ * Interpret a query, fetch candidates with `findBooks` and re-rank them
+ * @param {string} query
+ * @param {object} options - { findBooks(interpretation, terms) => Promise<books> (required), limit (default 20),
+ *   useLLM (default true) }
+ * @returns {Promise<{ query, interpretation, results, total }>}
+ */
+export async function naturalLanguageSearch(query, options = {}) {
+  const { findBooks, limit = 20, useLLM = true } = options;
+  if (typeof findBooks !== 'function') throw new Error('naturalLanguageSearch needs a findBooks function');
+
+  const interpretation = await interpretQuery(query, { useLLM });
+  const candidates = await findBooks(interpretation, getSearchTerms(interpretation));
+  const ranked = rerankResults(interpretation, candidates);
 
-export async function naturalLanguageSearch(query) {
   return {
     query,
-    results: [],
-    note: 'Search service placeholder — no results.',
+    interpretation,
+    results: ranked.slice(0, limit),
+    total: ranked.length,
   };
 }
 
@@ -17,6 +229,9 @@ export async function aggregateExternalReviews(book) {
 }
 
 export default {
+  interpretQuery,
+  getSearchTerms,
+  rerankResults,
   naturalLanguageSearch,
   aggregateExternalReviews,
 };
@@ -0,0 +1,200 @@
+/**
+ * TTS Service
+ * Registry of text-to-speech providers with priority-ordered fallback
+ *
+ * A provider is an object:
+ * {
+ *   name: 'elevenlabs',
+ *   label: 'ElevenLabs',
+ *   capabilities: { offline, voiceTypes, languages, outputFormat },
+ *   isConfigured(): boolean | Promise<boolean>,
+ *   listVoices(): Promise<Array<{ id, name, ... }>>,
+ *   synthesize(text, { voiceType, voice }): Promise<{ audioBuffer: Buffer, duration: number }>
+ *     (`voice` is an id from the provider's own listVoices() and wins over voiceType)
+ * }
+ *
+ * TTS_PROVIDERS sets the order providers are tried in (default: elevenlabs,gtts,offline).
+ * Providers left out of TTS_PROVIDERS are never used.
+ */
+
+import { ttsProvider as elevenlabsProvider } from './elevenlabsService.js';
+import { ttsProvider as gttsProvider } from './edgeTtsService.js';
+import { ttsProvider as offlineProvider } from './offlineTtsService.js';
+import { recordUsage } from './usageService.js';
+
+const DEFAULT_PRIORITY = ['elevenlabs', 'gtts', 'offline'];
+
+const providers = new Map();
+
+// Last outcome per provider, reported by getTTSHealth()
+const providerStatus = new Map();
+
+/**
+ * Register a provider (replaces any provider with the same name)
+ */
+export function registerProvider(provider) {
+  if (!provider?.name || typeof provider.synthesize !== 'function') {
+    throw new Error('TTS provider needs a name and a synthesize() function');
+  }
+  providers.set(provider.name, provider);
+  if (!providerStatus.has(provider.name)) {
+    providerStatus.set(provider.name, { lastError: null, lastErrorAt: null, lastSuccessAt: null, failures: 0 });
+  }
+}
+
+registerProvider(elevenlabsProvider);
+registerProvider(gttsProvider);
+registerProvider(offlineProvider);
+
+/**
+ * Provider names in the order they should be tried
+ */
+export function getProviderPriority() {
+  const configured = process.env.TTS_PROVIDERS
+    ? process.env.TTS_PROVIDERS.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_PRIORITY;
+
+  return configured.filter((name) => {
+    if (providers.has(name)) return true;
+    console.warn(`⚠️ Unknown TTS provider "${name}" in TTS_PROVIDERS`);
+    return false;
+  });
+}
+
+/**
+ * Get a registered provider by name
+ */
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+async function isProviderConfigured(provider) {
+  try {
+    return Boolean(await provider.isConfigured());
+  } catch {
+    return false;
+  }
+}
+
+function recordSuccess(name) {
+  const status = providerStatus.get(name);
+  status.lastSuccessAt = new Date();
+  status.failures = 0;
+}
+
+function recordFailure(name, error) {
+  const status = providerStatus.get(name);
+  status.lastError = error.response?.status ? `HTTP ${error.response.status}: ${error.message}` : error.message;
+  status.lastErrorAt = new Date();
+  status.failures++;
+}
+
+/**
+ * Synthesize speech with the first provider that succeeds
+ * @param {string} text - Text to speak
+ * @param {object} options - { voiceType, voice (provider voice id), providers (override the priority list) }
+ * @returns {Promise<{audioBuffer: Buffer, duration: number, provider: string}>}
+ */
+export async function synthesizeSpeech(text, options = {}) {
+  const { voiceType = 'female', voice = null, providers: order = getProviderPriority() } = options;
+  const errors = [];
+
+  for (const name of order) {
+    const provider = providers.get(name);
+    if (!provider) continue;
+
+    if (!(await isProviderConfigured(provider))) {
+      console.log(`⏭️ TTS provider ${name} not configured, skipping`);
+      continue;
+    }
+
+    try {
+      console.log(`🎤 Trying ${provider.label || name} TTS...`);
+      const result = await provider.synthesize(text, { voiceType, voice });
+      if (!result?.audioBuffer?.length) {
+        throw new Error('Provider returned no audio');
+      }
+
+      recordSuccess(name);
+      recordUsage({ kind: 'tts', provider: name, model: voice || voiceType, characters: text.length });
+      console.log(`✅ ${provider.label || name} TTS successful`);
+      return { ...result, provider: name };
+    } catch (error) {
+      recordFailure(name, error);
+      errors.push(`${name}: ${providerStatus.get(name).lastError}`);
+      console.warn(`⚠️ ${provider.label || name} TTS failed:`, providerStatus.get(name).lastError);
+    }
+  }
+
+  const error = new Error(errors.length
+    ? `All TTS providers failed (${errors.join('; ')})`
+    : 'No TTS provider is configured');
+  error.providerErrors = errors;
+  throw error;
+}
+
+/**
+ * Enabled providers that are configured right now, in priority order
+ * @returns {Promise<Array<object>>}
+ */
+export async function getAvailableProviders() {
+  const available = [];
+  for (const name of getProviderPriority()) {
+    const provider = providers.get(name);
+    if (await isProviderConfigured(provider)) available.push(provider);
+  }
+  return available;
+}
+
+/**
+ * Voices for one provider, or for every registered provider
+ */
+export async function listVoices(name) {
+  if (name) {
+    const provider = providers.get(name);
+    return provider ? provider.listVoices() : [];
+  }
+
+  const entries = await Promise.all([...providers.values()].map(async (provider) => {
+    try {
+      return [provider.name, await provider.listVoices()];
+    } catch (error) {
+      return [provider.name, []];
+    }
+  }));
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Per-provider health: whether it is enabled and configured, its capabilities
+ * and the most recent error it returned
+ */
+export async function getTTSHealth() {
+  const priority = getProviderPriority();
+
+  return Promise.all([...providers.values()].map(async (provider) => {
+    const status = providerStatus.get(provider.name);
+    return {
+      name: provider.name,
+      label: provider.label,
+      priority: priority.includes(provider.name) ? priority.indexOf(provider.name) + 1 : null,
+      enabled: priority.includes(provider.name),
+      configured: await isProviderConfigured(provider),
+      capabilities: provider.capabilities,
+      lastError: status.lastError,
+      lastErrorAt: status.lastErrorAt,
+      lastSuccessAt: status.lastSuccessAt,
+      consecutiveFailures: status.failures,
+    };
+  }));
+}
+
+export default {
+  registerProvider,
+  getProvider,
+  getProviderPriority,
+  getAvailableProviders,
+  synthesizeSpeech,
+  listVoices,
+  getTTSHealth,
+};
@@ -0,0 +1,167 @@
+/**
+ * Usage Service
+ * Meters every paid generation call (LLM tokens, images, TTS characters, embeddings)
+ * and estimates what it cost.
+ *
+ * Calls are attributed to whoever the work is for through an async context:
+ * wrap a request or job in runWithUsageContext({ user, book, job, ... }) and
+ * every call made underneath it carries that context. Listeners registered
+ * with onUsage() receive each record (the backend stores them in its ledger).
+ *
+ * Prices are estimates in USD; override or extend them with USAGE_PRICING, e.g.
+ * USAGE_PRICING='{"llm":{"openrouter":{"my/model":{"input":0.5,"output":1.5}}}}'
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+// llm, embedding: USD per million tokens; image: USD per image; tts: USD per thousand characters.
+// `default` applies to models of that provider without their own entry.
+const DEFAULT_PRICING = {
+  llm: {
+    openrouter: {
+      'google/gemini-flash-1.5': { input: 0.075, output: 0.3 },
+      default: { input: 0.5, output: 1.5 },
+    },
+    gemini: {
+      'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+      default: { input: 0.075, output: 0.3 },
+    },
+    openai: {
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      default: { input: 0.5, output: 1.5 },
+    },
+  },
+  image: {
+    openrouter: {
+      'google/gemini-3-pro-image-preview': 0.134,
+      default: 0.04,
+    },
+  },
+  embedding: {
+    openai: {
+      'text-embedding-3-small': 0.02,
+      default: 0.1,
+    },
+    gemini: { default: 0 },
+  },
+  tts: {
+    elevenlabs: { default: 0.3 },
+    gtts: { default: 0 },
+    offline: { default: 0 },
+  },
+};
+
+const PRICING = mergePricing(DEFAULT_PRICING, parsePricingOverride(process.env.USAGE_PRICING));
+
+const usageContext = new AsyncLocalStorage();
+const listeners = new Set();
+
+function parsePricingOverride(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.warn('⚠️ Ignoring invalid USAGE_PRICING:', error.message);
+    return {};
+  }
+}
+
+function mergePricing(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? mergePricing(base[key] || {}, value)
+      : value;
+  }
+  return merged;
+}
+
+function getPrice(kind, provider, model) {
+  const providerPrices = PRICING[kind]?.[provider];
+  if (!providerPrices) return null;
+  return providerPrices[model] ?? providerPrices.default ?? null;
+}
+
+/**
+ * Rough token count for text when the provider doesn't report one (~4 characters per token)
+ */
+export function estimateTokens(text) {
+  const length = typeof text === 'string' ? text.length : JSON.stringify(text || '').length;
+  return Math.ceil(length / 4);
+}
+
+/**
+ * Estimated cost in USD of one call. Cached calls, local models and unpriced providers cost nothing.
+ */
+export function estimateCost({ kind, provider, model, inputTokens = 0, outputTokens = 0, images = 0, characters = 0, cached = false, local = false }) {
+  if (cached || local) return 0;
+  const price = getPrice(kind, provider, model);
+  if (price === null) return 0;
+
+  let cost = 0;
+  if (kind === 'llm') cost = (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  else if (kind === 'embedding') cost = (inputTokens * price) / 1e6;
+  else if (kind === 'image') cost = images * price;
+  else if (kind === 'tts') cost = (characters / 1000) * price;
+
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Run `fn` with usage attributed to `context` ({ user, book, job, ip, endpoint, ... })
+ */
+export function runWithUsageContext(context, fn) {
+  return usageContext.run({ ...getUsageContext(), ...context }, fn);
+}
+
+/**
+ * The context usage is currently being attributed to
+ */
+export function getUsageContext() {
+  return usageContext.getStore() || {};
+}
+
+/**
+ * Subscribe to usage records
+ * @returns {Function} Unsubscribe
+ */
+export function onUsage(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Record one generation call
+ * @param {object} usage - { kind: 'llm'|'embedding'|'image'|'tts', provider, model, inputTokens, outputTokens, images, characters,
+ *   cached (served from cacheService), local (model runs on our own hardware) }
+ * @returns {object} The record passed to listeners (usage + costUsd + context)
+ */
+export function recordUsage(usage) {
+  const record = {
+    ...getUsageContext(),
+    ...usage,
+    cached: Boolean(usage.cached),
+    costUsd: estimateCost(usage),
+    createdAt: new Date(),
+  };
+
+  for (const listener of listeners) {
+    try {
+      const pending = listener(record);
+      pending?.catch?.((error) => console.warn('⚠️ Usage listener failed:', error.message));
+    } catch (error) {
+      console.warn('⚠️ Usage listener failed:', error.message);
+    }
+  }
+
+  return record;
+}
+
+export default {
+  estimateTokens,
+  estimateCost,
+  runWithUsageContext,
+  getUsageContext,
+  onUsage,
+  recordUsage,
+};
@@ -0,0 +1,316 @@
+/**
+ * Vector Index
+ * In-memory nearest-neighbour search over embedding vectors by cosine similarity
+ *
+ * - brute: compares the query with every vector; exact, fine for a few thousand books
+ * - hnsw:  Hierarchical Navigable Small World graph; approximate, sub-linear search
+ *          for large catalogues (HNSW_M, HNSW_EF_CONSTRUCTION, HNSW_EF_SEARCH)
+ *
+ * Both share one interface:
+ * {
+ *   type, size, dimensions,
+ *   add(id, vector), remove(id), has(id), get(id),
+ *   search(vector, k, { exclude: [id] }): [{ id, similarity }] best first
+ * }
+ * Vectors are L2-normalised on the way in, so cosine similarity is a dot product.
+ */
+
+const HNSW_M = parseInt(process.env.HNSW_M || '16', 10);
+const HNSW_EF_CONSTRUCTION = parseInt(process.env.HNSW_EF_CONSTRUCTION || '200', 10);
+const HNSW_EF_SEARCH = parseInt(process.env.HNSW_EF_SEARCH || '64', 10);
+
+/**
+ * Scale a vector to unit length (a zero vector stays zero)
+ */
+export function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return Float64Array.from(vector, (value) => (norm ? value / norm : 0));
+}
+
+export function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Cosine similarity of two vectors of any length (-1..1)
+ */
+export function cosineSimilarity(a, b) {
+  return dot(normalizeVector(a), normalizeVector(b));
+}
+
+function round(similarity) {
+  return Math.round(similarity * 1e6) / 1e6;
+}
+
+// Every index keeps to the dimensions of the first vector it was given
+function checkDimensions(index, vector) {
+  if (!vector?.length) throw new Error('Vector must be a non-empty array');
+  if (index.dimensions && vector.length !== index.dimensions) {
+    throw new Error(`Vector has ${vector.length} dimensions, the index holds ${index.dimensions}`);
+  }
+}
+
+/**
+ * Exact search: score every vector
+ */
+export function createBruteForceIndex() {
+  const vectors = new Map();
+
+  return {
+    type: 'brute',
+    dimensions: null,
+
+    get size() {
+      return vectors.size;
+    },
+
+    add(id, vector) {
+      checkDimensions(this, vector);
+      this.dimensions = vector.length;
+      vectors.set(String(id), normalizeVector(vector));
+    },
+
+    remove(id) {
+      return vectors.delete(String(id));
+    },
+
+    has(id) {
+      return vectors.has(String(id));
+    },
+
+    get(id) {
+      return vectors.get(String(id)) || null;
+    },
+
+    search(vector, k = 10, { exclude = [] } = {}) {
+      if (!vectors.size) return [];
+      checkDimensions(this, vector);
+      const query = normalizeVector(vector);
+      const skip = new Set(exclude.map(String));
+
+      const scored = [];
+      for (const [id, candidate] of vectors) {
+        if (!skip.has(id)) scored.push({ id, similarity: dot(query, candidate) });
+      }
+      return scored
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, k)
+        .map(({ id, similarity }) => ({ id, similarity: round(similarity) }));
+    },
+  };
+}
+
+// Small seeded PRNG so the same inserts always build the same graph
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Insert into a list kept sorted by ascending distance, capped at `limit`
+function insertSorted(list, item, limit = Infinity) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (list[mid].distance < item.distance) low = mid + 1;
+    else high = mid;
+  }
+  if (low >= limit) return;
+  list.splice(low, 0, item);
+  if (list.length > limit) list.pop();
+}
+
+/**
+ * Approximate search over an HNSW graph (Malkov & Yashunin, 2016).
+ * Removed vectors are only marked deleted: they still route searches but are
+ * never returned, and the graph is rebuilt once they outnumber the live ones.
+ *
+ * @param {object} options - { m (links per node), efConstruction, efSearch, seed }
+ */
+export function createHnswIndex(options = {}) {
+  const {
+    m = HNSW_M,
+    efConstruction = HNSW_EF_CONSTRUCTION,
+    efSearch = HNSW_EF_SEARCH,
+    seed = 42,
+  } = options;
+  const maxLinks = (level) => (level === 0 ? m * 2 : m);
+  const levelFactor = 1 / Math.log(m);
+
+  let random = mulberry32(seed);
+  let nodes = [];              // { id, vector, level, links: [[nodeIndex]], deleted }
+  let byId = new Map();        // id -> node index
+  let entryPoint = -1;
+  let deletedCount = 0;
+
+  const distance = (vector, nodeIndex) => 1 - dot(vector, nodes[nodeIndex].vector);
+
+  function searchLayer(vector, entries, ef, level) {
+    const visited = new Set(entries);
+    const candidates = [];
+    const found = [];
+    for (const entry of entries) {
+      const item = { node: entry, distance: distance(vector, entry) };
+      insertSorted(candidates, item);
+      insertSorted(found, item, ef);
+    }
+
+    while (candidates.length) {
+      const closest = candidates.shift();
+      if (found.length >= ef && closest.distance > found[found.length - 1].distance) break;
+
+      for (const neighbour of nodes[closest.node].links[level] || []) {
+        if (visited.has(neighbour)) continue;
+        visited.add(neighbour);
+
+        const item = { node: neighbour, distance: distance(vector, neighbour) };
+        if (found.length < ef || item.distance < found[found.length - 1].distance) {
+          insertSorted(candidates, item);
+          insertSorted(found, item, ef);
+        }
+      }
+    }
+    return found;
+  }
+
+  // Walk down from the top layer to `level`, one greedy step per layer
+  function descend(vector, toLevel) {
+    let current = entryPoint;
+    for (let level = nodes[entryPoint].level; level > toLevel; level--) {
+      current = searchLayer(vector, [current], 1, level)[0].node;
+    }
+    return current;
+  }
+
+  function connect(nodeIndex, neighbours, level) {
+    const node = nodes[nodeIndex];
+    node.links[level] = neighbours.slice(0, maxLinks(level)).map(({ node: neighbour }) => neighbour);
+
+    for (const neighbour of node.links[level]) {
+      const links = nodes[neighbour].links[level];
+      links.push(nodeIndex);
+      if (links.length > maxLinks(level)) {
+        // Keep the neighbour's closest links
+        const own = nodes[neighbour].vector;
+        nodes[neighbour].links[level] = links
+          .map((link) => ({ node: link, distance: distance(own, link) }))
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, maxLinks(level))
+          .map(({ node: link }) => link);
+      }
+    }
+  }
+
+  function insert(id, vector) {
+    const level = Math.floor(-Math.log(1 - random()) * levelFactor);
+    const nodeIndex = nodes.length;
+    nodes.push({ id, vector, level, links: Array.from({ length: level + 1 }, () => []), deleted: false });
+    byId.set(id, nodeIndex);
+
+    if (entryPoint === -1) {
+      entryPoint = nodeIndex;
+      return;
+    }
+
+    const topLevel = nodes[entryPoint].level;
+    let entries = [descend(vector, level)];
+    for (let layer = Math.min(level, topLevel); layer >= 0; layer--) {
+      const neighbours = searchLayer(vector, entries, efConstruction, layer);
+      connect(nodeIndex, neighbours, layer);
+      entries = neighbours.map(({ node }) => node);
+    }
+
+    if (level > topLevel) entryPoint = nodeIndex;
+  }
+
+  function rebuild() {
+    const live = nodes.filter((node) => !node.deleted);
+    random = mulberry32(seed);
+    nodes = [];
+    byId = new Map();
+    entryPoint = -1;
+    deletedCount = 0;
+    for (const node of live) insert(node.id, node.vector);
+  }
+
+  return {
+    type: 'hnsw',
+    dimensions: null,
+
+    get size() {
+      return byId.size;
+    },
+
+    add(id, vector) {
+      checkDimensions(this, vector);
+      this.dimensions = vector.length;
+      this.remove(id);
+      insert(String(id), normalizeVector(vector));
+    },
+
+    remove(id) {
+      const nodeIndex = byId.get(String(id));
+      if (nodeIndex === undefined) return false;
+
+      nodes[nodeIndex].deleted = true;
+      byId.delete(String(id));
+      deletedCount++;
+      if (deletedCount > byId.size) rebuild();
+      return true;
+    },
+
+    has(id) {
+      return byId.has(String(id));
+    },
+
+    get(id) {
+      const nodeIndex = byId.get(String(id));
+      return nodeIndex === undefined ? null : nodes[nodeIndex].vector;
+    },
+
+    search(vector, k = 10, { exclude = [] } = {}) {
+      if (!byId.size) return [];
+      checkDimensions(this, vector);
+      const query = normalizeVector(vector);
+      const skip = new Set(exclude.map(String));
+
+      // Deleted and excluded nodes take up slots in the candidate list, so widen it
+      const ef = Math.max(efSearch, k + skip.size + Math.min(deletedCount, k));
+      return searchLayer(query, [descend(query, 0)], ef, 0)
+        .filter(({ node }) => !nodes[node].deleted && !skip.has(nodes[node].id))
+        .slice(0, k)
+        .map(({ node, distance: nodeDistance }) => ({ id: nodes[node].id, similarity: round(1 - nodeDistance) }));
+    },
+  };
+}
+
+/**
+ * Create an index of the given type ('brute' | 'hnsw', default VECTOR_INDEX or 'brute')
+ */
+export function createVectorIndex(type = process.env.VECTOR_INDEX || 'brute', options = {}) {
+  switch (String(type).toLowerCase()) {
+    case 'brute':
+      return createBruteForceIndex();
+    case 'hnsw':
+      return createHnswIndex(options);
+    default:
+      throw new Error(`Unknown vector index type "${type}" (expected brute or hnsw)`);
+  }
+}
+
+export default {
+  normalizeVector,
+  dot,
+  cosineSimilarity,
+  createBruteForceIndex,
+  createHnswIndex,
+  createVectorIndex,
+};
@@ -9,6 +9,10 @@ import path from 'path';
 import axios from 'axios';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import { resolveTransitions, planClipTimings, buildTransitionFilter } from './videoTransitionService.js';
+import { writeCaptionFiles, buildBurnInFilter } from './captionService.js';
+import { getMediaDuration, probeMedia } from './mediaProbeService.js';
+import { runFFmpeg } from './processRunner.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,20 +21,39 @@ const __dirname = path.dirname(__filename);
 const TEMP_DIR = process.env.TEMP_DIR || path.join(__dirname, '..', 'temp');
 const OUTPUT_DIR = process.env.OUTPUT_DIR || path.join(__dirname, '..', 'output');
 
+// Frame rate for the scene clips (xfade needs every input on the same rate)
+const FRAME_RATE = 25;
+
 /**
  * Compile images and audio into a video
  * @param {string[]} imageUrls - Array of image URLs
  * @param {Buffer|string} audioData - Audio buffer or file path
  * @param {object} options - Compilation options
- * @returns {Promise<{videoPath: string, duration: number}>}
+ * @param {string|Array} options.transition - Transition for every cut, or one per cut (see videoTransitionService)
+ * @param {number} options.transitionDuration - Default transition length in seconds
+ * @param {Array} options.captions - Caption cues (see captionService); written as .vtt/.srt next to the video
+ * @param {boolean} options.burnCaptions - Also burn the captions into the picture
+ * @param {string} options.aesthetic - Aesthetic used for the burned-in caption style
+ * @param {object} options.music - Optional music bed { path, volume } mixed under the narration
+ * @param {number} options.audioDuration - Narration length to use if the audio can't be probed
+ * @param {Array<number>} options.clipTimeline - Seconds each image stays on screen (e.g. one per dialogue line);
+ *   images share the narration equally when omitted
+ * @returns {Promise<{videoPath: string, duration: number, media: object|null, captionFiles?: {vttPath: string, srtPath: string}}>}
  */
 export async function compileVideo(imageUrls, audioData, options = {}) {
   const {
     fps = 0.5, // Frames per second (0.5 = each image shows for 2 seconds)
     outputFormat = 'mp4',
-    resolution = '768x1024', // 3:4 portrait aspect ratio (default)
+    resolution = '1080x1920', // 9:16 portrait aspect ratio (default)
     transition = 'fade',
+    transitionDuration = 0.5,
     audioDuration = null,
+    captions = null,
+    burnCaptions = false,
+    aesthetic = 'cinematic',
+    music = null,
+    clipTimeline = null,
+    onProgress = null,
   } = options;
 
   // Create unique session ID for this compilation
@@ -71,26 +94,38 @@ export async function compileVideo(imageUrls, audioData, options = {}) {
       console.log(`🔊 Audio saved to: ${audioPath}`);
     }
 
-    // Calculate timing
-    const imageDuration = audioDuration 
-      ? audioDuration / localImages.length 
-      : 5; // 5 seconds per image if no audio duration (default for ~15s video with 3 images)
+    // Calculate timing from the measured narration length: clips are lengthened to cover
+    // the transition overlaps so the finished video lasts exactly as long as the narration
+    const measuredAudioDuration = audioPath ? await getMediaDuration(audioPath) : 0;
+    const totalDuration = measuredAudioDuration || audioDuration || localImages.length * 5; // 5 seconds per image if no audio
+    audioPath = await addMusicBed(audioPath, music, sessionDir, totalDuration);
+    const { clipDuration: imageDuration, clipDurations, cuts } = planClipTimings(
+      localImages.length,
+      totalDuration,
+      resolveTransitions(transition, localImages.length - 1, transitionDuration),
+      getClipSegments(clipTimeline, imageUrls.length, localImages.length)
+    );
 
-    console.log(`⏱️ Image duration: ${imageDuration.toFixed(2)}s each, Total: ${(localImages.length * imageDuration).toFixed(2)}s`);
+    console.log(`⏱️ Image duration: ${imageDuration.toFixed(2)}s average, Total: ${totalDuration.toFixed(2)}s`);
 
     // Create video using FFmpeg
     const outputPath = path.join(OUTPUT_DIR, `video_${sessionId}.${outputFormat}`);
+    const captionFiles = await writeSidecarCaptions(captions, outputPath);
     
     await createVideoWithFFmpeg(localImages, audioPath, outputPath, {
-      imageDuration,
+      clipDurations,
+      totalDuration,
+      cuts,
       resolution,
-      transition,
+      burnInFilter: burnCaptions && captionFiles ? buildBurnInFilter(captionFiles.srtPath, aesthetic) : null,
+      onProgress,
     });
 
     console.log(`🎬 Video created: ${outputPath}`);
 
-    // Get video duration
-    const duration = localImages.length * imageDuration;
+    // Report what was actually encoded
+    const media = await probeOutput(outputPath);
+    const duration = media?.duration || totalDuration;
 
     // Cleanup temp files
     await cleanupSession(sessionDir);
@@ -99,6 +134,8 @@ export async function compileVideo(imageUrls, audioData, options = {}) {
       videoPath: outputPath,
       duration,
       sessionId,
+      media,
+      ...(captionFiles && { captionFiles }),
     };
   } catch (error) {
     console.error('Error compiling video:', error);
@@ -108,6 +145,136 @@ export async function compileVideo(imageUrls, audioData, options = {}) {
   }
 }
 
+/**
+ * Mix a music bed under the narration.
+ * The music loops to cover the narration, fades in and out, ducks whenever the
+ * voice is speaking (sidechain compression), and the mix is loudness-normalized.
+ *
+ * @param {string} voicePath - Narration audio file
+ * @param {string} musicPath - Music track file
+ * @param {string} outputPath - Where to write the mixed audio (.m4a)
+ * @param {object} options - { duration, musicVolume, fadeIn, fadeOut, targetLoudness (LUFS) }
+ * @returns {Promise<string>} outputPath
+ */
+export async function mixMusicUnderVoiceover(voicePath, musicPath, outputPath, options = {}) {
+  const musicVolume = normalizeMusicVolume(options.musicVolume);
+  // Every value below goes into the filter graph as text, so only finite numbers are let through
+  const duration = Number(options.duration);
+  const fadeIn = Number(options.fadeIn ?? 1.5);
+  const fadeOut = Number(options.fadeOut ?? 2.5);
+  const targetLoudness = Number(options.targetLoudness ?? -16);
+
+  if (!duration || !Number.isFinite(duration)) {
+    throw new Error('Narration duration is required to mix music');
+  }
+  if (![fadeIn, fadeOut, targetLoudness].every(Number.isFinite)) {
+    throw new Error('Music fades and loudness must be numbers');
+  }
+
+  const fadeOutStart = Math.max(duration - fadeOut, 0);
+  const filterComplex = [
+    `[1:a]atrim=0:${duration.toFixed(3)},asetpts=PTS-STARTPTS,volume=${musicVolume},afade=t=in:st=0:d=${fadeIn},afade=t=out:st=${fadeOutStart.toFixed(3)}:d=${fadeOut}[music]`,
+    `[0:a]asplit=2[voice][sidechain]`,
+    `[music][sidechain]sidechaincompress=threshold=0.05:ratio=8:attack=20:release=400[ducked]`,
+    `[voice][ducked]amix=inputs=2:duration=first:dropout_transition=0,loudnorm=I=${targetLoudness}:TP=-1.5:LRA=11[mix]`,
+  ].join(';');
+
+  await runFFmpeg([
+    '-i', voicePath,
+    '-stream_loop', '-1', '-i', musicPath,
+    '-filter_complex', filterComplex,
+    '-map', '[mix]',
+    '-ar', '44100',
+    '-c:a', 'aac',
+    '-b:a', '192k',
+    '-y',
+    outputPath,
+  ]);
+
+  return outputPath;
+}
+
+/**
+ * Music volume as a number in 0-1. It ends up in an FFmpeg filter graph, so
+ * anything that isn't a finite number is rejected rather than interpolated.
+ */
+export function normalizeMusicVolume(value, fallback = 0.35) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const volume = Number(value);
+  if (!Number.isFinite(volume)) {
+    throw new Error('musicVolume must be a number between 0 and 1');
+  }
+  return Math.min(Math.max(volume, 0), 1);
+}
+
+/**
+ * Swap the narration for a narration + music mix when a track was chosen.
+ * Falls back to the plain narration if mixing fails.
+ */
+async function addMusicBed(audioPath, music, sessionDir, duration) {
+  if (!audioPath || !music?.path) return audioPath;
+
+  try {
+    console.log(`🎵 Mixing music bed: ${path.basename(music.path)}`);
+    const mixedPath = await mixMusicUnderVoiceover(audioPath, music.path, path.join(sessionDir, 'mixed.m4a'), {
+      duration,
+      musicVolume: normalizeMusicVolume(music.volume),
+    });
+    console.log('✅ Music mixed under narration');
+    return mixedPath;
+  } catch (error) {
+    console.warn('⚠️ Music mix failed, using narration only:', error.message);
+    return audioPath;
+  }
+}
+
+/**
+ * Probe the finished video; failures only cost us the metadata
+ */
+async function probeOutput(outputPath) {
+  try {
+    return await probeMedia(outputPath);
+  } catch (error) {
+    console.warn('⚠️ Could not probe compiled video:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Write .vtt/.srt captions next to the output video, if there are any
+ */
+async function writeSidecarCaptions(captions, outputPath) {
+  if (!Array.isArray(captions) || captions.length === 0) return null;
+
+  const basePath = outputPath.slice(0, -path.extname(outputPath).length);
+  const captionFiles = await writeCaptionFiles(captions, basePath);
+  console.log(`💬 Captions written: ${path.basename(captionFiles.vttPath)}, ${path.basename(captionFiles.srtPath)}`);
+  return captionFiles;
+}
+
+/**
+ * Per-image on-screen times, if a timeline was given and every image downloaded.
+ * A missing image would shift every later cut, so fall back to equal shares.
+ */
+function getClipSegments(clipTimeline, requestedCount, downloadedCount) {
+  if (!clipTimeline) return null;
+  if (clipTimeline.length !== requestedCount || downloadedCount !== requestedCount) {
+    console.warn('⚠️ Clip timeline does not match the downloaded images, spacing images evenly');
+    return null;
+  }
+  return clipTimeline;
+}
+
+/**
+ * Join the scene clips, then burn in captions when a subtitle filter is given
+ */
+function buildOutputFilter(clipCount, clipDuration, cuts, burnInFilter) {
+  if (!burnInFilter) {
+    return buildTransitionFilter(clipCount, clipDuration, cuts);
+  }
+  return `${buildTransitionFilter(clipCount, clipDuration, cuts, 'joined')};[joined]${burnInFilter}[outv]`;
+}
+
 /**
  * Download all images to local storage
  */
@@ -139,20 +306,17 @@ async function downloadAllImages(urls, outputDir) {
  * Create video using FFmpeg
  */
 async function createVideoWithFFmpeg(imagePaths, audioPath, outputPath, options) {
-  const { imageDuration, resolution, transition } = options;
+  const { clipDurations, totalDuration, cuts, resolution, burnInFilter, onProgress } = options;
   const [width, height] = resolution.split('x').map(Number);
 
-  // Calculate total video duration
-  const totalDuration = imagePaths.length * imageDuration;
-
   return new Promise((resolve, reject) => {
     // Build FFmpeg command using individual inputs with loop
     const args = [];
     
     // Add each image as an input with loop and duration
-    imagePaths.forEach((imgPath) => {
+    imagePaths.forEach((imgPath, i) => {
       args.push('-loop', '1');
-      args.push('-t', String(imageDuration));
+      args.push('-t', String(clipDurations[i]));
       args.push('-i', imgPath);
     });
 
@@ -163,13 +327,12 @@ async function createVideoWithFFmpeg(imagePaths, audioPath, outputPath, options)
       console.log(`🔊 Audio input at index ${audioInputIndex}: ${audioPath}`);
     }
 
-    // Build filter complex to concatenate all images
+    // Build filter complex to join all images with the planned transitions
     const filterInputs = imagePaths.map((_, i) => 
-      `[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,format=yuv420p[v${i}]`
+      `[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${FRAME_RATE},format=yuv420p[v${i}]`
     ).join(';');
     
-    const concatInputs = imagePaths.map((_, i) => `[v${i}]`).join('');
-    const filterComplex = `${filterInputs};${concatInputs}concat=n=${imagePaths.length}:v=1:a=0[outv]`;
+    const filterComplex = `${filterInputs};${buildOutputFilter(imagePaths.length, clipDurations, cuts, burnInFilter)}`;
     
     args.push('-filter_complex', filterComplex);
     args.push('-map', '[outv]');
@@ -207,6 +370,7 @@ async function createVideoWithFFmpeg(imagePaths, audioPath, outputPath, options)
       if (timeMatch) {
         process.stdout.write(`\r   Encoding: ${timeMatch[1]}`);
       }
+      reportEncodeProgress(data, totalDuration, onProgress);
     });
 
     ffmpeg.on('close', (code) => {
@@ -229,14 +393,47 @@ async function createVideoWithFFmpeg(imagePaths, audioPath, outputPath, options)
   });
 }
 
+/**
+ * Parse the encoded position from an FFmpeg stderr chunk (e.g. "time=00:00:12.48")
+ * @returns {number|null} Seconds encoded so far
+ */
+export function parseFFmpegTime(chunk) {
+  const matches = [...chunk.toString().matchAll(/time=(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g)];
+  if (matches.length === 0) return null;
+
+  const [, hours, minutes, seconds] = matches[matches.length - 1];
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Forward FFmpeg encode progress as a percentage of the expected output duration
+ */
+function reportEncodeProgress(chunk, totalDuration, onProgress) {
+  if (!onProgress || !totalDuration) return;
+
+  const encoded = parseFFmpegTime(chunk);
+  if (encoded === null) return;
+
+  const percent = Math.min(100, Math.round((encoded / totalDuration) * 100));
+  onProgress({ stage: 'encode', percent, encodedSeconds: encoded, totalSeconds: totalDuration });
+}
+
 /**
  * Create video with Ken Burns effect (pan/zoom on images)
  */
 export async function compileVideoWithEffects(imageUrls, audioData, options = {}) {
   const {
     outputFormat = 'mp4',
-    resolution = '1024x576',
+    resolution = '1080x1920',
+    transition = 'fade',
+    transitionDuration = 0.5,
     audioDuration = null,
+    captions = null,
+    burnCaptions = false,
+    aesthetic = 'cinematic',
+    music = null,
+    clipTimeline = null,
+    onProgress = null,
   } = options;
 
   const sessionId = crypto.randomBytes(8).toString('hex');
@@ -263,33 +460,43 @@ export async function compileVideoWithEffects(imageUrls, audioData, options = {}
       }
     }
 
-    const imageDuration = audioDuration 
-      ? audioDuration / localImages.length 
-      : 3;
+    const measuredAudioDuration = audioPath ? await getMediaDuration(audioPath) : 0;
+    const totalDuration = measuredAudioDuration || audioDuration || localImages.length * 3;
+    audioPath = await addMusicBed(audioPath, music, sessionDir, totalDuration);
+    const { clipDurations, cuts } = planClipTimings(
+      localImages.length,
+      totalDuration,
+      resolveTransitions(transition, localImages.length - 1, transitionDuration),
+      getClipSegments(clipTimeline, imageUrls.length, localImages.length)
+    );
 
     const outputPath = path.join(OUTPUT_DIR, `video_${sessionId}.${outputFormat}`);
     const [width, height] = resolution.split('x').map(Number);
+    const captionFiles = await writeSidecarCaptions(captions, outputPath);
+    const burnInFilter = burnCaptions && captionFiles ? buildBurnInFilter(captionFiles.srtPath, aesthetic) : null;
 
     // Build complex filter for Ken Burns effect
     const filters = [];
     const inputs = [];
     
     localImages.forEach((img, i) => {
-      inputs.push('-loop', '1', '-t', String(imageDuration), '-i', img);
+      // A single still frame: zoompan expands it to exactly frameCount frames
+      inputs.push('-i', img);
       
+      const frameCount = Math.round(clipDurations[i] * FRAME_RATE);
+
       // Alternate between zoom in and zoom out
       const zoomDir = i % 2 === 0 ? 'in' : 'out';
       const zoomStart = zoomDir === 'in' ? 1 : 1.1;
       const zoomEnd = zoomDir === 'in' ? 1.1 : 1;
       
       filters.push(
-        `[${i}:v]scale=8000:-1,zoompan=z='${zoomStart}+(${zoomEnd}-${zoomStart})*on/${imageDuration * 25}':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':d=${imageDuration * 25}:s=${width}x${height}:fps=25[v${i}]`
+        `[${i}:v]scale=8000:-1,zoompan=z='${zoomStart}+(${zoomEnd}-${zoomStart})*on/${frameCount}':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':d=${frameCount}:s=${width}x${height}:fps=${FRAME_RATE},format=yuv420p[v${i}]`
       );
     });
 
-    // Concat all video streams
-    const concatInputs = localImages.map((_, i) => `[v${i}]`).join('');
-    filters.push(`${concatInputs}concat=n=${localImages.length}:v=1:a=0[outv]`);
+    // Join all video streams with the planned transitions
+    filters.push(buildOutputFilter(localImages.length, clipDurations, cuts, burnInFilter));
 
     return new Promise((resolve, reject) => {
       const args = [
@@ -324,12 +531,20 @@ export async function compileVideoWithEffects(imageUrls, audioData, options = {}
 
       ffmpeg.stderr.on('data', (data) => {
         stderr += data.toString();
+        reportEncodeProgress(data, totalDuration, onProgress);
       });
 
       ffmpeg.on('close', async (code) => {
         await cleanupSession(sessionDir).catch(() => {});
         if (code === 0) {
-          resolve({ videoPath: outputPath, duration: localImages.length * imageDuration, sessionId });
+          const media = await probeOutput(outputPath);
+          resolve({
+            videoPath: outputPath,
+            duration: media?.duration || totalDuration,
+            sessionId,
+            media,
+            ...(captionFiles && { captionFiles }),
+          });
         } else {
           reject(new Error(`FFmpeg failed: ${stderr.slice(-500)}`));
         }
@@ -15,11 +15,35 @@ import {
   getAvailableVoices,
   getVoiceRecommendations,
 } from './elevenlabsService.js';
-import { generateText } from './llmClient.js';
+import { generateStructured } from './llmClient.js';
+
+const VIDEO_PROMPT_SCHEMA = {
+  type: 'object',
+  required: ['videoPrompt', 'style', 'duration', 'keyScenes', 'colorPalette', 'mood'],
+  properties: {
+    videoPrompt: { type: 'string', minLength: 1 },
+    style: { type: 'string' },
+    duration: { type: 'number', minimum: 1 },
+    keyScenes: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    colorPalette: { type: 'array', items: { type: 'string' } },
+    mood: { type: 'string' },
+  },
+};
+
+const SHOWCASE_PROMPT_SCHEMA = {
+  type: 'object',
+  required: ['videoPrompt', 'characterVibes', 'visualStyle', 'duration'],
+  properties: {
+    videoPrompt: { type: 'string', minLength: 1 },
+    characterVibes: { type: 'string' },
+    visualStyle: { type: 'string' },
+    duration: { type: 'number', minimum: 1 },
+  },
+};
 
 /**
  * Generate a Luma Dream Machine prompt for a book preview video
- * Returns: prompt, style, duration, characters
+ * Returns: prompt, style, duration, characters, source ('llm' or 'fallback')
  */
 export async function generateCharacterDrivenVideo(bookData) {
   try {
@@ -33,28 +57,21 @@ Description: ${description}
 Aesthetic: ${aesthetic}
 Main Characters: ${characters.length > 0 ? characters.map(c => c.name).join(', ') : 'Create characters from the description'}
 
-Respond with JSON:
-{
-  "videoPrompt": "Detailed visual prompt for Luma Dream Machine (150-200 words describing cinematic scenes, characters, mood, lighting, camera movements)",
-  "style": "The visual style (e.g., cinematic, artistic, dreamlike, realistic, watercolor)",
-  "duration": 15,
-  "keyScenes": ["Scene 1: Opening", "Scene 2: Main conflict", "Scene 3: Resolution or climax"],
-  "colorPalette": ["color1", "color2", "color3"],
-  "mood": "The overall emotional tone"
-}`;
-
-    const responseText = await generateText(prompt);
-
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      return getDefaultVideoPrompt(bookData);
-    }
-
-    const videoData = JSON.parse(jsonMatch[0]);
-    return videoData;
+- videoPrompt: detailed visual prompt for Luma Dream Machine (150-200 words describing cinematic scenes, characters, mood, lighting, camera movements)
+- style: the visual style (e.g., cinematic, artistic, dreamlike, realistic, watercolor)
+- duration: 15
+- keyScenes: opening, main conflict, resolution or climax
+- colorPalette: 3 colors
+- mood: the overall emotional tone`;
+
+    const { data, source } = await generateStructured(prompt, VIDEO_PROMPT_SCHEMA, {
+      label: 'Luma video prompt',
+      fallback: () => getDefaultVideoPrompt(bookData),
+    });
+    return { ...data, source };
   } catch (error) {
     console.error('Error generating video prompt:', error);
-    return getDefaultVideoPrompt(bookData);
+    return { ...getDefaultVideoPrompt(bookData), source: 'fallback' };
   }
 }
 
@@ -73,21 +90,16 @@ Character: ${character.name || 'Main character'}
 Character description: ${character.description || 'As described in the book'}
 Book aesthetic: ${aesthetic}
 
-Respond with JSON:
-{
-  "videoPrompt": "Detailed visual description for Luma (100-150 words)",
-  "characterVibes": "How this character embodies the book's aesthetic",
-  "visualStyle": "The art style to use",
-  "duration": 10
-}`;
-
-    const responseText = await generateText(prompt);
-    const jsonMatch = responseText?.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      return {};
-    }
+- videoPrompt: detailed visual description for Luma (100-150 words)
+- characterVibes: how this character embodies the book's aesthetic
+- visualStyle: the art style to use
+- duration: 10`;
 
-    return JSON.parse(jsonMatch[0]);
+    const { data } = await generateStructured(prompt, SHOWCASE_PROMPT_SCHEMA, {
+      label: 'Character showcase prompt',
+      fallback: {},
+    });
+    return data;
   } catch (error) {
     console.error('Error generating character video:', error);
     return {};
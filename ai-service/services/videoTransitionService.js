@@ -0,0 +1,186 @@
+/**
+ * Video Transition Service
+ * Builds FFmpeg xfade filter chains for the cuts between scene clips
+ */
+
+// Friendly transition names mapped to FFmpeg xfade transitions.
+// `null` means a hard cut (clips are concatenated without overlap).
+export const TRANSITIONS = {
+  none: null,
+  cut: null,
+  fade: 'fade',
+  fadeblack: 'fadeblack',
+  fadewhite: 'fadewhite',
+  dissolve: 'dissolve',
+  wipe: 'wipeleft',
+  wipeleft: 'wipeleft',
+  wiperight: 'wiperight',
+  wipeup: 'wipeup',
+  wipedown: 'wipedown',
+  slide: 'slideleft',
+  slideleft: 'slideleft',
+  slideright: 'slideright',
+  slideup: 'slideup',
+  slidedown: 'slidedown',
+  smoothleft: 'smoothleft',
+  smoothright: 'smoothright',
+  zoom: 'zoomin',
+  zoomin: 'zoomin',
+  circleopen: 'circleopen',
+  circleclose: 'circleclose',
+  radial: 'radial',
+  pixelize: 'pixelize',
+  distance: 'distance',
+};
+
+const DEFAULT_TRANSITION = 'fade';
+const DEFAULT_TRANSITION_DURATION = 0.5;
+
+// A transition never takes more than this share of the shorter clip it joins
+const MAX_TRANSITION_SHARE = 0.5;
+
+/**
+ * Get the list of supported transition names
+ */
+export function getAvailableTransitions() {
+  return Object.keys(TRANSITIONS);
+}
+
+/**
+ * Normalize a transition option into one { name, xfade, duration } entry per cut
+ *
+ * @param {string|Array<string|{type: string, duration?: number}>} transition - One transition for
+ *   every cut, or a per-cut list (shorter lists repeat their last entry)
+ * @param {number} cutCount - Number of cuts (clips - 1)
+ * @param {number} defaultDuration - Transition duration in seconds when a cut doesn't set one
+ * @returns {Array<{name: string, xfade: string|null, duration: number}>}
+ */
+export function resolveTransitions(transition = DEFAULT_TRANSITION, cutCount, defaultDuration = DEFAULT_TRANSITION_DURATION) {
+  const list = Array.isArray(transition) ? transition : [transition];
+  const cuts = [];
+
+  for (let i = 0; i < cutCount; i++) {
+    const entry = list[Math.min(i, list.length - 1)] ?? DEFAULT_TRANSITION;
+    const spec = typeof entry === 'string' ? { type: entry } : entry;
+    const name = String(spec.type || DEFAULT_TRANSITION).toLowerCase();
+
+    if (!(name in TRANSITIONS)) {
+      console.warn(`⚠️ Unknown transition "${name}", using ${DEFAULT_TRANSITION}`);
+    }
+
+    const xfade = name in TRANSITIONS ? TRANSITIONS[name] : TRANSITIONS[DEFAULT_TRANSITION];
+    const duration = xfade ? Math.max(Number(spec.duration ?? defaultDuration) || 0, 0) : 0;
+
+    cuts.push({ name, xfade: duration > 0 ? xfade : null, duration: xfade ? duration : 0 });
+  }
+
+  return cuts;
+}
+
+/**
+ * Work out how long each clip must run so that, after the overlaps eaten by
+ * transitions, the finished video lasts exactly `totalDuration` seconds.
+ *
+ * Clips share the time equally unless `segments` gives how long each clip should be
+ * on screen (e.g. one entry per dialogue line). Then every transition starts exactly
+ * where its segment ends, so cuts land on the audio they belong to.
+ *
+ * @param {number} clipCount - Number of clips
+ * @param {number} totalDuration - Target video length (usually the narration length)
+ * @param {Array<{duration: number}>} cuts - Output of resolveTransitions()
+ * @param {Array<number>} segments - Optional on-screen seconds per clip (rescaled to totalDuration)
+ * @returns {{clipDuration: number, clipDurations: Array<number>, cuts: Array}} - Clip lengths and cuts with durations clamped to fit
+ */
+export function planClipTimings(clipCount, totalDuration, cuts, segments = null) {
+  if (segments && segments.length === clipCount) {
+    return planSegmentTimings(totalDuration, cuts, segments);
+  }
+
+  const overlap = cuts.reduce((sum, cut) => sum + cut.duration, 0);
+  let clipDuration = (totalDuration + overlap) / clipCount;
+
+  // Shrink transitions that would swallow too much of a clip, then re-plan
+  const maxTransition = (totalDuration / clipCount) * MAX_TRANSITION_SHARE;
+  if (cuts.some((cut) => cut.duration > maxTransition)) {
+    const clamped = cuts.map((cut) => ({ ...cut, duration: Math.min(cut.duration, maxTransition) }));
+    const clampedOverlap = clamped.reduce((sum, cut) => sum + cut.duration, 0);
+    clipDuration = (totalDuration + clampedOverlap) / clipCount;
+    return { clipDuration, clipDurations: Array(clipCount).fill(clipDuration), cuts: clamped };
+  }
+
+  return { clipDuration, clipDurations: Array(clipCount).fill(clipDuration), cuts };
+}
+
+/**
+ * Per-clip timing: clip i runs for its segment plus the transition out of it
+ */
+function planSegmentTimings(totalDuration, cuts, segments) {
+  const segmentTotal = segments.reduce((sum, seconds) => sum + seconds, 0) || 1;
+  const scaled = segments.map((seconds) => (seconds * totalDuration) / segmentTotal);
+
+  const clamped = cuts.map((cut, i) => ({
+    ...cut,
+    duration: Math.min(cut.duration, Math.min(scaled[i], scaled[i + 1]) * MAX_TRANSITION_SHARE),
+  }));
+  const clipDurations = scaled.map((seconds, i) => seconds + (clamped[i]?.duration || 0));
+
+  return {
+    clipDuration: clipDurations.reduce((sum, seconds) => sum + seconds, 0) / clipDurations.length,
+    clipDurations,
+    cuts: clamped,
+  };
+}
+
+/**
+ * Build the filter graph that joins clip labels [v0]..[vN-1] into `outputLabel`
+ *
+ * @param {number} clipCount - Number of clip streams, labelled [v0], [v1], ...
+ * @param {number|Array<number>} clipDuration - Length of every clip in seconds, or one length per clip
+ * @param {Array<{xfade: string|null, duration: number}>} cuts - One entry per cut
+ * @param {string} outputLabel - Label for the joined stream (default 'outv')
+ * @returns {string} Filter graph fragment (semicolon separated)
+ */
+export function buildTransitionFilter(clipCount, clipDuration, cuts, outputLabel = 'outv') {
+  if (clipCount === 1) {
+    return `[v0]null[${outputLabel}]`;
+  }
+
+  // No real transitions: a single concat is cheaper than chaining
+  if (cuts.every((cut) => !cut.xfade)) {
+    const inputs = Array.from({ length: clipCount }, (_, i) => `[v${i}]`).join('');
+    return `${inputs}concat=n=${clipCount}:v=1:a=0[${outputLabel}]`;
+  }
+
+  const durationOf = (i) => (Array.isArray(clipDuration) ? clipDuration[i] : clipDuration);
+  const filters = [];
+  let previous = 'v0';
+  let elapsed = durationOf(0);
+
+  for (let i = 1; i < clipCount; i++) {
+    const cut = cuts[i - 1];
+    const label = i === clipCount - 1 ? outputLabel : `x${i}`;
+
+    if (cut.xfade) {
+      const offset = Math.max(elapsed - cut.duration, 0);
+      filters.push(
+        `[${previous}][v${i}]xfade=transition=${cut.xfade}:duration=${cut.duration.toFixed(3)}:offset=${offset.toFixed(3)}[${label}]`
+      );
+      elapsed += durationOf(i) - cut.duration;
+    } else {
+      filters.push(`[${previous}][v${i}]concat=n=2:v=1:a=0[${label}]`);
+      elapsed += durationOf(i);
+    }
+
+    previous = label;
+  }
+
+  return filters.join(';');
+}
+
+export default {
+  TRANSITIONS,
+  getAvailableTransitions,
+  resolveTransitions,
+  planClipTimings,
+  buildTransitionFilter,
+};
@@ -0,0 +1,86 @@
+/**
+ * Offline test for the LLM client: fixture replay and provider fallback
+ *
+ * Run with: npm test (or node test-llm-fixtures.js)
+ * Needs no keys or network: responses come from fixtures/llm or stub providers.
+ */
+
+import assert from 'node:assert/strict';
+
+process.env.LLM_PROVIDERS = 'fixture';
+process.env.LLM_RECORD_FIXTURES = 'false';
+process.env.CACHE_BACKEND = 'none';
+
+const { complete, registerProvider } = await import('./services/llmClient.js');
+const { interpretQuery } = await import('./services/searchService.js');
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function stubProvider(name, calls, { fail = false } = {}) {
+  return {
+    name,
+    label: name,
+    capabilities: { offline: true },
+    defaultModel: `${name}-default`,
+    isConfigured: () => true,
+    complete: async (messages, { model } = {}) => {
+      calls[name] = model;
+      if (fail) throw new Error('unavailable');
+      return 'ok';
+    },
+  };
+}
+
+test('replays a recorded search interpretation, re-prompt included', async () => {
+  const interpretation = await interpretQuery('cozy fantasy with found family and no romance');
+
+  assert.equal(interpretation.source, 'llm');
+  assert.deepEqual(interpretation.tropes, ['found-family']);
+  assert.deepEqual(interpretation.genres, ['fantasy']);
+  assert.equal(interpretation.aesthetic, 'cozy-fantasy');
+  assert.deepEqual(interpretation.exclude, ['romance']);
+});
+
+test('falls back when a prompt has no fixture', async () => {
+  const interpretation = await interpretQuery('haunted lighthouse mystery');
+
+  assert.equal(interpretation.source, 'fallback');
+  assert.ok(interpretation.keywords.includes('lighthouse'));
+});
+
+test('names the missing fixture', async () => {
+  await assert.rejects(complete([{ role: 'user', content: 'A prompt nobody recorded' }]), /No LLM fixture/);
+});
+
+test('sends a per-call model only to the provider it is for', async () => {
+  const calls = {};
+  registerProvider(stubProvider('test-primary', calls, { fail: true }));
+  registerProvider(stubProvider('test-backup', calls));
+  const options = { providers: ['test-primary', 'test-backup'], cache: false };
+  const messages = [{ role: 'user', content: 'Hello' }];
+
+  const { provider } = await complete(messages, { ...options, model: 'primary-large' });
+  assert.equal(provider, 'test-backup');
+  assert.deepEqual(calls, { 'test-primary': 'primary-large', 'test-backup': undefined });
+
+  await complete(messages, { ...options, model: { 'test-backup': 'backup-small' } });
+  assert.deepEqual(calls, { 'test-primary': undefined, 'test-backup': 'backup-small' });
+});
+
+let failures = 0;
+for (const { name, fn } of tests) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`❌ ${name}\n${error.stack}`);
+  }
+}
+
+console.log(`\n${tests.length - failures}/${tests.length} passed`);
+process.exit(failures ? 1 : 0);
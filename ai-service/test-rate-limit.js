@@ -0,0 +1,164 @@
+/**
+ * Offline test for the API's rate limiting: sliding-window counts, Retry-After
+ * and the in-memory counter store
+ *
+ * Run with: npm test (or node test-rate-limit.js)
+ * Date.now is replaced by a fake clock, so no test waits on real time.
+ */
+
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+process.env.RATE_LIMIT_STORE = 'memory';
+
+// The API modules are CommonJS
+const require = createRequire(import.meta.url);
+const rateLimit = require('../middleware/rateLimit.js');
+const { createMemoryStore } = require('../services/rateLimitStore.js');
+
+const MINUTE = 60 * 1000;
+// A window boundary, so offsets below read as "seconds into the window"
+const WINDOW_START = 1000 * MINUTE;
+
+const realNow = Date.now;
+let clock = WINDOW_START;
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * Send one request through a limiter at `at` ms on the fake clock
+ * @returns {Promise<{ error, headers }>}
+ */
+async function hit(limiter, at, req = { ip: '203.0.113.1' }) {
+  clock = at;
+  const headers = {};
+  const res = { set: (name, value) => { headers[name] = value; } };
+  let error;
+  await limiter(req, res, (err) => { error = err; });
+  return { error, headers };
+}
+
+async function hitTimes(limiter, count, at, req) {
+  const results = [];
+  for (let i = 0; i < count; i++) results.push(await hit(limiter, at, req));
+  return results;
+}
+
+let policyCount = 0;
+
+// A fresh policy name per limiter, so tests don't share counters
+function limiter(options = {}) {
+  return rateLimit({ name: `test-${++policyCount}`, windowMs: MINUTE, max: 10, ...options });
+}
+
+test('lets max requests through a window, then answers 429 with Retry-After', async () => {
+  const limit = limiter();
+
+  const allowed = await hitTimes(limit, 10, WINDOW_START);
+  assert.ok(allowed.every(({ error }) => error === undefined));
+  assert.equal(allowed[9].headers['RateLimit-Remaining'], '0');
+  assert.equal(allowed[9].headers['RateLimit-Reset'], '60');
+
+  const { error } = await hit(limit, WINDOW_START);
+  assert.equal(error.status, 429);
+  assert.equal(error.code, 'RATE_LIMITED');
+  // 11 requests weigh 11 * overlap in the next window; one more fits once that is 9, 10.9 s into it
+  assert.equal(error.details.retryAfter, 71);
+  assert.equal(error.headers['Retry-After'], '71');
+});
+
+test('keeps refusing until the Retry-After it gave has passed', async () => {
+  // Refused requests count too, so each retry gets a limiter of its own
+  const early = limiter();
+  const onTime = limiter();
+  await hitTimes(early, 11, WINDOW_START);
+  await hitTimes(onTime, 11, WINDOW_START);
+
+  assert.equal((await hit(early, WINDOW_START + 70 * 1000)).error?.status, 429);
+  assert.equal((await hit(onTime, WINDOW_START + 71 * 1000)).error, undefined);
+});
+
+test('weighs the previous window, so a burst at the boundary cannot double the limit', async () => {
+  const limit = limiter();
+  await hitTimes(limit, 10, WINDOW_START + 59 * 1000);
+
+  const { error } = await hit(limit, WINDOW_START + MINUTE);
+  assert.equal(error?.status, 429);
+  // The previous window's 10 count for 10 * overlap; a second request here fits once that is 8
+  assert.equal(error.details.retryAfter, 12);
+
+  const later = await hit(limit, WINDOW_START + MINUTE + 12 * 1000);
+  assert.equal(later.error, undefined);
+  assert.equal(later.headers['RateLimit-Remaining'], '0');
+});
+
+test('forgets windows that no longer overlap', async () => {
+  const limit = limiter();
+  await hitTimes(limit, 11, WINDOW_START);
+
+  const { error, headers } = await hit(limit, WINDOW_START + 2 * MINUTE);
+  assert.equal(error, undefined);
+  assert.equal(headers['RateLimit-Remaining'], '9');
+});
+
+test('counts per user when asked to, per IP for anonymous callers', async () => {
+  const limit = limiter({ max: 1, by: 'user' });
+  const ip = '203.0.113.7';
+
+  assert.equal((await hit(limit, WINDOW_START, { ip, user: { _id: 'reader-1' } })).error, undefined);
+  assert.equal((await hit(limit, WINDOW_START, { ip, user: { _id: 'reader-2' } })).error, undefined);
+  assert.equal((await hit(limit, WINDOW_START, { ip })).error, undefined);
+  assert.equal((await hit(limit, WINDOW_START, { ip, user: { _id: 'reader-1' } })).error?.status, 429);
+  assert.equal((await hit(limit, WINDOW_START, { ip })).error?.status, 429);
+});
+
+test('rejects unknown policies', () => {
+  assert.throws(() => rateLimit('no-such-policy'), /Unknown or incomplete rate limit policy/);
+});
+
+test('memory store counts the current window and carries it into the next', async () => {
+  const store = createMemoryStore();
+
+  assert.deepEqual(await store.increment('a', WINDOW_START, MINUTE), { current: 1, previous: 0 });
+  assert.deepEqual(await store.increment('a', WINDOW_START, MINUTE), { current: 2, previous: 0 });
+  assert.deepEqual(await store.increment('b', WINDOW_START, MINUTE), { current: 1, previous: 0 });
+  assert.deepEqual(await store.increment('a', WINDOW_START + MINUTE, MINUTE), { current: 1, previous: 2 });
+});
+
+test('memory store drops the previous count when a window was skipped', async () => {
+  const store = createMemoryStore();
+  await store.increment('a', WINDOW_START, MINUTE);
+
+  assert.deepEqual(await store.increment('a', WINDOW_START + 2 * MINUTE, MINUTE), { current: 1, previous: 0 });
+});
+
+test('memory store reset starts a key over', async () => {
+  const store = createMemoryStore();
+  await store.increment('a', WINDOW_START, MINUTE);
+  await store.increment('a', WINDOW_START, MINUTE);
+  await store.reset('a');
+
+  assert.deepEqual(await store.increment('a', WINDOW_START, MINUTE), { current: 1, previous: 0 });
+});
+
+Date.now = () => clock;
+
+let failures = 0;
+for (const { name, fn } of tests) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`❌ ${name}\n${error.stack}`);
+  }
+}
+
+Date.now = realNow;
+
+console.log(`\n${tests.length - failures}/${tests.length} passed`);
+process.exit(failures ? 1 : 0);
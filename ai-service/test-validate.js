@@ -0,0 +1,127 @@
+/**
+ * Offline test for the API's request validation: coercion, whitelisting and errors
+ *
+ * Run with: npm test (or node test-validate.js)
+ */
+
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+// The API modules are CommonJS
+const require = createRequire(import.meta.url);
+const validate = require('../middleware/validate.js');
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * Run a request through validate(schema)
+ * @returns {{ req, error }}
+ */
+function check(schema, req) {
+  let error;
+  validate(schema)(req, {}, (err) => { error = err; });
+  return { req, error };
+}
+
+test('coerces query strings to numbers, integers, booleans and dates', () => {
+  const { req, error } = check({
+    query: {
+      limit: { type: 'integer', min: 1, max: 50 },
+      price: { type: 'number' },
+      mature: { type: 'boolean' },
+      since: { type: 'date' },
+    },
+  }, { query: { limit: '20', price: ' 4.5 ', mature: '0', since: '2026-01-31' } });
+
+  assert.equal(error, undefined);
+  assert.deepEqual(req.query, { limit: 20, price: 4.5, mature: false, since: new Date('2026-01-31') });
+});
+
+test('splits comma-separated arrays and checks each item', () => {
+  const schema = { query: { genres: { type: 'array', maxItems: 3, items: { type: 'string', maxLength: 10 } } } };
+
+  assert.deepEqual(check(schema, { query: { genres: 'fantasy, romance,,' } }).req.query, { genres: ['fantasy', 'romance'] });
+
+  const { error } = check(schema, { query: { genres: ['fantasy', 'a very long genre'] } });
+  assert.deepEqual(error.details.fields, [{ field: 'genres[1]', message: 'must be at most 10 characters', in: 'query' }]);
+});
+
+test('trims strings and drops fields the schema does not list', () => {
+  const { req } = check({
+    body: { title: { type: 'string' }, author: { type: 'object', properties: { name: { type: 'string' } } } },
+  }, { body: { title: '  Hearth  ', role: 'admin', author: { name: 'Ada', _id: 'x' } } });
+
+  assert.deepEqual(req.body, { title: 'Hearth', author: { name: 'Ada' } });
+});
+
+test('fills defaults, keeps null for nullable fields and empty strings for text', () => {
+  const { req } = check({
+    body: {
+      limit: { type: 'integer', default: 20 },
+      coverImage: { type: 'string', nullable: true },
+      summary: { type: 'string' },
+      rating: { type: 'integer' },
+    },
+  }, { body: { coverImage: null, summary: '', rating: '' } });
+
+  assert.deepEqual(req.body, { limit: 20, coverImage: null, summary: '' });
+});
+
+test('uses the first matching rule of anyOf', () => {
+  const schema = {
+    body: {
+      transition: {
+        type: 'anyOf',
+        rules: [
+          { type: 'string', maxLength: 30 },
+          { type: 'array', items: { type: 'object', properties: { type: { type: 'string', required: true } } } },
+        ],
+      },
+    },
+  };
+
+  assert.deepEqual(check(schema, { body: { transition: 'fade,wipe' } }).req.body, { transition: 'fade,wipe' });
+  assert.deepEqual(check(schema, { body: { transition: [{ type: 'wipe', extra: 1 }] } }).req.body, { transition: [{ type: 'wipe' }] });
+
+  const { error } = check(schema, { body: { transition: 5 } });
+  assert.deepEqual(error.details.fields, [{ field: 'transition', message: 'must be a string or array', in: 'body' }]);
+});
+
+test('reports every invalid field at once and leaves the request alone', () => {
+  const body = { email: 'not-an-email', password: 'short', rating: '4.5' };
+  const { req, error } = check({
+    params: { id: validate.rules.id },
+    body: { email: validate.rules.email, password: validate.rules.password, rating: { type: 'integer' } },
+  }, { params: { id: 'nope' }, body });
+
+  assert.equal(error.status, 400);
+  assert.equal(error.code, 'VALIDATION_FAILED');
+  assert.deepEqual(error.details.fields.map(({ in: part, field }) => `${part}.${field}`), [
+    'params.id', 'body.email', 'body.password', 'body.rating',
+  ]);
+  assert.equal(req.body, body);
+});
+
+test('requires required fields, counting an empty string as missing', () => {
+  const { error } = check({ body: { name: { type: 'string', required: true } } }, { body: { name: '' } });
+
+  assert.deepEqual(error.details.fields, [{ field: 'name', message: 'is required', in: 'body' }]);
+});
+
+let failures = 0;
+for (const { name, fn } of tests) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`❌ ${name}\n${error.stack}`);
+  }
+}
+
+console.log(`\n${tests.length - failures}/${tests.length} passed`);
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,114 @@
+/**
+ * Offline test for the vector index: HNSW recall against exact search
+ *
+ * Run with: npm test (or node test-vector-index.js)
+ * Uses seeded random vectors, so every run builds the same graph.
+ */
+
+import assert from 'node:assert/strict';
+import { createBruteForceIndex, createHnswIndex } from './services/vectorIndex.js';
+
+const DIMENSIONS = 64;
+const K = 10;
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// mulberry32: small seeded generator, enough for test data
+function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomVectors(count, random) {
+  return Array.from({ length: count }, () => Array.from({ length: DIMENSIONS }, () => random() * 2 - 1));
+}
+
+/**
+ * Share of the exact top-k that the approximate index also returned
+ */
+function recallAt(k, exact, approximate, queries) {
+  let found = 0;
+  for (const query of queries) {
+    const expected = new Set(exact.search(query, k).map((hit) => hit.id));
+    found += approximate.search(query, k).filter((hit) => expected.has(hit.id)).length;
+  }
+  return found / (queries.length * k);
+}
+
+function buildIndexes(vectors) {
+  const exact = createBruteForceIndex();
+  const approximate = createHnswIndex({ seed: 42 });
+  vectors.forEach((vector, i) => {
+    exact.add(`book-${i}`, vector);
+    approximate.add(`book-${i}`, vector);
+  });
+  return { exact, approximate };
+}
+
+test('finds nearly the same top 10 as exact search', () => {
+  const random = createRandom(1);
+  const { exact, approximate } = buildIndexes(randomVectors(2000, random));
+
+  const recall = recallAt(K, exact, approximate, randomVectors(100, random));
+  assert.ok(recall >= 0.95, `recall@${K} was ${recall}`);
+});
+
+test('keeps its recall after removals and re-adds', () => {
+  const random = createRandom(2);
+  const vectors = randomVectors(2000, random);
+  const { exact, approximate } = buildIndexes(vectors);
+
+  // Enough removals to trigger a rebuild, then some books come back with new vectors
+  for (let i = 0; i < 1200; i++) {
+    exact.remove(`book-${i}`);
+    approximate.remove(`book-${i}`);
+  }
+  for (let i = 0; i < 300; i++) {
+    const vector = randomVectors(1, random)[0];
+    exact.add(`book-${i}`, vector);
+    approximate.add(`book-${i}`, vector);
+  }
+
+  assert.equal(approximate.size, exact.size);
+  const queries = randomVectors(100, random);
+  for (const query of queries) {
+    for (const { id } of approximate.search(query, K)) {
+      assert.ok(exact.has(id), `returned removed ${id}`);
+    }
+  }
+
+  const recall = recallAt(K, exact, approximate, queries);
+  assert.ok(recall >= 0.95, `recall@${K} was ${recall}`);
+});
+
+test('leaves out excluded ids', () => {
+  const random = createRandom(3);
+  const vectors = randomVectors(500, random);
+  const { approximate } = buildIndexes(vectors);
+
+  const hits = approximate.search(vectors[0], K, { exclude: ['book-0'] });
+  assert.equal(hits.length, K);
+  assert.ok(!hits.some((hit) => hit.id === 'book-0'));
+});
+
+let failures = 0;
+for (const { name, fn } of tests) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`❌ ${name}\n${error.stack}`);
+  }
+}
+
+console.log(`\n${tests.length - failures}/${tests.length} passed`);
+process.exit(failures ? 1 : 0);
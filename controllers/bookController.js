@@ -1,72 +1,84 @@
 const Book = require('../models/bookModel');
-const cloudinaryService = require('../services/cloudinaryService');
+const videoJobService = require('../services/videoJobService');
+const videoJobEvents = require('../services/videoJobEvents');
+const bookSearchService = require('../services/bookSearchService');
+const bookEmbeddingService = require('../services/bookEmbeddingService');
+const { canEditBook, pickBookFields } = require('../services/authorizationService');
+const { ValidationError, UnauthorizedError, ForbiddenError, NotFoundError } = require('../errors');
 
-// AI Services - loaded dynamically since they use ES modules
-let aiServices = null;
+const STREAM_KEEPALIVE_MS = 15000;
+const STREAM_RETRY_MS = 3000;
 
-async function getAIServices() {
-    if (aiServices) return aiServices;
-    
+/**
+ * Search books
+ * GET /api/books?q=&genre=&aesthetic=&source=&publishedFrom=&publishedTo=&hasVideo=&sort=&cursor=&limit=
+ *
+ * Returns { books, nextCursor, sort } plus { total, facets } on the first page (no cursor).
+ */
+exports.searchBooks = async (req, res, next) => {
     try {
-        const bookVideoPipeline = await import('../ai-service/services/bookVideoPipeline.js');
-        
-        aiServices = {
-            generateVideoFromSummary: bookVideoPipeline.generateVideoFromSummary,
-            generateQuickVideo: bookVideoPipeline.generateQuickVideo,
-            cleanupVideo: bookVideoPipeline.cleanupVideo,
-        };
-        return aiServices;
-    } catch (error) {
-        console.error('Failed to load AI services:', error.message);
-        return null;
+        const result = await bookSearchService.searchBooks(req.query);
+        res.json(result);
+    } catch (err) {
+        next(err);
     }
-}
+};
 
-exports.searchBooks = async (req, res) => {
+exports.getBookById = async (req, res, next) => {
     try {
-        const q = (req.query.q || '').trim();
-        const filter = {};
-        if (q) {
-            // basic text/regex search across title and author
-            const regex = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
-            filter.$or = [{ title: regex }, { author: regex }, { description: regex }];
-        }
-
-        const books = await Book.find(filter).limit(50);
-        res.json({ books });
+        const book = await Book.findById(req.params.id);
+        if (!book) throw new NotFoundError('Book not found', { code: 'BOOK_NOT_FOUND' });
+        res.json({ book });
     } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
     }
 };
 
-exports.getBookById = async (req, res) => {
+/**
+ * Books most similar to a book by embedding
+ * GET /api/books/:id/similar?limit=10
+ *
+ * Returns { book: { _id, title }, similar: [{ ...book, similarity }], model, index }, with `indexing: true`
+ * and no similar books while the book is still being embedded.
+ */
+exports.getSimilarBooks = async (req, res, next) => {
     try {
-        const book = await Book.findById(req.params.id);
-        if (!book) return res.status(404).json({ error: 'Book not found' });
-        res.json({ book });
+        const result = await bookEmbeddingService.findSimilarBooks(req.params.id, { limit: req.query.limit });
+        res.json(result);
     } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
     }
 };
 
-// admin endpoints to create/update books
-exports.createBook = async (req, res) => {
+// Authors create books as themselves; admins may create them for anyone
+exports.createBook = async (req, res, next) => {
     try {
-        const payload = req.body;
+        const userId = req.user?.id || req.user?._id || req.userId;
+        const payload = { authorId: userId, ...pickBookFields(req.user, req.body) };
+        if (!payload.title) throw new ValidationError('Title is required');
+
         const book = await Book.create(payload);
+        bookEmbeddingService.indexBookInBackground(book);
         res.status(201).json({ book });
     } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
     }
 };
 
-exports.updateBook = async (req, res) => {
+// Only the book's author (or an admin) may edit it, and only the editable fields
+exports.updateBook = async (req, res, next) => {
     try {
-        const book = await Book.findByIdAndUpdate(req.params.id, req.body, { new: true });
-        if (!book) return res.status(404).json({ error: 'Book not found' });
+        const existing = await Book.findById(req.params.id);
+        if (!existing) throw new NotFoundError('Book not found', { code: 'BOOK_NOT_FOUND' });
+        if (!canEditBook(req.user, existing)) {
+            throw new ForbiddenError('Not authorized to modify this book');
+        }
+
+        const book = await Book.findByIdAndUpdate(existing._id, pickBookFields(req.user, req.body), { new: true, runValidators: true });
+        bookEmbeddingService.indexBookInBackground(book);
         res.json({ book });
     } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
     }
 };
 
@@ -82,13 +94,15 @@ exports.updateBook = async (req, res) => {
  *   coverImage: string,
  *   aesthetic: string (optional - for video style),
  *   voiceType: string (optional - 'male' | 'female'),
+ *   burnCaptions: boolean (optional - burn captions into the video),
+ *   renditions: string[] (optional - output formats: portrait, square, landscape, gif, webp, poster),
  *   generateVideo: boolean (default: true)
  * }
  */
-exports.uploadBookWithVideo = async (req, res) => {
+exports.uploadBookWithVideo = async (req, res, next) => {
     try {
         const userId = req.user?.id || req.user?._id || req.userId;
-        if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+        if (!userId) throw new UnauthorizedError();
 
         const { 
             title, 
@@ -98,15 +112,17 @@ exports.uploadBookWithVideo = async (req, res) => {
             coverImage,
             aesthetic = 'cinematic',
             voiceType = 'female',
+            burnCaptions = false,
+            renditions,
             generateVideo = true 
         } = req.body;
 
         if (!title) {
-            return res.status(400).json({ error: 'Title is required' });
+            throw new ValidationError('Title is required');
         }
 
         if (generateVideo && !summary) {
-            return res.status(400).json({ error: 'Summary is required for video generation' });
+            throw new ValidationError('Summary is required for video generation');
         }
 
         // Create the book first
@@ -123,131 +139,170 @@ exports.uploadBookWithVideo = async (req, res) => {
         });
 
         console.log(`📚 Book created: ${book._id} - ${title}`);
+        bookEmbeddingService.indexBookInBackground(book);
 
-        // If video generation requested, start it
+        // If video generation requested, queue it for the background worker
         if (generateVideo && summary) {
-            // Start video generation in background (don't await)
-            generateVideoForBook(book._id, summary, title, aesthetic, voiceType);
+            const job = await videoJobService.enqueueVideoJob(
+                book._id,
+                { summary, title, aesthetic, voiceType, numImages: 4, burnCaptions, renditions },
+                { requestedBy: userId }
+            );
             
             return res.status(201).json({
                 book,
-                message: 'Book created. Video generation started in background.',
-                videoStatus: 'pending'
+                message: 'Book created. Video generation queued.',
+                videoStatus: 'pending',
+                jobId: job._id
             });
         }
 
         res.status(201).json({ book });
     } catch (err) {
-        console.error('Upload book error:', err);
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
     }
 };
 
-/**
- * Background function to generate video for a book
- */
-async function generateVideoForBook(bookId, summary, title, aesthetic, voiceType) {
-    try {
-        console.log(`\n🎬 Starting video generation for book: ${bookId}`);
-        
-        // Update status to generating
-        await Book.findByIdAndUpdate(bookId, { videoStatus: 'generating' });
-
-        const services = await getAIServices();
-        if (!services) {
-            throw new Error('AI services not available');
-        }
-
-        const result = await services.generateVideoFromSummary({
-            summary,
-            title,
-            aesthetic,
-            voiceType,
-            numImages: 4
-        });
-
-        if (!result.success) {
-            throw new Error(result.error || 'Video generation failed');
-        }
-
-        let videoUrl;
-        let cloudinaryPublicId = null;
-
-        // Try to upload to Cloudinary if configured
-        if (cloudinaryService.isConfigured()) {
-            console.log(`☁️ Uploading to Cloudinary...`);
-            
-            const uploadResult = await cloudinaryService.uploadVideo(result.videoPath, {
-                folder: 'booktok-videos',
-                publicId: `book_${bookId}`
-            });
-
-            if (uploadResult.success) {
-                videoUrl = uploadResult.url;
-                cloudinaryPublicId = uploadResult.publicId;
-                
-                // Clean up local file after successful upload
-                try {
-                    await services.cleanupVideo(result.videoPath);
-                    console.log(`🧹 Local video file cleaned up`);
-                } catch (e) {
-                    console.log(`⚠️ Could not clean up local file: ${e.message}`);
-                }
-            } else {
-                console.log(`⚠️ Cloudinary upload failed, using local URL`);
-                const path = await import('path');
-                const videoFilename = path.default.basename(result.videoPath);
-                videoUrl = `/videos/${videoFilename}`;
-            }
-        } else {
-            // Fallback to local storage
-            console.log(`📁 Cloudinary not configured, using local storage`);
-            const path = await import('path');
-            const videoFilename = path.default.basename(result.videoPath);
-            videoUrl = `/videos/${videoFilename}`;
-        }
-
-        // Update book with video info
-        await Book.findByIdAndUpdate(bookId, {
-            videoUrl,
-            videoStatus: 'completed',
-            videoGeneratedAt: new Date(),
-            videoError: '',
-            ...(cloudinaryPublicId && { cloudinaryPublicId })
-        });
-
-        console.log(`✅ Video generated successfully for book: ${bookId}`);
-        console.log(`   Video URL: ${videoUrl}`);
-
-    } catch (error) {
-        console.error(`❌ Video generation failed for book ${bookId}:`, error.message);
-        
-        await Book.findByIdAndUpdate(bookId, {
-            videoStatus: 'failed',
-            videoError: error.message
-        });
-    }
-}
-
 /**
  * Get video status for a book
  * GET /api/books/:id/video-status
  */
-exports.getVideoStatus = async (req, res) => {
+exports.getVideoStatus = async (req, res, next) => {
     try {
-        const book = await Book.findById(req.params.id).select('title videoUrl videoStatus videoGeneratedAt videoError');
-        if (!book) return res.status(404).json({ error: 'Book not found' });
+        const book = await Book.findById(req.params.id).select('title videoUrl videoStatus videoGeneratedAt videoError captions renditions');
+        if (!book) throw new NotFoundError('Book not found', { code: 'BOOK_NOT_FOUND' });
+
+        const job = await videoJobService.getLatestJobForBook(book._id);
         
         res.json({
             bookId: book._id,
             title: book.title,
             videoStatus: book.videoStatus,
             videoUrl: book.videoUrl,
+            captions: book.captions,
+            renditions: book.renditions,
             videoGeneratedAt: book.videoGeneratedAt,
-            videoError: book.videoError
+            videoError: book.videoError,
+            job: job ? {
+                id: job._id,
+                status: job.status,
+                attempts: job.attempts,
+                maxAttempts: job.maxAttempts,
+                nextAttemptAt: job.status === 'queued' ? job.runAt : null,
+                lastError: job.lastError,
+                progress: job.status === 'running' ? job.progress : null
+            } : null
         });
     } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
+    }
+};
+
+/**
+ * Stream video status transitions and stage progress for a book via Server-Sent Events
+ * GET /api/books/:id/video-status/stream
+ * 
+ * Events:
+ *   status   - { bookId, videoStatus, videoUrl?, renditions?, videoError?, jobId, attempts, maxAttempts, nextAttemptAt? }
+ *   progress - { bookId, jobId, step, stage, message, progress }
+ *   done     - sent once the video is completed or failed; the stream then closes
+ * 
+ * Reconnecting clients send Last-Event-ID and receive the events they missed,
+ * or a fresh status snapshot if there are none or they are no longer buffered.
+ */
+exports.streamVideoStatus = async (req, res, next) => {
+    try {
+        const book = await Book.findById(req.params.id).select('title videoUrl videoStatus videoGeneratedAt videoError renditions');
+        if (!book) throw new NotFoundError('Book not found', { code: 'BOOK_NOT_FOUND' });
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders();
+        res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+        let closed = false;
+        const writeEvent = ({ id, type, data }) => {
+            if (closed) return;
+            res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+            if (type === 'status' && ['completed', 'failed'].includes(data.videoStatus)) {
+                res.write(`id: ${id}\nevent: done\ndata: ${JSON.stringify({ videoStatus: data.videoStatus })}\n\n`);
+                cleanup();
+                res.end();
+            }
+        };
+
+        // Subscribe before reading state so nothing published in between is lost
+        const queued = [];
+        let ready = false;
+        const unsubscribe = videoJobEvents.subscribe(book._id, (event) => {
+            if (ready) writeEvent(event);
+            else queued.push(event);
+        });
+        const keepAlive = setInterval(() => {
+            if (!closed) res.write(': keep-alive\n\n');
+        }, STREAM_KEEPALIVE_MS);
+
+        function cleanup() {
+            if (closed) return;
+            closed = true;
+            clearInterval(keepAlive);
+            unsubscribe();
+        }
+        req.on('close', cleanup);
+
+        // Nothing missed is answered like nothing buffered: with a snapshot, so a client
+        // reconnecting after `done` gets it again and the stream closes instead of idling
+        const replay = req.get('Last-Event-ID')
+            ? videoJobEvents.getEventsSince(book._id, req.get('Last-Event-ID'))
+            : null;
+        const missed = replay?.length ? replay : null;
+
+        let lastSentId = 0;
+        if (missed) {
+            missed.forEach((event) => {
+                writeEvent(event);
+                lastSentId = event.id;
+            });
+        } else {
+            const job = await videoJobService.getLatestJobForBook(book._id);
+            const snapshot = {
+                bookId: book._id,
+                videoStatus: book.videoStatus,
+                videoUrl: book.videoUrl,
+                ...(book.videoStatus === 'completed' && { renditions: book.renditions }),
+                videoError: book.videoError,
+                jobId: job?._id,
+                attempts: job?.attempts,
+                maxAttempts: job?.maxAttempts,
+                ...(job?.status === 'queued' && { nextAttemptAt: job.runAt })
+            };
+            const snapshotId = Date.now() - 1;
+            writeEvent({ id: snapshotId, type: 'status', data: snapshot });
+
+            if (job?.status === 'running' && job.progress?.stage) {
+                writeEvent({
+                    id: snapshotId,
+                    type: 'progress',
+                    data: {
+                        bookId: book._id,
+                        jobId: job._id,
+                        step: job.progress.step,
+                        stage: job.progress.stage,
+                        message: job.progress.message,
+                        progress: job.progress.percent
+                    }
+                });
+            }
+        }
+
+        // Anything published while we were catching up; status events are idempotent so overlap is harmless
+        ready = true;
+        queued.filter((event) => !missed || event.id > lastSentId).forEach(writeEvent);
+    } catch (err) {
+        next(err);
     }
 };
 
@@ -255,46 +310,50 @@ exports.getVideoStatus = async (req, res) => {
  * Regenerate video for an existing book
  * POST /api/books/:id/regenerate-video
  */
-exports.regenerateVideo = async (req, res) => {
+exports.regenerateVideo = async (req, res, next) => {
     try {
         const userId = req.user?.id || req.user?._id || req.userId;
-        if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+        if (!userId) throw new UnauthorizedError();
 
         const book = await Book.findById(req.params.id);
-        if (!book) return res.status(404).json({ error: 'Book not found' });
+        if (!book) throw new NotFoundError('Book not found', { code: 'BOOK_NOT_FOUND' });
 
         // Check if user owns this book
-        if (book.authorId.toString() !== userId.toString()) {
-            return res.status(403).json({ error: 'Not authorized to modify this book' });
+        if (!canEditBook(req.user, book)) {
+            throw new ForbiddenError('Not authorized to modify this book');
         }
 
         if (!book.summary) {
-            return res.status(400).json({ error: 'Book has no summary for video generation' });
+            throw new ValidationError('Book has no summary for video generation', [], { code: 'BOOK_HAS_NO_SUMMARY' });
         }
 
-        const { aesthetic, voiceType } = req.body;
-
-        // Update status and start regeneration
-        await Book.findByIdAndUpdate(book._id, { 
-            videoStatus: 'pending',
-            videoAesthetic: aesthetic || book.videoAesthetic || 'cinematic'
-        });
-
-        // Start video generation in background
-        generateVideoForBook(
-            book._id, 
-            book.summary, 
-            book.title, 
-            aesthetic || book.videoAesthetic || 'cinematic',
-            voiceType || 'female'
+        const { aesthetic, voiceType, burnCaptions = false, renditions } = req.body;
+        const videoAesthetic = aesthetic || book.videoAesthetic || 'cinematic';
+
+        await Book.findByIdAndUpdate(book._id, { videoAesthetic });
+
+        // Queue regeneration for the background worker
+        const job = await videoJobService.enqueueVideoJob(
+            book._id,
+            {
+                summary: book.summary,
+                title: book.title,
+                aesthetic: videoAesthetic,
+                voiceType: voiceType || 'female',
+                numImages: 4,
+                burnCaptions,
+                renditions
+            },
+            { requestedBy: userId }
         );
 
         res.json({
-            message: 'Video regeneration started',
+            message: 'Video regeneration queued',
             bookId: book._id,
-            videoStatus: 'pending'
+            videoStatus: 'pending',
+            jobId: job._id
         });
     } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
     }
 };
\ No newline at end of file
@@ -0,0 +1,35 @@
+const feedService = require('../services/feedService');
+
+/**
+ * Home-screen video feed
+ * GET /api/feed?cursor=&limit=10
+ *
+ * Returns { items: [{ bookId, title, genre, tropes, videoUrl, posterUrl, coverImage, captionsUrl, aesthetic, source, reason }], nextCursor }.
+ * Signed-in readers get personalised cards and don't see videos they watched again until the rest run out.
+ */
+exports.getFeed = async (req, res, next) => {
+    try {
+        const userId = req.user?.id || req.user?._id || req.userId || null;
+        const result = await feedService.getFeed(userId, req.query);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Record the feed videos a reader watched
+ * POST /api/feed/views
+ *
+ * Body: { views: [{ bookId, source }] } (cards the client actually played)
+ * Returns { recorded }.
+ */
+exports.recordViews = async (req, res, next) => {
+    try {
+        const userId = req.user?.id || req.user?._id || req.userId;
+        const result = await feedService.recordViews(userId, req.body.views);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,20 @@
+const recommendationService = require('../services/recommendationService');
+const { UnauthorizedError } = require('../errors');
+
+/**
+ * Personalised book recommendations
+ * GET /api/user/recommendations?limit=20
+ *
+ * Returns { recommendations: [{ book, score, reasons, because }], profile }.
+ */
+exports.getMyRecommendations = async (req, res, next) => {
+    try {
+        const userId = req.user?.id || req.user?._id || req.userId;
+        if (!userId) throw new UnauthorizedError();
+
+        const result = await recommendationService.getRecommendations(userId, { limit: req.query.limit });
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
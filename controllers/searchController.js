@@ -0,0 +1,56 @@
+const bookSearchService = require('../services/bookSearchService');
+const bookEmbeddingService = require('../services/bookEmbeddingService');
+const usageService = require('../services/usageService');
+
+// AI search service - loaded dynamically since it is an ES module
+let aiSearch = null;
+
+async function getAISearch() {
+    if (!aiSearch) aiSearch = await import('../ai-service/services/searchService.js');
+    return aiSearch;
+}
+
+/**
+ * Natural-language book search
+ * GET /api/search?q=cozy fantasy with found family and no romance&limit=20
+ *
+ * Returns { query, interpretation: { keywords, tropes, genres, aesthetic, exclude, chips, source }, results, total }.
+ * Results carry `relevance` and what they `matched`. Only signed-in readers get the
+ * query read by the LLM; anonymous searches use the keyword interpretation.
+ */
+exports.naturalLanguageSearch = async (req, res, next) => {
+    try {
+        const search = await getAISearch();
+        const subject = usageService.getSubject(req);
+
+        const result = await usageService.runWithUsage({ ...subject, endpoint: 'GET /api/search' }, () => (
+            search.naturalLanguageSearch(req.query.q, {
+                findBooks: (interpretation, terms) => bookSearchService.findCandidates(interpretation, terms),
+                limit: req.query.limit,
+                useLLM: Boolean(req.user)
+            })
+        ));
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Semantic book search by embedding similarity
+ * GET /api/search/semantic?q=a witch running a bakery in a seaside town&limit=20
+ *
+ * Returns { query, results: [{ ...book, similarity }], model, index }. Anonymous
+ * callers are only served while queries are embedded locally, at no cost.
+ */
+exports.semanticSearch = async (req, res, next) => {
+    try {
+        const subject = usageService.getSubject(req);
+        const result = await usageService.runWithUsage({ ...subject, endpoint: 'GET /api/search/semantic' }, () => (
+            bookEmbeddingService.semanticSearch(req.query.q, { limit: req.query.limit, offlineOnly: !req.user })
+        ));
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
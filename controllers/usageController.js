@@ -0,0 +1,15 @@
+const usageService = require('../services/usageService');
+const { UnauthorizedError } = require('../errors');
+
+// GET /api/user/usage?days=7
+exports.getMyUsage = async (req, res, next) => {
+    try {
+        const subject = usageService.getSubject(req);
+        if (!subject.user) throw new UnauthorizedError();
+
+        const usage = await usageService.getUsageSummary(subject, { days: req.query.days });
+        res.json({ usage });
+    } catch (err) {
+        next(err);
+    }
+};
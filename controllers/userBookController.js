@@ -1,62 +1,66 @@
 const UserBook = require('../models/userBookModel');
+const Book = require('../models/bookModel');
+const { ValidationError, UnauthorizedError, NotFoundError, ConflictError } = require('../errors');
 
-exports.listUserBooks = async (req, res) => {
+exports.listUserBooks = async (req, res, next) => {
     try {
         const userId = req.user?.id || req.user?._id || req.userId;
-        if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+        if (!userId) throw new UnauthorizedError();
 
         const userBooks = await UserBook.find({ user: userId }).populate('book');
         res.json({ userBooks });
     } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
     }
 };
 
-exports.addUserBook = async (req, res) => {
+exports.addUserBook = async (req, res, next) => {
     try {
         const userId = req.user?.id || req.user?._id || req.userId;
-        if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+        if (!userId) throw new UnauthorizedError();
 
-        const { book, status, progress } = req.body;
-        if (!book) return res.status(400).json({ error: 'book id required' });
+        const { book, status, progress, ...details } = req.body;
+        if (!book) throw new ValidationError('book id required');
 
         // prevent duplicates
         const existing = await UserBook.findOne({ user: userId, book });
-        if (existing) return res.status(409).json({ error: 'Book already in collection' });
+        if (existing) throw new ConflictError('Book already in collection', { code: 'ALREADY_IN_COLLECTION' });
 
-        const newUB = await UserBook.create({ user: userId, book, status: status || 'to-read', progress: progress || 0 });
+        const newUB = await UserBook.create({ ...details, user: userId, book, status: status || 'to-read', progress: progress || 0 });
+        await Book.updateOne({ _id: book }, { $inc: { readerCount: 1 } });
         res.status(201).json({ userBook: newUB });
     } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
     }
 };
 
-exports.updateUserBook = async (req, res) => {
+exports.updateUserBook = async (req, res, next) => {
     try {
         const userId = req.user?.id || req.user?._id || req.userId;
-        if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+        if (!userId) throw new UnauthorizedError();
 
         const ub = await UserBook.findOneAndUpdate(
             { _id: req.params.id, user: userId },
             req.body,
             { new: true }
         );
-        if (!ub) return res.status(404).json({ error: 'UserBook not found' });
+        if (!ub) throw new NotFoundError('UserBook not found', { code: 'USER_BOOK_NOT_FOUND' });
         res.json({ userBook: ub });
     } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
     }
 };
 
-exports.deleteUserBook = async (req, res) => {
+exports.deleteUserBook = async (req, res, next) => {
     try {
         const userId = req.user?.id || req.user?._id || req.userId;
-        if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+        if (!userId) throw new UnauthorizedError();
 
         const removed = await UserBook.findOneAndDelete({ _id: req.params.id, user: userId });
-        if (!removed) return res.status(404).json({ error: 'UserBook not found' });
+        if (!removed) throw new NotFoundError('UserBook not found', { code: 'USER_BOOK_NOT_FOUND' });
+        await Book.updateOne({ _id: removed.book, readerCount: { $gt: 0 } }, { $inc: { readerCount: -1 } });
         res.json({ success: true });
     } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
     }
 };
\ No newline at end of file
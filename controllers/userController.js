@@ -1,58 +1,242 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const sessionService = require('../services/sessionService');
+const accountTokenService = require('../services/accountTokenService');
+const mailerService = require('../services/mailerService');
+const { AppError, ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'change_this_secret';
+// Where the links in account emails point (the frontend handles the token)
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
 
-exports.register = async (req, res) => {
+// Wrong passwords in a row before an account is locked, and for how long
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10);
+const LOGIN_LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MS || String(15 * 60 * 1000), 10);
+
+async function sendVerificationEmail(user) {
+    const token = await accountTokenService.issueToken(user, 'verify-email');
+    const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+    return mailerService.sendMail({
+        to: user.email,
+        subject: 'Confirm your BookTok email',
+        text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\nIf you didn't create a BookTok account, you can ignore this email.`
+    });
+}
+
+async function sendPasswordResetEmail(user) {
+    const token = await accountTokenService.issueToken(user, 'reset-password');
+    const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    return mailerService.sendMail({
+        to: user.email,
+        subject: 'Reset your BookTok password',
+        text: `Hi ${user.username},\n\nReset your password by opening this link:\n${link}\n\nThe link works once and expires soon. If you didn't ask for a reset, you can ignore this email.`
+    });
+}
+
+exports.register = async (req, res, next) => {
     try {
         const { username, email, password } = req.body;  // Changed: name -> username
-        if (!email || !password || !username) return res.status(400).json({ error: 'Email, username and password required' });
+        if (!email || !password || !username) throw new ValidationError('Email, username and password required');
 
         const existing = await User.findOne({ email });
-        if (existing) return res.status(409).json({ error: 'User already exists' });
+        if (existing) throw new ConflictError('User already exists', { code: 'EMAIL_TAKEN' });
 
         const existingUsername = await User.findOne({ username });
-        if (existingUsername) return res.status(409).json({ error: 'Username already taken' });
+        if (existingUsername) throw new ConflictError('Username already taken', { code: 'USERNAME_TAKEN' });
 
         const hashed = await bcrypt.hash(password, 10);
         const user = await User.create({ username, email, password: hashed });
 
-        const token = jwt.sign({ id: user._id }, JWT_SECRET, { expiresIn: '7d' });
-        res.status(201).json({ user: { id: user._id, username: user.username, email: user.email }, token });
+        // A mail outage shouldn't block sign-up; the user can ask for another link
+        await sendVerificationEmail(user).catch((err) => console.error('Verification email failed:', err.message));
+
+        const tokens = await sessionService.createSession(user._id, req);
+        res.status(201).json({ user: { id: user._id, username: user.username, email: user.email, role: user.role, emailVerified: user.emailVerified }, ...tokens });
     } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
     }
 };
 
-exports.login = async (req, res) => {
+exports.login = async (req, res, next) => {
     try {
         const { email, password } = req.body;
-        if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+        if (!email || !password) throw new ValidationError('Email and password required');
 
         const user = await User.findOne({ email });
-        if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+        if (!user) throw new UnauthorizedError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+
+        if (user.lockUntil && user.lockUntil > new Date()) {
+            const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+            throw new AppError('Account temporarily locked after too many failed logins', {
+                status: 423,
+                code: 'ACCOUNT_LOCKED',
+                details: { retryAfter },
+                headers: { 'Retry-After': String(retryAfter) }
+            });
+        }
 
         const ok = await bcrypt.compare(password, user.password);
-        if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
+        if (!ok) {
+            // Counted atomically so parallel guesses can't slip under the limit
+            const updated = await User.findByIdAndUpdate(user._id, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+            if (updated && updated.failedLoginAttempts >= LOGIN_MAX_FAILURES) {
+                await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + LOGIN_LOCKOUT_MS) });
+            }
+            throw new UnauthorizedError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+        }
 
-        const token = jwt.sign({ id: user._id }, JWT_SECRET, { expiresIn: '7d' });
-        res.json({ user: { id: user._id, username: user.username, email: user.email }, token });
+        if (user.failedLoginAttempts || user.lockUntil) {
+            await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockUntil: null });
+        }
+
+        const tokens = await sessionService.createSession(user._id, req);
+        res.json({ user: { id: user._id, username: user.username, email: user.email, role: user.role, emailVerified: user.emailVerified }, ...tokens });
     } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
     }
 };
 
-exports.profile = async (req, res) => {
+exports.profile = async (req, res, next) => {
     try {
         const userId = req.user?.id || req.user?._id || req.userId;
-        if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+        if (!userId) throw new UnauthorizedError();
 
         const user = await User.findById(userId).select('-password');
-        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (!user) throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+
+        const sessions = await sessionService.listSessions(userId, req.sessionId);
+        res.json({ user, sessions });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.refresh = async (req, res, next) => {
+    try {
+        const tokens = await sessionService.refreshSession(req.body.refreshToken, req);
+        res.json(tokens);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.logout = async (req, res, next) => {
+    try {
+        // The refresh token identifies the session even once the access token has expired
+        const { refreshToken } = req.body;
+        if (!refreshToken) throw new ValidationError('Refresh token required');
+
+        const revoked = await sessionService.revokeSession({ refreshToken });
+        res.json({ success: true, revoked });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.logoutAll = async (req, res, next) => {
+    try {
+        const userId = req.user?.id || req.user?._id || req.userId;
+        const revoked = await sessionService.revokeAllSessions(userId);
+        res.json({ success: true, revoked });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.revokeSession = async (req, res, next) => {
+    try {
+        const userId = req.user?.id || req.user?._id || req.userId;
+        const revoked = await sessionService.revokeSession({ sessionId: req.params.id, userId });
+        if (!revoked) throw new NotFoundError('Session not found', { code: 'SESSION_NOT_FOUND' });
+
+        res.json({ success: true });
+    } catch (err) {
+        next(err);
+    }
+};
 
+// Admins promote users to author (or back); admin accounts can't be changed this way
+exports.setRole = async (req, res, next) => {
+    try {
+        const { role } = req.body;
+        if (!['user', 'author'].includes(role)) {
+            throw new ValidationError('Validation failed', [{ field: 'role', message: 'must be one of: user, author', in: 'body' }]);
+        }
+
+        const existing = await User.findById(req.params.id).select('role');
+        if (!existing) throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+        if (existing.role === 'admin') throw new ForbiddenError('Admin roles cannot be changed');
+
+        const user = await User.findByIdAndUpdate(existing._id, { role }, { new: true }).select('-password');
         res.json({ user });
     } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+        next(err);
+    }
+};
+
+exports.requestEmailVerification = async (req, res, next) => {
+    try {
+        const userId = req.user?.id || req.user?._id || req.userId;
+        const user = await User.findById(userId);
+        if (!user) throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+        if (user.emailVerified) return res.json({ success: true, alreadyVerified: true });
+
+        await sendVerificationEmail(user);
+        res.json({ success: true, message: 'Verification email sent' });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.confirmEmailVerification = async (req, res, next) => {
+    try {
+        const { userId, email } = await accountTokenService.consumeToken(req.body.token, 'verify-email');
+
+        // Only verifies the address the link was sent to, not one changed since
+        const user = await User.findOneAndUpdate(
+            { _id: userId, email },
+            { emailVerified: true, emailVerifiedAt: new Date() },
+            { new: true }
+        ).select('-password');
+        if (!user) throw new AppError('Email address has changed since this link was sent', { status: 400, code: 'EMAIL_CHANGED' });
+
+        res.json({ success: true, user });
+    } catch (err) {
+        next(err);
     }
-};
\ No newline at end of file
+};
+
+exports.requestPasswordReset = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+        if (!email) throw new ValidationError('Email required');
+
+        const user = await User.findOne({ email });
+        if (user) {
+            // Failing loudly here would also tell the caller the account exists
+            await sendPasswordResetEmail(user).catch((err) => console.error('Password reset email failed:', err.message));
+        }
+
+        // Same answer whether or not the account exists, so this can't be used to probe for emails
+        res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent' });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.confirmPasswordReset = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+        if (!password) throw new ValidationError('Password required');
+
+        const { userId } = await accountTokenService.consumeToken(token, 'reset-password');
+        const hashed = await bcrypt.hash(password, 10);
+        const user = await User.findByIdAndUpdate(userId, { password: hashed, failedLoginAttempts: 0, lockUntil: null });
+        if (!user) throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+
+        // Whoever knew the old password is signed out everywhere
+        await sessionService.revokeAllSessions(user._id);
+        res.json({ success: true, message: 'Password updated, please sign in again' });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,90 @@
+/**
+ * Application errors. Throw (or pass to next()) one of these and the error
+ * middleware answers with its status and a body of
+ * { error: message, code, requestId, ...details }.
+ */
+class AppError extends Error {
+    /**
+     * @param {string} message - Safe to show to clients
+     * @param {object} options - { status, code (machine-readable, e.g. 'BOOK_NOT_FOUND'), details (extra body fields), headers }
+     */
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null, headers = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+class ValidationError extends AppError {
+    /**
+     * @param {string} message
+     * @param {Array<{ field: string, message: string, in?: string }>} fields - What was wrong with each field
+     */
+    constructor(message = 'Validation failed', fields = [], options = {}) {
+        super(message, { status: 400, code: 'VALIDATION_FAILED', ...options, details: { fields, ...options.details } });
+        this.fields = fields;
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message = 'Unauthorized', options = {}) {
+        super(message, { status: 401, code: 'UNAUTHORIZED', ...options });
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = 'Forbidden', options = {}) {
+        super(message, { status: 403, code: 'FORBIDDEN', ...options });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Not found', options = {}) {
+        super(message, { status: 404, code: 'NOT_FOUND', ...options });
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message = 'Conflict', options = {}) {
+        super(message, { status: 409, code: 'CONFLICT', ...options });
+    }
+}
+
+class TooManyRequestsError extends AppError {
+    /**
+     * @param {string} message
+     * @param {number} retryAfter - Seconds until the client may try again (sent as Retry-After)
+     */
+    constructor(message = 'Too many requests', retryAfter = 60, options = {}) {
+        super(message, {
+            status: 429,
+            code: 'RATE_LIMITED',
+            ...options,
+            details: { retryAfter, ...options.details },
+            headers: { 'Retry-After': String(retryAfter), ...options.headers }
+        });
+    }
+}
+
+/**
+ * A provider the request depended on (LLM, TTS, image model, storage) failed
+ */
+class UpstreamFailureError extends AppError {
+    constructor(message = 'Upstream service failed', options = {}) {
+        super(message, { status: 502, code: 'UPSTREAM_FAILURE', ...options });
+    }
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    TooManyRequestsError,
+    UpstreamFailureError
+};
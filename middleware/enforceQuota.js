@@ -0,0 +1,55 @@
+const usageService = require('../services/usageService');
+const { TooManyRequestsError } = require('../errors');
+
+function quotaExceeded(exceeded, resetsAt) {
+    const retryAfter = Math.max(Math.ceil((resetsAt.getTime() - Date.now()) / 1000), 1);
+    return new TooManyRequestsError('Daily quota exceeded', retryAfter, {
+        code: 'QUOTA_EXCEEDED',
+        details: { ...exceeded, resetsAt }
+    });
+}
+
+/**
+ * Reject requests once the caller has used up a daily quota, otherwise attribute
+ * the AI usage they cause to the caller. Runs after requireAuth/optionalAuth;
+ * anonymous callers are metered by IP.
+ *
+ * A generation is reserved up front, so concurrent requests can't overshoot the
+ * quota, and only recorded once the request succeeds: one that fails (a missing
+ * book, a rejected payload) gives it back.
+ *
+ * @param {object} options - { generation (default true): count the request against QUOTA_DAILY_GENERATIONS }
+ */
+module.exports = function enforceQuota(options = {}) {
+    const { generation = true } = options;
+
+    return async function enforceQuotaMiddleware(req, res, next) {
+        try {
+            const subject = usageService.getSubject(req);
+            const quota = await usageService.checkQuota(subject);
+            if (!quota.allowed) return next(quotaExceeded(quota.exceeded, quota.resetsAt));
+
+            const endpoint = `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+            const book = req.params.id;
+
+            if (generation) {
+                const reservation = await usageService.reserveGeneration(subject);
+                if (!reservation) {
+                    const limit = usageService.QUOTAS.generations;
+                    return next(quotaExceeded({ quota: 'generations', limit, used: limit }, quota.resetsAt));
+                }
+
+                res.on('close', () => {
+                    const settled = res.statusCode < 400
+                        ? usageService.recordGeneration(subject, { endpoint, book })
+                        : usageService.releaseGeneration(reservation);
+                    settled.catch((err) => console.error('Settling generation quota failed:', err.message));
+                });
+            }
+
+            return usageService.runWithUsage({ ...subject, endpoint, book }, () => next());
+        } catch (err) {
+            next(err);
+        }
+    };
+};
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { AppError, ValidationError, ConflictError, NotFoundError } = require('../errors');
+
+/**
+ * Turn anything thrown into an AppError; unknown errors become a bare 500
+ */
+function toAppError(err) {
+    if (err instanceof AppError) return err;
+
+    if (err instanceof mongoose.Error.CastError) {
+        return new ValidationError('Validation failed', [{ field: err.path, message: `must be a valid ${err.kind}` }], { code: 'INVALID_VALUE' });
+    }
+    if (err instanceof mongoose.Error.ValidationError) {
+        const fields = Object.values(err.errors).map((error) => ({
+            field: error.path,
+            // Cast messages quote driver internals
+            message: error.name === 'CastError' ? `must be a valid ${error.kind}` : error.message
+        }));
+        return new ValidationError('Validation failed', fields);
+    }
+    if (err.code === 11000) {
+        const fields = Object.keys(err.keyValue || err.keyPattern || {});
+        return new ConflictError(fields.length ? `Duplicate value for ${fields.join(', ')}` : 'Duplicate value', {
+            code: 'DUPLICATE_KEY',
+            details: { fields: fields.map((field) => ({ field, message: 'is already taken' })) }
+        });
+    }
+
+    // Thrown by express.json()
+    if (err.type === 'entity.parse.failed') return new AppError('Malformed JSON body', { status: 400, code: 'INVALID_JSON' });
+    if (err.type === 'entity.too.large') return new AppError('Request body too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+
+    return new AppError('Server error');
+}
+
+/**
+ * 404 for requests no route matched
+ */
+function notFound(req, res, next) {
+    next(new NotFoundError(`No route for ${req.method} ${req.path}`, { code: 'ROUTE_NOT_FOUND' }));
+}
+
+/**
+ * Express error middleware: answers { error, code, requestId, ...details } with the right status.
+ * Internal errors are logged with the request id and never sent to the client.
+ * (Express only treats it as error middleware because it takes four arguments.)
+ */
+function errorHandler(err, req, res, next) {
+    const appError = toAppError(err);
+
+    if (appError.status >= 500) {
+        console.error(`❌ [${req.id}] ${req.method} ${req.originalUrl}:`, err.stack || err.message);
+    }
+
+    // Streaming responses (SSE, video downloads) can only be cut off
+    if (res.headersSent) return res.end();
+
+    if (appError.headers) res.set(appError.headers);
+    res.status(appError.status).json({
+        error: appError.message,
+        code: appError.code,
+        requestId: req.id,
+        ...appError.details
+    });
+}
+
+module.exports = errorHandler;
+module.exports.notFound = notFound;
@@ -0,0 +1,12 @@
+const requireAuth = require('./requireAuth');
+
+/**
+ * Authenticate the request when it carries a token, but let anonymous requests through
+ */
+module.exports = function optionalAuth(req, res, next) {
+    const hasToken = (req.headers.authorization && req.headers.authorization.startsWith('Bearer '))
+        || (req.cookies && req.cookies.token);
+
+    if (!hasToken) return next();
+    return requireAuth(req, res, next);
+};
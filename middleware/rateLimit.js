@@ -0,0 +1,84 @@
+const { getStore } = require('../services/rateLimitStore');
+const { TooManyRequestsError } = require('../errors');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Read a policy limit from the environment, e.g. RATE_LIMIT_LOGIN_MAX
+ */
+function readLimit(name, fallback) {
+    const number = Number(process.env[name]);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+// Per-route policies. `by: 'user'` counts per signed-in user (per IP when anonymous)
+// and so has to run after requireAuth/optionalAuth.
+const POLICIES = {
+    login: { windowMs: 15 * MINUTE, max: readLimit('RATE_LIMIT_LOGIN_MAX', 10), by: 'ip', message: 'Too many login attempts' },
+    register: { windowMs: HOUR, max: readLimit('RATE_LIMIT_REGISTER_MAX', 5), by: 'ip', message: 'Too many accounts created' },
+    accountEmail: { windowMs: HOUR, max: readLimit('RATE_LIMIT_ACCOUNT_EMAIL_MAX', 5), by: 'ip', message: 'Too many emails requested' },
+    refresh: { windowMs: 15 * MINUTE, max: readLimit('RATE_LIMIT_REFRESH_MAX', 60), by: 'ip', message: 'Too many token refreshes' },
+    generate: { windowMs: HOUR, max: readLimit('RATE_LIMIT_GENERATE_MAX', 10), by: 'user', message: 'Too many generation requests' },
+    search: { windowMs: MINUTE, max: readLimit('RATE_LIMIT_SEARCH_MAX', 120), by: 'ip', message: 'Too many search requests' },
+    naturalSearch: { windowMs: HOUR, max: readLimit('RATE_LIMIT_NATURAL_SEARCH_MAX', 30), by: 'user', message: 'Too many natural-language searches' },
+    semanticSearch: { windowMs: HOUR, max: readLimit('RATE_LIMIT_SEMANTIC_SEARCH_MAX', 60), by: 'user', message: 'Too many semantic searches' }
+};
+
+function getKey(name, by, req) {
+    const userId = req.user?._id || req.user?.id || req.userId;
+    if (by === 'user' && userId) return `${name}:user:${userId}`;
+    return `${name}:ip:${req.ip}`;
+}
+
+/**
+ * Sliding-window rate limit. Counts are kept per fixed window, and the previous
+ * window's count is weighted by how much of it still overlaps the sliding one,
+ * so a burst at a window boundary can't get through twice the limit.
+ *
+ * @param {string|object} policy - A POLICIES name, or { name, windowMs, max, by: 'ip'|'user', message }
+ * @param {object} overrides - Replace fields of a named policy
+ */
+module.exports = function rateLimit(policy, overrides = {}) {
+    const options = typeof policy === 'string'
+        ? { name: policy, ...POLICIES[policy], ...overrides }
+        : { by: 'ip', message: 'Too many requests', ...policy, ...overrides };
+    if (!options.name || !options.windowMs || !options.max) {
+        throw new Error(`Unknown or incomplete rate limit policy: ${JSON.stringify(policy)}`);
+    }
+
+    const { name, windowMs, max, by, message } = options;
+
+    return async function rateLimitMiddleware(req, res, next) {
+        try {
+            const now = Date.now();
+            const windowStart = Math.floor(now / windowMs) * windowMs;
+            const { current, previous } = await getStore().increment(getKey(name, by, req), windowStart, windowMs);
+
+            const overlap = 1 - (now - windowStart) / windowMs;
+            const count = previous * overlap + current;
+
+            res.set('RateLimit-Limit', String(max));
+            res.set('RateLimit-Remaining', String(Math.max(Math.floor(max - count), 0)));
+            res.set('RateLimit-Reset', String(Math.ceil((windowStart + windowMs - now) / 1000)));
+
+            if (count > max) {
+                // When enough of the fuller window has slid out for one more request to fit
+                const retryAt = current < max
+                    ? windowStart + (1 - (max - current - 1) / previous) * windowMs
+                    : windowStart + windowMs + (1 - (max - 1) / current) * windowMs;
+                const retryAfter = Math.max(Math.ceil((retryAt - now) / 1000), 1);
+
+                return next(new TooManyRequestsError(message, retryAfter));
+            }
+
+            return next();
+        } catch (err) {
+            // A broken store shouldn't take the API down with it
+            console.error(`Rate limit (${name}) failed:`, err.message);
+            return next();
+        }
+    };
+};
+
+module.exports.POLICIES = POLICIES;
@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Ids from a proxy or client are reused so logs can be correlated across services
+const INCOMING_ID = /^[\w.:-]{8,128}$/;
+
+/**
+ * Give every request an id (req.id), echoed in the X-Request-Id response header
+ */
+module.exports = function requestId(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
@@ -1,7 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const sessionService = require('../services/sessionService');
+const { UnauthorizedError } = require('../errors');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'change_this_secret';
+const { JWT_SECRET } = sessionService;
 
 module.exports = async function requireAuth(req, res, next) {
     try {
@@ -11,18 +13,22 @@ module.exports = async function requireAuth(req, res, next) {
             token = req.headers.authorization.split(' ')[1];
         } else if (req.cookies && req.cookies.token) {
             token = req.cookies.token;
-        } else if (req.query && req.query.token) {
-            token = req.query.token;
         }
 
-        if (!token) return res.status(401).json({ error: 'Unauthorized' });
+        if (!token) return next(new UnauthorizedError());
 
         const decoded = jwt.verify(token, JWT_SECRET);
         const userId = decoded?.id || decoded?.userId || decoded?._id;
-        if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+        if (!userId) return next(new UnauthorizedError());
+
+        // Access tokens die with their session (logout, logout-all, refresh token reuse)
+        if (!(await sessionService.isSessionActive(decoded.sid))) {
+            return next(new UnauthorizedError('Session expired', { code: 'SESSION_EXPIRED' }));
+        }
 
         // Attach user id and full user (without password) if available
         req.userId = userId;
+        req.sessionId = decoded.sid;
         try {
             const user = await User.findById(userId).select('-password');
             if (user) req.user = user;
@@ -34,6 +40,8 @@ module.exports = async function requireAuth(req, res, next) {
 
         return next();
     } catch (err) {
-        return res.status(401).json({ error: 'Unauthorized' });
+        // An expired access token is the client's cue to use its refresh token
+        if (err.name === 'TokenExpiredError') return next(new UnauthorizedError('Access token expired', { code: 'TOKEN_EXPIRED' }));
+        return next(new UnauthorizedError());
     }
 };
\ No newline at end of file
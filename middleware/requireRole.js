@@ -0,0 +1,16 @@
+const { hasRole } = require('../services/authorizationService');
+const { UnauthorizedError, ForbiddenError } = require('../errors');
+
+/**
+ * Only let users with one of the roles through (admins always pass).
+ * Runs after requireAuth.
+ */
+module.exports = function requireRole(...roles) {
+    return function requireRoleMiddleware(req, res, next) {
+        if (!req.user) return next(new UnauthorizedError());
+        if (!hasRole(req.user, roles)) {
+            return next(new ForbiddenError('Forbidden', { code: 'ROLE_REQUIRED', details: { requiredRole: roles } }));
+        }
+        return next();
+    };
+};
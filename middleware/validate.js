@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+const { ValidationError } = require('../errors');
+
+// Passwords need 8+ characters including a number
+const PASSWORD_RULES = { minLength: 8, minLowercase: 0, minUppercase: 0, minNumbers: 1, minSymbols: 0 };
+
+/**
+ * Field rules. A rule is { type, required, default, nullable (null is kept to clear the field), ...constraints }:
+ * - string:   minLength, maxLength, pattern, enum, trim (default true), url
+ * - email:    a trimmed, valid email address
+ * - password: a string meeting PASSWORD_RULES
+ * - number / integer: min, max (numeric strings are coerced)
+ * - boolean:  'true'/'false'/'1'/'0' are coerced
+ * - date:     ISO 8601 strings are coerced to Dates
+ * - objectId: a valid MongoDB ObjectId string
+ * - array:    items (a rule), maxItems; a comma-separated string is split (query strings)
+ * - object:   properties (rules); unknown keys are dropped
+ * - anyOf:    rules; the value is coerced by the first rule it passes
+ */
+const COERCE = {
+    string(value, rule) {
+        if (typeof value !== 'string') return { error: 'must be a string' };
+        const text = rule.trim === false ? value : value.trim();
+        if (rule.minLength !== undefined && text.length < rule.minLength) return { error: `must be at least ${rule.minLength} characters` };
+        if (rule.maxLength !== undefined && text.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+        if (rule.pattern && !rule.pattern.test(text)) return { error: rule.message || 'has an invalid format' };
+        if (rule.url && text && !validator.isURL(text, { protocols: ['http', 'https'] })) return { error: 'must be an http(s) URL' };
+        return { value: text };
+    },
+
+    email(value) {
+        if (typeof value !== 'string' || !validator.isEmail(value.trim())) return { error: 'must be a valid email address' };
+        return { value: value.trim() };
+    },
+
+    password(value) {
+        if (typeof value !== 'string') return { error: 'must be a string' };
+        if (value.length > 200) return { error: 'must be at most 200 characters' };
+        if (!validator.isStrongPassword(value, PASSWORD_RULES)) {
+            return { error: `must be at least ${PASSWORD_RULES.minLength} characters and contain a number` };
+        }
+        return { value };
+    },
+
+    number(value, rule) {
+        const number = typeof value === 'string' && validator.isFloat(value.trim()) ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+        return checkRange(number, rule);
+    },
+
+    integer(value, rule) {
+        const number = typeof value === 'string' && validator.isInt(value.trim()) ? Number(value) : value;
+        if (!Number.isInteger(number)) return { error: 'must be an integer' };
+        return checkRange(number, rule);
+    },
+
+    boolean(value) {
+        if (typeof value === 'boolean') return { value };
+        if (value === 'true' || value === '1') return { value: true };
+        if (value === 'false' || value === '0') return { value: false };
+        return { error: 'must be true or false' };
+    },
+
+    date(value) {
+        if (value instanceof Date && !Number.isNaN(value.getTime())) return { value };
+        if (typeof value === 'string' && validator.isISO8601(value)) return { value: new Date(value) };
+        return { error: 'must be an ISO 8601 date' };
+    },
+
+    objectId(value) {
+        if (typeof value !== 'string' || !mongoose.isValidObjectId(value) || !validator.isMongoId(value)) {
+            return { error: 'must be a valid id' };
+        }
+        return { value };
+    },
+
+    array(value, rule, field) {
+        const list = typeof value === 'string' ? value.split(',').filter((item) => item.trim()) : value;
+        if (!Array.isArray(list)) return { error: 'must be an array' };
+        if (rule.maxItems !== undefined && list.length > rule.maxItems) return { error: `must have at most ${rule.maxItems} items` };
+        if (!rule.items) return { value: list };
+
+        const errors = [];
+        const items = list.map((item, index) => {
+            const result = checkField(item, rule.items, `${field}[${index}]`);
+            errors.push(...result.errors);
+            return result.value;
+        });
+        return errors.length ? { errors } : { value: items };
+    },
+
+    object(value, rule, field) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'must be an object' };
+        const result = checkObject(value, rule.properties || {}, `${field}.`);
+        return result.errors.length ? { errors: result.errors } : { value: result.value };
+    },
+
+    anyOf(value, rule, field) {
+        for (const option of rule.rules) {
+            const result = checkField(value, option, field);
+            if (!result.errors.length) return { value: result.value };
+        }
+        return { error: `must be a ${rule.rules.map((option) => option.type).join(' or ')}` };
+    }
+};
+
+function checkRange(number, rule) {
+    if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+    return { value: number };
+}
+
+/**
+ * Check and coerce one value
+ * @returns {{ value: *, errors: Array<{ field: string, message: string }> }}
+ */
+function checkField(value, rule, field) {
+    const coerce = COERCE[rule.type];
+    if (!coerce) throw new Error(`Unknown validation type "${rule.type}" for ${field}`);
+
+    const result = coerce(value, rule, field);
+    if (result.errors) return { value, errors: result.errors };
+    if (result.error) return { value, errors: [{ field, message: result.error }] };
+    if (rule.enum && !rule.enum.includes(result.value)) {
+        return { value, errors: [{ field, message: `must be one of: ${rule.enum.join(', ')}` }] };
+    }
+    return { value: result.value, errors: [] };
+}
+
+/**
+ * Check an object against field rules, keeping only the fields that have one
+ */
+function checkObject(input, rules, prefix = '') {
+    const value = {};
+    const errors = [];
+
+    for (const [name, rule] of Object.entries(rules)) {
+        const field = `${prefix}${name}`;
+        const raw = input[name];
+
+        // An empty string can clear an optional text field; anywhere else it counts as missing
+        const missing = raw === undefined || raw === null || (raw === '' && (rule.required || rule.type !== 'string'));
+        if (missing) {
+            if (rule.required) errors.push({ field, message: 'is required' });
+            else if (rule.default !== undefined) value[name] = typeof rule.default === 'function' ? rule.default() : rule.default;
+            else if (raw === null && rule.nullable) value[name] = null;
+            continue;
+        }
+
+        const result = checkField(raw, rule, field);
+        errors.push(...result.errors);
+        if (!result.errors.length) value[name] = result.value;
+    }
+
+    return { value, errors };
+}
+
+/**
+ * Validate and whitelist a request: each of body, query and params is replaced by
+ * the coerced fields its schema lists; anything else the client sent is dropped.
+ * Fails with a ValidationError listing every field error at once.
+ *
+ * @param {object} schema - { body, query, params }, each { field: rule }
+ */
+function validate(schema) {
+    return function validateMiddleware(req, res, next) {
+        const errors = [];
+        const results = {};
+
+        for (const part of ['params', 'query', 'body']) {
+            if (!schema[part]) continue;
+            const result = checkObject(req[part] || {}, schema[part]);
+            errors.push(...result.errors.map((error) => ({ ...error, in: part })));
+            results[part] = result.value;
+        }
+
+        if (errors.length) return next(new ValidationError('Validation failed', errors));
+
+        Object.assign(req, results);
+        return next();
+    };
+}
+
+// Rules shared by several routes
+const rules = {
+    id: { type: 'objectId', required: true },
+    email: { type: 'email', required: true },
+    password: { type: 'password', required: true }
+};
+
+module.exports = validate;
+module.exports.rules = rules;
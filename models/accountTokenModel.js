@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// Issued email verification / password reset token, tracked so each can only be used once
+const accountTokenSchema = new Schema({
+    jti: { type: String, required: true, unique: true },  // The signed token's id
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    purpose: { type: String, enum: ['verify-email', 'reset-password'], required: true },
+    usedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+accountTokenSchema.index({ user: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
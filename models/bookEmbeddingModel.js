@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// A book's embedding vector, for semantic search and similar books (bookEmbeddingService)
+const bookEmbeddingSchema = new Schema({
+    book: { type: Schema.Types.ObjectId, ref: 'Book', required: true, unique: true },
+
+    modelKey: { type: String, required: true },      // "<provider>:<model>"; vectors from other models don't compare
+    dimensions: { type: Number, required: true },
+    vector: { type: [Number], required: true },
+
+    contentHash: { type: String, required: true },   // Of the book fields embedded, to tell when it is stale
+    // Book analysis folded into the vector (only kept when an LLM produced it)
+    analysis: {
+        tropes: { type: [String], default: undefined },
+        aesthetic: { type: String },
+        vibeCollage: { type: String }
+    }
+}, { timestamps: true });
+
+bookEmbeddingSchema.index({ modelKey: 1 });
+
+module.exports = mongoose.model('BookEmbedding', bookEmbeddingSchema);
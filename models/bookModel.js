@@ -11,6 +11,7 @@ const bookSchema = new Schema({
     source: { type: String, enum: ['author_uploaded', 'external_scraped', 'goodreads_imported'], default: 'author_uploaded' },
     publishedDate: { type: Date, default: null },
     genre: { type: String, default: '' },
+    readerCount: { type: Number, default: 0 },  // Users with the book in their list (userBookController keeps it current, readerCountService backfills it)
     
     // Video generation fields
     videoUrl: { type: String, default: '' },
@@ -22,7 +23,34 @@ const bookSchema = new Schema({
     videoGeneratedAt: { type: Date },
     videoAesthetic: { type: String, default: 'cinematic' },
     videoError: { type: String, default: '' },
+    captions: {
+        vttUrl: { type: String, default: '' },
+        srtUrl: { type: String, default: '' }
+    },
+    // Every output format of the latest generation (9:16, 1:1, 16:9, GIF/WebP preview, poster).
+    // videoUrl stays the master rendition.
+    renditions: [{
+        _id: false,
+        name: { type: String, required: true },
+        kind: { type: String, enum: ['video', 'preview', 'image'] },
+        format: { type: String },
+        width: { type: Number },
+        height: { type: Number },
+        url: { type: String, required: true },
+        cloudinaryPublicId: { type: String }
+    }],
     cloudinaryPublicId: { type: String, default: '' }  // For Cloudinary video management
 }, { timestamps: true });
 
+// Full-text search (bookSearchService); title matches count most
+bookSchema.index(
+    { title: 'text', keywords: 'text', genre: 'text', summary: 'text' },
+    { name: 'book_text', weights: { title: 10, keywords: 5, genre: 3, summary: 1 } }
+);
+bookSchema.index({ createdAt: -1, _id: -1 });
+bookSchema.index({ readerCount: -1, _id: -1 });
+bookSchema.index({ genre: 1 });
+bookSchema.index({ videoAesthetic: 1 });
+bookSchema.index({ publishedDate: 1 });
+
 module.exports = mongoose.model('Book', bookSchema);
\ No newline at end of file
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// A feed video a user watched, so it isn't shown to them again (feedService)
+const feedImpressionSchema = new Schema({
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    book: { type: Schema.Types.ObjectId, ref: 'Book', required: true },
+
+    source: { type: String, enum: ['personalized', 'trending', 'fresh', 'rewatch'] },  // Which part of the mix served it
+    seenAt: { type: Date, default: Date.now },  // Last watched
+    expiresAt: { type: Date, required: true }  // After this the video may come back into the feed
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+feedImpressionSchema.index({ user: 1, book: 1 }, { unique: true });
+feedImpressionSchema.index({ user: 1, seenAt: -1 });
+feedImpressionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('FeedImpression', feedImpressionSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// Request count for one rate-limit key in one fixed window (see services/rateLimitStore.js)
+const rateLimitCounterSchema = new Schema({
+    key: { type: String, required: true },
+    windowStart: { type: Date, required: true },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }  // Once the window can no longer affect the sliding count
+});
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
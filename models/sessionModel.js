@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// A signed-in device. Its refresh token rotates on every use; the session is the token family.
+const sessionSchema = new Schema({
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+
+    tokenHash: { type: String, required: true, unique: true },  // sha256 of the current refresh token
+    previousTokenHashes: { type: [String], default: [] },       // Rotated-out tokens, kept to detect reuse
+
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout-all', 'reuse', null],
+        default: null
+    }
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// Generations reserved by one user (or IP) on one UTC day, so quota checks can't race (see services/usageService.js)
+const usageCounterSchema = new Schema({
+    subject: { type: String, required: true },   // "user:<id>" or "ip:<address>"
+    day: { type: Date, required: true },         // Start of the UTC day
+    generations: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }    // Once the day is over
+});
+
+usageCounterSchema.index({ subject: 1, day: 1 }, { unique: true });
+usageCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsageCounter', usageCounterSchema);
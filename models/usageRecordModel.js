@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// One row per metered call (LLM, embedding, image, TTS) or generation request, for cost reporting and quotas
+const usageRecordSchema = new Schema({
+    // Who the work was for: a user, or the client IP for anonymous requests
+    user: { type: Schema.Types.ObjectId, ref: 'User' },
+    ip: { type: String, default: '' },
+    book: { type: Schema.Types.ObjectId, ref: 'Book' },
+    job: { type: Schema.Types.ObjectId, ref: 'VideoJob' },
+    endpoint: { type: String, default: '' },
+
+    kind: {
+        type: String,
+        enum: ['generation', 'llm', 'embedding', 'image', 'tts'],
+        required: true
+    },
+    provider: { type: String, default: '' },
+    model: { type: String, default: '' },
+
+    inputTokens: { type: Number, default: 0 },
+    outputTokens: { type: Number, default: 0 },
+    images: { type: Number, default: 0 },
+    characters: { type: Number, default: 0 },
+
+    cached: { type: Boolean, default: false },  // Answered from the AI response cache
+    costUsd: { type: Number, default: 0 }       // Estimated from the AI service price table
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+usageRecordSchema.index({ user: 1, createdAt: -1 });
+usageRecordSchema.index({ ip: 1, createdAt: -1 });
+usageRecordSchema.index({ book: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
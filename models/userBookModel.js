@@ -7,7 +7,7 @@ const userBookSchema = new Schema({
 
   status: { 
     type: String, 
-    enum: ['want_to_read', 'reading', 'completed', 'to-read'],  // Added 'to-read' for controller compatibility
+    enum: ['want_to_read', 'reading', 'completed', 'abandoned', 'to-read'],  // Added 'to-read' for controller compatibility
     default: 'to-read'
   },
 
@@ -17,12 +17,29 @@ const userSchema = new Schema({
     },
     role: {
         type: String,
-        enum: ['user', 'author'],
+        enum: ['user', 'author', 'admin'],
         default: 'user'
     },
     password : {
         type: String,
         required: true
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date,
+        default: null
+    },
+    // Consecutive wrong passwords; the account locks until lockUntil once there are too many
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: {
+        type: Date,
+        default: null
     }
 }, { timestamps: true });
 
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const videoJobSchema = new Schema({
+    book: { type: Schema.Types.ObjectId, ref: 'Book', required: true },
+    requestedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+
+    // Pipeline parameters the job was enqueued with
+    params: {
+        summary: { type: String, required: true },
+        title: { type: String, required: true },
+        aesthetic: { type: String, default: 'cinematic' },
+        voiceType: { type: String, default: 'female' },
+        numImages: { type: Number, default: 4 },
+        burnCaptions: { type: Boolean, default: false },
+        renditions: { type: [String], default: undefined }  // Output formats; pipeline default when unset
+    },
+
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+        default: 'queued'
+    },
+
+    // Retry bookkeeping
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    runAt: { type: Date, default: Date.now },  // Earliest time the job may be claimed
+    lastError: { type: String, default: '' },
+
+    // Lease held by the worker currently running the job
+    lockedBy: { type: String, default: null },
+    leaseExpiresAt: { type: Date, default: null },
+    heartbeatAt: { type: Date, default: null },
+
+    // Latest pipeline progress reported by the running attempt
+    progress: {
+        stage: { type: String, default: '' },
+        step: { type: Number, default: 0 },
+        percent: { type: Number, default: 0 },
+        message: { type: String, default: '' },
+        updatedAt: { type: Date }
+    },
+
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+
+    result: {
+        videoUrl: { type: String },
+        cloudinaryPublicId: { type: String },
+        captions: {
+            vttUrl: { type: String },
+            srtUrl: { type: String }
+        },
+        renditions: [{
+            _id: false,
+            name: { type: String },
+            kind: { type: String },
+            format: { type: String },
+            width: { type: Number },
+            height: { type: Number },
+            url: { type: String },
+            cloudinaryPublicId: { type: String }
+        }]
+    }
+}, { timestamps: true });
+
+videoJobSchema.index({ status: 1, runAt: 1 });
+videoJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+videoJobSchema.index({ book: 1, createdAt: -1 });
+
+module.exports = mongoose.model('VideoJob', videoJobSchema);
@@ -2,6 +2,13 @@ const express = require('express');
 const router = express.Router();
 const bookController = require('../controllers/bookController');
 const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+const enforceQuota = require('../middleware/enforceQuota');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const { SEARCH_QUERY } = require('../services/bookSearchService');
+
+const { rules } = validate;
 
 // Available aesthetic options for video generation
 const AESTHETIC_OPTIONS = [
@@ -16,32 +23,75 @@ const AESTHETIC_OPTIONS = [
     { value: 'cinematic', label: 'Cinematic', description: 'Film-like quality, dramatic lighting, professional cinematography' },
 ];
 
+// Book fields a client may send; admin-only ones are dropped again for authors (authorizationService)
+const BOOK_FIELDS = {
+    title: { type: 'string', minLength: 1, maxLength: 300 },
+    summary: { type: 'string', maxLength: 20000 },
+    keywords: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 100 } },
+    coverImage: { type: 'string', maxLength: 2000, url: true },
+    publishedDate: { type: 'date', nullable: true },
+    genre: { type: 'string', maxLength: 100 },
+    authorId: { type: 'objectId' },
+    source: { type: 'string', enum: ['author_uploaded', 'external_scraped', 'goodreads_imported'] }
+};
+
+// Options for a video generation
+const VIDEO_FIELDS = {
+    aesthetic: { type: 'string', enum: AESTHETIC_OPTIONS.map((option) => option.value) },
+    voiceType: { type: 'string', maxLength: 30 },
+    burnCaptions: { type: 'boolean' },
+    renditions: { type: 'array', maxItems: 6, items: { type: 'string', maxLength: 20 } }
+};
+
+const BOOK_ID = { params: { id: rules.id } };
+
 // GET /api/books/aesthetics - Get available aesthetic options for video generation
 router.get('/aesthetics', (req, res) => {
     res.json({ aesthetics: AESTHETIC_OPTIONS });
 });
 
 // Public routes
-// GET /api/books - Search books
-router.get('/', bookController.searchBooks);
+// GET /api/books - Search books (text, filters, facets, cursor pagination)
+router.get('/', rateLimit('search'), validate({ query: SEARCH_QUERY }), bookController.searchBooks);
 
 // GET /api/books/:id - Get book by ID
-router.get('/:id', bookController.getBookById);
+router.get('/:id', validate(BOOK_ID), bookController.getBookById);
+
+// GET /api/books/:id/similar - Most similar books by embedding
+router.get('/:id/similar', validate({
+    ...BOOK_ID,
+    query: { limit: { type: 'integer', min: 1, max: 50, default: 10 } }
+}), rateLimit('search'), bookController.getSimilarBooks);
 
 // GET /api/books/:id/video-status - Get video generation status
-router.get('/:id/video-status', bookController.getVideoStatus);
+router.get('/:id/video-status', validate(BOOK_ID), bookController.getVideoStatus);
+
+// GET /api/books/:id/video-status/stream - Stream video status and progress (SSE)
+router.get('/:id/video-status/stream', validate(BOOK_ID), bookController.streamVideoStatus);
 
 // Protected routes (require authentication)
 // POST /api/books - Create a book (admin/author)
-router.post('/', requireAuth, bookController.createBook);
+router.post('/', requireAuth, requireRole('author'), validate({
+    body: { ...BOOK_FIELDS, title: { ...BOOK_FIELDS.title, required: true } }
+}), bookController.createBook);
 
-// POST /api/books/upload-with-video - Upload book and generate video
-router.post('/upload-with-video', requireAuth, bookController.uploadBookWithVideo);
+// POST /api/books/upload-with-video - Upload book and generate video (admin/author)
+router.post('/upload-with-video', requireAuth, requireRole('author'), validate({
+    body: {
+        title: { ...BOOK_FIELDS.title, required: true },
+        summary: BOOK_FIELDS.summary,
+        genre: BOOK_FIELDS.genre,
+        keywords: BOOK_FIELDS.keywords,
+        coverImage: BOOK_FIELDS.coverImage,
+        ...VIDEO_FIELDS,
+        generateVideo: { type: 'boolean' }
+    }
+}), rateLimit('generate'), enforceQuota(), bookController.uploadBookWithVideo);
 
 // POST /api/books/:id/regenerate-video - Regenerate video for existing book
-router.post('/:id/regenerate-video', requireAuth, bookController.regenerateVideo);
+router.post('/:id/regenerate-video', requireAuth, validate({ ...BOOK_ID, body: VIDEO_FIELDS }), rateLimit('generate'), enforceQuota(), bookController.regenerateVideo);
 
-// PATCH /api/books/:id - Update a book
-router.patch('/:id', requireAuth, bookController.updateBook);
+// PATCH /api/books/:id - Update a book (its author or an admin)
+router.patch('/:id', requireAuth, validate({ ...BOOK_ID, body: BOOK_FIELDS }), bookController.updateBook);
 
 module.exports = router;
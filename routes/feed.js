@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const feedController = require('../controllers/feedController');
+const optionalAuth = require('../middleware/optionalAuth');
+const requireAuth = require('../middleware/requireAuth');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const { FEED_QUERY, VIEWS_BODY } = require('../services/feedService');
+
+// GET /api/feed?cursor=... - Vertical video feed (personalised when signed in)
+router.get('/', optionalAuth, validate({ query: FEED_QUERY }), rateLimit('search'), feedController.getFeed);
+
+// POST /api/feed/views - Videos the reader watched, kept out of their feed for a while
+router.post('/views', requireAuth, validate({ body: VIEWS_BODY }), feedController.recordViews);
+
+module.exports = router;
@@ -1,6 +1,76 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
+const requireAuth = require('../middleware/requireAuth');
+const optionalAuth = require('../middleware/optionalAuth');
+const enforceQuota = require('../middleware/enforceQuota');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const { AppError, ValidationError, NotFoundError, UpstreamFailureError } = require('../errors');
+
+const CHARACTERS = {
+    type: 'array',
+    maxItems: 6,
+    items: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', required: true, maxLength: 100 },
+            role: { type: 'string', maxLength: 100 },
+            personality: { type: 'string', maxLength: 500 },
+            description: { type: 'string', maxLength: 1000 }
+        }
+    }
+};
+
+// Book details the analysis endpoints read
+const BOOK_DATA_FIELDS = {
+    title: { type: 'string', maxLength: 300 },
+    author: { type: 'string', maxLength: 200 },
+    description: { type: 'string', maxLength: 20000 },
+    genres: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 100 } },
+    aesthetic: { type: 'string', maxLength: 50 },
+    characters: CHARACTERS,
+    // Characters from an earlier analysis; the character voice service prefers them to `characters`
+    characterAnalysis: CHARACTERS
+};
+
+const TRANSITION_NAME = { type: 'string', maxLength: 30 };
+const TRANSITION_DURATION = { type: 'number', min: 0, max: 3 };
+
+// One transition for every cut, or one per cut as a name or { type, duration }
+const TRANSITION = {
+    type: 'anyOf',
+    rules: [
+        TRANSITION_NAME,
+        {
+            type: 'array',
+            maxItems: 50,
+            items: {
+                type: 'anyOf',
+                rules: [
+                    TRANSITION_NAME,
+                    { type: 'object', properties: { type: { ...TRANSITION_NAME, required: true }, duration: TRANSITION_DURATION } }
+                ]
+            }
+        }
+    ]
+};
+
+const VIDEO_REQUEST = {
+    body: {
+        summary: { type: 'string', required: true, maxLength: 20000 },
+        title: { type: 'string', maxLength: 300 },
+        aesthetic: BOOK_DATA_FIELDS.aesthetic,
+        voiceType: { type: 'string', maxLength: 30 },
+        numImages: { type: 'integer', min: 1, max: 10 },
+        quality: { type: 'string', enum: ['quick', 'standard', 'premium', 'dialogue'] },
+        transition: TRANSITION,
+        transitionDuration: TRANSITION_DURATION,
+        burnCaptions: { type: 'boolean' },
+        renditions: { type: 'array', maxItems: 6, items: { type: 'string', maxLength: 20 } },
+        characters: BOOK_DATA_FIELDS.characters
+    }
+};
 
 // AI Services - loaded dynamically since they use ES modules
 let aiServices = null;
@@ -18,6 +88,7 @@ async function getAIServices() {
             generateVideoFromSummary: bookVideoPipeline.generateVideoFromSummary,
             generateQuickVideo: bookVideoPipeline.generateQuickVideo,
             generatePremiumVideo: bookVideoPipeline.generatePremiumVideo,
+            generateDialogueVideo: bookVideoPipeline.generateDialogueVideo,
             checkPipelineHealth: bookVideoPipeline.checkPipelineHealth,
             cleanupVideo: bookVideoPipeline.cleanupVideo,
             generateCharacterDrivenVideo: videoGenerationService.generateCharacterDrivenVideo,
@@ -29,7 +100,7 @@ async function getAIServices() {
         return aiServices;
     } catch (error) {
         console.error('Failed to load AI services:', error.message);
-        throw new Error('AI services not available');
+        throw new AppError('AI services not available', { status: 503, code: 'AI_SERVICE_UNAVAILABLE' });
     }
 }
 
@@ -44,19 +115,23 @@ async function getAIServices() {
  *   "title": "Book Title",
  *   "aesthetic": "dark-academia" | "cozy-fantasy" | etc.,
  *   "voiceType": "male" | "female" | "mysterious",
- *   "quality": "quick" | "standard" | "premium"
+ *   "quality": "quick" | "standard" | "premium" | "dialogue",
+ *   "characters": [{ "name", "role", "personality" }] (optional, cast for dialogue trailers),
+ *   "transition": "fade" | "dissolve" | "wipe" | "slide" | "zoom" | "circleopen" | ... (optional),
+ *   "transitionDuration": 0.5 (optional, seconds),
+ *   "burnCaptions": false (optional),
+ *   "renditions": ["portrait", "square", "landscape", "gif", "webp", "poster"] (optional, default: portrait + poster)
  * }
+ *
+ * Requires authentication. Rate limited and counted against the user's daily generation quota.
  */
-router.post('/video', async (req, res) => {
+router.post('/video', requireAuth, validate(VIDEO_REQUEST), rateLimit('generate'), enforceQuota(), async (req, res, next) => {
     try {
         const services = await getAIServices();
-        const { summary, title, aesthetic, voiceType, numImages, quality = 'standard' } = req.body;
+        const { summary, title, aesthetic, voiceType, numImages, quality = 'standard', transition, transitionDuration, burnCaptions = false, renditions, characters } = req.body;
 
         if (!summary) {
-            return res.status(400).json({ 
-                error: 'Summary is required',
-                message: 'Please provide a book summary to generate a video',
-            });
+            throw new ValidationError('Please provide a book summary to generate a video');
         }
 
         console.log(`\n${'='.repeat(50)}`);
@@ -77,6 +152,9 @@ router.post('/video', async (req, res) => {
             case 'premium':
                 generateFunc = services.generatePremiumVideo;
                 break;
+            case 'dialogue':
+                generateFunc = services.generateDialogueVideo;
+                break;
             default:
                 generateFunc = services.generateVideoFromSummary;
         }
@@ -87,13 +165,16 @@ router.post('/video', async (req, res) => {
             aesthetic: aesthetic || 'cinematic',
             voiceType: voiceType || 'female',
             numImages: numImages || 4,
+            transition,
+            transitionDuration,
+            burnCaptions,
+            renditions,
+            characters,
         });
 
         if (!result.success) {
-            return res.status(500).json({
-                error: 'Video generation failed',
-                message: result.error,
-            });
+            console.error('Video generation failed:', result.error);
+            throw new UpstreamFailureError('Video generation failed', { code: 'VIDEO_GENERATION_FAILED' });
         }
 
         // Check if client wants video binary or JSON
@@ -109,17 +190,23 @@ router.post('/video', async (req, res) => {
             res.json({
                 success: true,
                 videoUrl,
+                captions: result.captionFiles ? {
+                    vtt: `/videos/${path.basename(result.captionFiles.vttPath)}`,
+                    srt: `/videos/${path.basename(result.captionFiles.srtPath)}`,
+                } : null,
+                renditions: (result.renditions || []).map(({ path: filePath, ...rendition }) => ({
+                    ...rendition,
+                    url: `/videos/${path.basename(filePath)}`,
+                })),
                 duration: result.duration,
                 metadata: result.metadata,
                 message: 'Video generated successfully',
             });
         }
     } catch (err) {
+        if (err instanceof AppError) return next(err);
         console.error('Video generation error:', err.message);
-        res.status(500).json({ 
-            error: 'Video generation failed', 
-            details: err.message 
-        });
+        next(new UpstreamFailureError('Video generation failed', { code: 'VIDEO_GENERATION_FAILED' }));
     }
 });
 
@@ -128,38 +215,47 @@ router.post('/video', async (req, res) => {
  * 
  * Stream/download a generated video file
  */
-router.get('/video/:filename', (req, res) => {
+router.get('/video/:filename', validate({
+    params: { filename: { type: 'string', required: true, maxLength: 200, pattern: /^[\w-][\w.-]*$/, message: 'must be a plain file name' } }
+}), (req, res, next) => {
     const { filename } = req.params;
     const videoPath = path.join(__dirname, '..', 'ai-service', 'output', filename);
     
     res.sendFile(videoPath, (err) => {
         if (err) {
             console.error('Video fetch error:', err.message);
-            res.status(404).json({ error: 'Video not found' });
+            next(new NotFoundError('Video not found', { code: 'VIDEO_NOT_FOUND' }));
         }
     });
 });
 
 // Analyze book for aesthetic recommendations
-router.post('/analyze', async (req, res) => {
+router.post('/analyze', optionalAuth, validate({ body: BOOK_DATA_FIELDS }), rateLimit('generate'), enforceQuota(), async (req, res, next) => {
     try {
         const services = await getAIServices();
         const bookData = req.body;
         
         if (!bookData.title && !bookData.description) {
-            return res.status(400).json({ error: 'Title or description required' });
+            throw new ValidationError('Title or description required');
         }
 
         const analysis = await services.analyzeBook(bookData);
         res.json(analysis);
     } catch (err) {
+        if (err instanceof AppError) return next(err);
         console.error('AI analyze error:', err.message);
-        res.status(500).json({ error: 'AI service error', details: err.message });
+        next(new UpstreamFailureError('AI service error', { code: 'AI_SERVICE_FAILED' }));
     }
 });
 
 // Generate animation specifications
-router.post('/animation-spec', async (req, res) => {
+router.post('/animation-spec', optionalAuth, validate({
+    body: {
+        ...BOOK_DATA_FIELDS,
+        summaryAI: { type: 'string', maxLength: 20000 },
+        vibeCollage: { type: 'string', maxLength: 5000 }
+    }
+}), rateLimit('generate'), enforceQuota(), async (req, res, next) => {
     try {
         const services = await getAIServices();
         const bookData = req.body;
@@ -171,19 +267,20 @@ router.post('/animation-spec', async (req, res) => {
 
         res.json({ videoPrompt, preview });
     } catch (err) {
+        if (err instanceof AppError) return next(err);
         console.error('AI animation-spec error:', err.message);
-        res.status(500).json({ error: 'AI service error', details: err.message });
+        next(new UpstreamFailureError('AI service error', { code: 'AI_SERVICE_FAILED' }));
     }
 });
 
 // Health check for AI services
-router.get('/health', async (req, res) => {
+router.get('/health', async (req, res, next) => {
     try {
         const services = await getAIServices();
         const health = await services.checkPipelineHealth();
         res.json({ aiService: health });
     } catch (err) {
-        res.status(503).json({ error: 'AI service unavailable', details: err.message });
+        next(err instanceof AppError ? err : new AppError('AI service unavailable', { status: 503, code: 'AI_SERVICE_UNAVAILABLE' }));
     }
 });
 
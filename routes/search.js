@@ -1,11 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const bookController = require('../controllers/bookController');
+const searchController = require('../controllers/searchController');
+const optionalAuth = require('../middleware/optionalAuth');
+const enforceQuota = require('../middleware/enforceQuota');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const { SEARCH_QUERY } = require('../services/bookSearchService');
+
+// Anonymous callers skip to the next matching route
+function signedInOnly(req, res, next) {
+    next(req.user ? undefined : 'route');
+}
+
+// GET /api/search?q=... - Natural-language search ("cozy fantasy with found family and no romance").
+// The LLM reads the query for signed-in readers only, under a tighter limit and their daily quota.
+router.get('/', optionalAuth, validate({
+    query: {
+        q: { type: 'string', required: true, minLength: 2, maxLength: 300 },
+        limit: { type: 'integer', min: 1, max: 50, default: 20 }
+    }
+}), rateLimit('search'), signedInOnly, rateLimit('naturalSearch'), enforceQuota({ generation: false }), searchController.naturalLanguageSearch);
+
+// Anonymous: keyword interpretation and text search, no LLM call
+router.get('/', searchController.naturalLanguageSearch);
+
+// GET /api/search/semantic?q=... - Search by meaning (embedding similarity).
+// Embedding the query can cost money, so signed-in readers are held to a tighter limit and their daily quota.
+router.get('/semantic', optionalAuth, validate({
+    query: {
+        q: { type: 'string', required: true, minLength: 2, maxLength: 300 },
+        limit: { type: 'integer', min: 1, max: 50, default: 20 }
+    }
+}), rateLimit('search'), signedInOnly, rateLimit('semanticSearch'), enforceQuota({ generation: false }), searchController.semanticSearch);
+
+// Anonymous: only while queries are embedded by the local provider
+router.get('/semantic', searchController.semanticSearch);
 
 // GET /api/search/books?q=...
-router.get('/books', bookController.searchBooks);
+router.get('/books', validate({ query: SEARCH_QUERY }), bookController.searchBooks);
 
 // GET /api/search/books/:id
-router.get('/books/:id', bookController.getBookById);
+router.get('/books/:id', validate({ params: { id: validate.rules.id } }), bookController.getBookById);
 
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,70 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const usageController = require('../controllers/usageController');
+const recommendationController = require('../controllers/recommendationController');
 const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+
+const { rules } = validate;
+
+// Existing accounts may predate the password rules, so login only checks presence
+const LOGIN_PASSWORD = { type: 'string', required: true, trim: false, maxLength: 200 };
+const TOKEN = { type: 'string', required: true, maxLength: 2000 };
 
 // POST /api/user/register
-router.post('/register', userController.register);
+router.post('/register', rateLimit('register'), validate({
+    body: {
+        username: { type: 'string', required: true, minLength: 3, maxLength: 30, pattern: /^[a-zA-Z0-9_.-]+$/, message: 'may only contain letters, numbers, ".", "_" and "-"' },
+        email: rules.email,
+        password: rules.password
+    }
+}), userController.register);
+
+// POST /api/user/login - Rate limited per IP; accounts also lock after repeated wrong passwords
+router.post('/login', rateLimit('login'), validate({ body: { email: rules.email, password: LOGIN_PASSWORD } }), userController.login);
+
+// POST /api/user/refresh - Trade a refresh token for a new access/refresh token pair
+router.post('/refresh', rateLimit('refresh'), validate({ body: { refreshToken: TOKEN } }), userController.refresh);
 
-// POST /api/user/login
-router.post('/login', userController.login);
+// POST /api/user/logout - End the session of the refresh token in the body
+router.post('/logout', validate({ body: { refreshToken: TOKEN } }), userController.logout);
 
-// GET /api/user/profile
+// POST /api/user/logout-all - End every session of the signed-in user
+router.post('/logout-all', requireAuth, userController.logoutAll);
+
+// DELETE /api/user/sessions/:id - End one of the signed-in user's sessions
+router.delete('/sessions/:id', requireAuth, validate({ params: { id: rules.id } }), userController.revokeSession);
+
+// GET /api/user/profile - Profile and active sessions
 router.get('/profile', requireAuth, userController.profile);
 
+// POST /api/user/verify-email/request - Send (again) the email verification link
+router.post('/verify-email/request', requireAuth, rateLimit('accountEmail'), userController.requestEmailVerification);
+
+// POST /api/user/verify-email/confirm - Confirm an email address with the token from the link
+router.post('/verify-email/confirm', validate({ body: { token: TOKEN } }), userController.confirmEmailVerification);
+
+// POST /api/user/password-reset/request - Email a password reset link
+router.post('/password-reset/request', rateLimit('accountEmail'), validate({ body: { email: rules.email } }), userController.requestPasswordReset);
+
+// POST /api/user/password-reset/confirm - Set a new password with the token from the link
+router.post('/password-reset/confirm', rateLimit('login'), validate({ body: { token: TOKEN, password: rules.password } }), userController.confirmPasswordReset);
+
+// PATCH /api/user/:id/role - Promote a user to author or demote them (admin only)
+router.patch('/:id/role', requireAuth, requireRole('admin'), validate({
+    params: { id: rules.id },
+    body: { role: { type: 'string', required: true, enum: ['user', 'author'] } }
+}), userController.setRole);
+
+// GET /api/user/usage - Generation usage, cost estimates and remaining daily quota
+router.get('/usage', requireAuth, validate({ query: { days: { type: 'integer', min: 1, max: 90 } } }), usageController.getMyUsage);
+
+// GET /api/user/recommendations - Books picked from the signed-in user's ratings and reading list
+router.get('/recommendations', requireAuth, validate({
+    query: { limit: { type: 'integer', min: 1, max: 50, default: 20 } }
+}), rateLimit('search'), recommendationController.getMyRecommendations);
+
 module.exports = router;
\ No newline at end of file
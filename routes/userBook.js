@@ -2,6 +2,21 @@ const express = require('express');
 const router = express.Router();
 const userBookController = require('../controllers/userBookController');
 const requireAuth = require('../middleware/requireAuth');
+const validate = require('../middleware/validate');
+const UserBook = require('../models/userBookModel');
+
+const { rules } = validate;
+
+// Reading-list fields a user may set; `user` always comes from the token
+const USER_BOOK_FIELDS = {
+    status: { type: 'string', enum: UserBook.schema.path('status').enumValues },
+    rating: { type: 'integer', min: 1, max: 5, nullable: true },
+    review: { type: 'string', maxLength: 5000 },
+    progress: { type: 'number', min: 0 },
+    currentPage: { type: 'integer', min: 0 },
+    startDate: { type: 'date', nullable: true },
+    completedDate: { type: 'date', nullable: true }
+};
 
 // All routes require auth
 router.use(requireAuth);
@@ -10,12 +25,12 @@ router.use(requireAuth);
 router.get('/', userBookController.listUserBooks);
 
 // POST /api/user-books/
-router.post('/', userBookController.addUserBook);
+router.post('/', validate({ body: { book: rules.id, ...USER_BOOK_FIELDS } }), userBookController.addUserBook);
 
 // PATCH /api/user-books/:id
-router.patch('/:id', userBookController.updateUserBook);
+router.patch('/:id', validate({ params: { id: rules.id }, body: USER_BOOK_FIELDS }), userBookController.updateUserBook);
 
 // DELETE /api/user-books/:id
-router.delete('/:id', userBookController.deleteUserBook);
+router.delete('/:id', validate({ params: { id: rules.id } }), userBookController.deleteUserBook);
 
 module.exports = router;
\ No newline at end of file
@@ -11,6 +11,14 @@ const searchRoutes = require('./routes/search');
 const userBookRoutes = require('./routes/userBook');
 const generateAnimationRoutes = require('./routes/generateAnimation');
 const bookRoutes = require('./routes/books');
+const feedRoutes = require('./routes/feed');
+
+const videoJobService = require('./services/videoJobService');
+const usageService = require('./services/usageService');
+const bookEmbeddingService = require('./services/bookEmbeddingService');
+const readerCountService = require('./services/readerCountService');
+const requestId = require('./middleware/requestId');
+const errorHandler = require('./middleware/errorHandler');
 
 const app = express();
 
@@ -19,13 +27,15 @@ const corsOptions = {
     'http://localhost:3000'
   ],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 };
 app.use(cors(corsOptions));
 
 app.set('trust proxy', 1);
 
 // Middleware
+app.use(requestId);
 app.use(express.json({ limit: '10mb' }));
 app.use((req, res, next) => {
     console.log(req.path, req.method);
@@ -61,14 +71,26 @@ app.get('/health', (req, res) => {
 
 // Mount routes
 app.use('/api/user', userRoutes);
-// app.use('/api/search', searchRoutes);
+app.use('/api/search', searchRoutes);
 app.use('/api/user-books', userBookRoutes);
 app.use('/api/books', bookRoutes);
 app.use('/api/generate', generateAnimationRoutes);
+app.use('/api/feed', feedRoutes);
+
+// Unmatched routes and every error passed to next()
+app.use(errorHandler.notFound);
+app.use(errorHandler);
 
 // Connect to MongoDB and start server
 mongoose.connect(process.env.MONGO_URI)
-    .then(() => {
+    .then(async () => {
+        // Record AI usage for cost reporting and quotas, before any request, job or backfill makes AI calls
+        try {
+            await usageService.startLedger();
+        } catch (err) {
+            console.error('Usage ledger error:', err.message);
+        }
+
         app.listen(process.env.PORT || 3001, () => {
             console.log('\n' + '='.repeat(50));
             console.log('BookTok Server running on port', process.env.PORT || 3001);
@@ -76,6 +98,17 @@ mongoose.connect(process.env.MONGO_URI)
             console.log('Video: POST /api/generate/video');
             console.log('='.repeat(50) + '\n');
         });
+
+        // Resume queued and interrupted video jobs
+        videoJobService.startWorker();
+
+        // Embed books added or edited while the server was down, or made with another model
+        if (process.env.EMBEDDING_BACKFILL !== 'false') {
+            bookEmbeddingService.backfillEmbeddings().catch((err) => console.error('Embedding backfill error:', err.message));
+        }
+
+        // Count the readers of books shelved before reader counts were kept
+        readerCountService.backfillReaderCounts().catch((err) => console.error('Reader count backfill error:', err.message));
     })
     .catch((error) => {
         console.log('MongoDB connection error:', error);
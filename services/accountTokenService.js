@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AccountToken = require('../models/accountTokenModel');
+const { JWT_SECRET } = require('./sessionService');
+const { AppError } = require('../errors');
+
+// How long each kind of token stays valid, in seconds
+const TOKEN_TTLS = {
+    'verify-email': parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24', 10) * 60 * 60,
+    'reset-password': parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10) * 60
+};
+
+/**
+ * Error for a token that is malformed, expired, for something else or already used
+ */
+class AccountTokenError extends AppError {
+    constructor(message, code = 'TOKEN_INVALID') {
+        super(message, { status: 400, code });
+    }
+}
+
+/**
+ * Issue a signed, expiring, single-use token for a user.
+ * Earlier unused tokens for the same purpose stop working.
+ * @param {object} user - User document
+ * @param {string} purpose - 'verify-email' | 'reset-password'
+ * @returns {Promise<string>}
+ */
+async function issueToken(user, purpose) {
+    const ttl = TOKEN_TTLS[purpose];
+    if (!ttl) throw new Error(`Unknown account token purpose: ${purpose}`);
+
+    const now = new Date();
+    await AccountToken.updateMany({ user: user._id, purpose, usedAt: null }, { usedAt: now });
+
+    const jti = crypto.randomBytes(16).toString('hex');
+    await AccountToken.create({ jti, user: user._id, purpose, expiresAt: new Date(now.getTime() + ttl * 1000) });
+
+    // The email is signed in too, so a verification link only confirms the address it was sent to
+    return jwt.sign({ sub: user._id.toString(), purpose, email: user.email }, JWT_SECRET, { expiresIn: ttl, jwtid: jti });
+}
+
+/**
+ * Check a token and mark it used
+ * @returns {Promise<{ userId: string, email: string }>}
+ * @throws {AccountTokenError}
+ */
+async function consumeToken(token, purpose) {
+    if (!token) throw new AccountTokenError('Token required', 'TOKEN_REQUIRED');
+
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        throw new AccountTokenError(...(err.name === 'TokenExpiredError' ? ['Token expired', 'TOKEN_EXPIRED'] : ['Invalid token']));
+    }
+    if (payload.purpose !== purpose || !payload.jti) throw new AccountTokenError('Invalid token');
+
+    // Atomic, so the same token can't be redeemed twice in parallel
+    const record = await AccountToken.findOneAndUpdate(
+        { jti: payload.jti, user: payload.sub, purpose, usedAt: null },
+        { usedAt: new Date() }
+    );
+    if (!record) throw new AccountTokenError('Token already used', 'TOKEN_USED');
+
+    return { userId: payload.sub, email: payload.email };
+}
+
+module.exports = {
+    AccountTokenError,
+    issueToken,
+    consumeToken
+};
@@ -0,0 +1,46 @@
+// Admins can do everything; authors can publish and manage their own books
+const ROLES = ['user', 'author', 'admin'];
+
+// Book fields an author may set; everything else (video state, source, ownership) is managed by the server
+const EDITABLE_BOOK_FIELDS = ['title', 'summary', 'keywords', 'coverImage', 'publishedDate', 'genre'];
+
+// Extra fields only admins may set, e.g. when importing or reassigning books
+const ADMIN_BOOK_FIELDS = ['authorId', 'source'];
+
+function getUserId(user) {
+    const id = user?._id || user?.id;
+    return id ? id.toString() : null;
+}
+
+/**
+ * Whether a user has one of the roles (admins have every role)
+ */
+function hasRole(user, roles) {
+    if (!user?.role) return false;
+    return user.role === 'admin' || [].concat(roles).includes(user.role);
+}
+
+/**
+ * Whether a user may edit a book: its author, or an admin
+ */
+function canEditBook(user, book) {
+    if (!user || !book) return false;
+    if (user.role === 'admin') return true;
+    return Boolean(book.authorId) && book.authorId.toString() === getUserId(user);
+}
+
+/**
+ * The part of a create/update payload the user is allowed to write
+ */
+function pickBookFields(user, payload = {}) {
+    const fields = user?.role === 'admin' ? [...EDITABLE_BOOK_FIELDS, ...ADMIN_BOOK_FIELDS] : EDITABLE_BOOK_FIELDS;
+    return Object.fromEntries(fields.filter((field) => payload[field] !== undefined).map((field) => [field, payload[field]]));
+}
+
+module.exports = {
+    ROLES,
+    EDITABLE_BOOK_FIELDS,
+    hasRole,
+    canEditBook,
+    pickBookFields
+};
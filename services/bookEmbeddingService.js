@@ -0,0 +1,306 @@
+const Book = require('../models/bookModel');
+const BookEmbedding = require('../models/bookEmbeddingModel');
+const usageService = require('./usageService');
+const { UnauthorizedError, NotFoundError, UpstreamFailureError } = require('../errors');
+
+const DEFAULT_SIMILAR_LIMIT = 10;
+const DEFAULT_SEARCH_LIMIT = 20;
+// Extra hits asked of the index, in case some books were deleted since they were embedded
+const SEARCH_SLACK = 5;
+
+// Book fields an embedding is made from, and the author its usage is attributed to
+const EMBEDDED_FIELDS = 'title genre keywords summary authorId';
+
+// The startup backfill only pays for LLM analyses when asked to
+const BACKFILL_ANALYZE = process.env.EMBEDDING_BACKFILL_ANALYZE === 'true';
+
+// AI Services - loaded dynamically since they use ES modules
+let aiServices = null;
+
+async function getAIServices() {
+    if (aiServices) return aiServices;
+
+    const [embedding, vectorIndex, bookAnalysis, llmClient] = await Promise.all([
+        import('../ai-service/services/embeddingService.js'),
+        import('../ai-service/services/vectorIndex.js'),
+        import('../ai-service/services/bookAnalysis.js'),
+        import('../ai-service/services/llmClient.js')
+    ]);
+    aiServices = { embedding, vectorIndex, bookAnalysis, llmClient };
+    return aiServices;
+}
+
+// In-memory index of every stored vector for the active model, loaded on first use
+let indexPromise = null;
+
+async function loadIndex() {
+    const { embedding, vectorIndex } = await getAIServices();
+    const { key } = embedding.getEmbeddingModel();
+    const index = vectorIndex.createVectorIndex();
+
+    for await (const record of BookEmbedding.find({ modelKey: key }).select('book vector').lean().cursor()) {
+        index.add(record.book, record.vector);
+    }
+
+    console.log(`🧭 Vector index (${index.type}) loaded: ${index.size} books, ${key}`);
+    return { index, modelKey: key };
+}
+
+function getIndex() {
+    if (!indexPromise) {
+        indexPromise = loadIndex().catch((err) => {
+            indexPromise = null;
+            throw err;
+        });
+    }
+    return indexPromise;
+}
+
+/**
+ * Tropes, aesthetic and vibe to fold into the vector.
+ * Only an LLM analysis is used: the fallback is the same for every book and would only add noise.
+ */
+async function analyze(book) {
+    const { bookAnalysis, llmClient } = await getAIServices();
+    if (!llmClient.isLLMConfigured()) return null;
+
+    const analysis = await bookAnalysis.analyzeBook({
+        title: book.title,
+        author: 'Unknown',
+        description: book.summary || '',
+        genres: book.genre ? [book.genre] : []
+    });
+    if (analysis.source !== 'llm') return null;
+
+    return { tropes: analysis.tropes, aesthetic: analysis.aesthetic, vibeCollage: analysis.vibeCollage };
+}
+
+function hasAnalysis(analysis) {
+    return Boolean(analysis?.tropes?.length || analysis?.aesthetic);
+}
+
+/**
+ * Embed a book and store its vector, unless the stored one is already current.
+ * AI usage is attributed to the book's author.
+ * @param {object} book - { _id, title, genre, keywords, summary, authorId }
+ * @param {object} options - { force (re-analyse and re-embed anyway), existing (its BookEmbedding record, if already loaded),
+ *   analyze (default true; false embeds without a new LLM analysis, reusing a current one), endpoint (for the usage ledger) }
+ * @returns {Promise<{ vector: number[], updated: boolean }>}
+ */
+async function indexBook(book, options = {}) {
+    const { force = false, analyze: runAnalysis = true, endpoint = 'book-embedding' } = options;
+    const { embedding } = await getAIServices();
+    const { index, modelKey } = await getIndex();
+
+    const contentHash = embedding.getBookContentHash(book);
+    const existing = options.existing !== undefined
+        ? options.existing
+        : await BookEmbedding.findOne({ book: book._id }).lean();
+
+    if (!force && existing?.modelKey === modelKey && existing.contentHash === contentHash) {
+        return { vector: index.get(book._id) || existing.vector, updated: false };
+    }
+
+    const context = { user: book.authorId ? book.authorId.toString() : null, ip: '', book: book._id.toString(), endpoint };
+    return usageService.runWithUsage(context, async () => {
+        // The analysis only needs redoing when the book itself changed
+        const current = existing?.contentHash === contentHash && hasAnalysis(existing.analysis) ? existing.analysis : null;
+        const analysis = (!force && current) || (runAnalysis ? await analyze(book) : current);
+        const { vector, dimensions } = await embedding.embedText(embedding.getBookEmbeddingText(book, analysis));
+
+        await BookEmbedding.findOneAndUpdate(
+            { book: book._id },
+            {
+                $set: { modelKey, dimensions, vector, contentHash, ...(analysis && { analysis }) },
+                ...(!analysis && { $unset: { analysis: 1 } })
+            },
+            { upsert: true, setDefaultsOnInsert: true }
+        );
+        index.add(book._id, vector);
+
+        return { vector, updated: true };
+    });
+}
+
+// Books being embedded in the background, so repeated requests don't queue them twice
+const pending = new Set();
+
+/**
+ * Embed a book after a create or edit without holding up the response
+ * @param {object} options - As for indexBook()
+ */
+function indexBookInBackground(book, options = {}) {
+    const id = book._id.toString();
+    if (pending.has(id)) return;
+
+    pending.add(id);
+    indexBook(book, options)
+        .catch((err) => console.error(`Embedding book ${id} failed:`, err.message))
+        .finally(() => pending.delete(id));
+}
+
+/**
+ * Embed every book that has no current vector (new, edited, or made with another model).
+ * Analyses still current are reused; new ones are only made with EMBEDDING_BACKFILL_ANALYZE=true.
+ * Stops at the first failure: with the provider down the rest would fail too.
+ * @returns {Promise<{ indexed: number, failed: boolean }>}
+ */
+async function backfillEmbeddings() {
+    await getIndex();
+    const records = await BookEmbedding.find().select('book modelKey contentHash analysis').lean();
+    const existing = new Map(records.map((record) => [record.book.toString(), record]));
+
+    let indexed = 0;
+    for await (const book of Book.find().select(EMBEDDED_FIELDS).lean().cursor()) {
+        try {
+            const { updated } = await indexBook(book, {
+                existing: existing.get(book._id.toString()) || null,
+                analyze: BACKFILL_ANALYZE,
+                endpoint: 'embedding-backfill'
+            });
+            if (updated) indexed++;
+        } catch (err) {
+            console.error(`Embedding backfill stopped at book ${book._id}:`, err.message);
+            return { indexed, failed: true };
+        }
+    }
+
+    if (indexed) console.log(`🧭 Embedded ${indexed} books`);
+    return { indexed, failed: false };
+}
+
+/**
+ * Books for index hits, best first. Hits for books that no longer exist are
+ * dropped from the index and their vectors deleted.
+ */
+async function loadHits(index, hits, limit) {
+    const relevant = hits.filter((hit) => hit.similarity > 0);
+    const books = await Book.find({ _id: { $in: relevant.map((hit) => hit.id) } }).lean();
+    const byId = new Map(books.map((book) => [book._id.toString(), book]));
+
+    const missing = relevant.filter((hit) => !byId.has(hit.id)).map((hit) => hit.id);
+    if (missing.length) {
+        missing.forEach((id) => index.remove(id));
+        BookEmbedding.deleteMany({ book: { $in: missing } })
+            .catch((err) => console.error('Deleting stale embeddings failed:', err.message));
+    }
+
+    return relevant
+        .filter((hit) => byId.has(hit.id))
+        .slice(0, limit)
+        .map((hit) => ({ ...byId.get(hit.id), similarity: hit.similarity }));
+}
+
+/**
+ * Stored vectors of the active model, and their analysed tropes, for some books
+ * @param {Array<string>} bookIds
+ * @returns {Promise<Map<string, { vector: number[], tropes: Array<string> }>>} Keyed by book id
+ */
+async function getEmbeddings(bookIds) {
+    const { embedding } = await getAIServices();
+    const { key } = embedding.getEmbeddingModel();
+    const records = await BookEmbedding.find({ book: { $in: bookIds }, modelKey: key }).select('book vector analysis').lean();
+    return new Map(records.map((record) => [
+        record.book.toString(),
+        { vector: record.vector, tropes: record.analysis?.tropes || [] }
+    ]));
+}
+
+/**
+ * Index hits nearest to a vector of the active model
+ * @returns {Promise<Array<{ id: string, similarity: number }>>}
+ */
+async function findNearest(vector, k, options = {}) {
+    const { index } = await getIndex();
+    return index.search(vector, k, { exclude: options.exclude || [] });
+}
+
+function embeddingFailed(err) {
+    console.error('Embedding failed:', err.message);
+    return new UpstreamFailureError('Embedding provider failed', { code: 'EMBEDDING_FAILED' });
+}
+
+/**
+ * Books closest to a book by embedding (cosine similarity). Only books already
+ * indexed are compared: one that isn't yet is embedded in the background and
+ * answered with no similar books and `indexing: true`.
+ * @param {string} bookId
+ * @param {object} options - { limit (default 10) }
+ * @returns {Promise<{ book: { _id, title }, similar: Array<object>, model: string, index: string, indexing?: boolean }>}
+ *   Each similar book carries its `similarity` (0..1)
+ */
+async function findSimilarBooks(bookId, options = {}) {
+    const limit = options.limit || DEFAULT_SIMILAR_LIMIT;
+    const book = await Book.findById(bookId).lean();
+    if (!book) throw new NotFoundError('Book not found', { code: 'BOOK_NOT_FOUND' });
+
+    let index;
+    let modelKey;
+    try {
+        ({ index, modelKey } = await getIndex());
+    } catch (err) {
+        throw embeddingFailed(err);
+    }
+
+    // Edits re-embed in the background, so an indexed vector is current
+    const vector = index.get(book._id);
+    if (!vector) {
+        // A public read shouldn't pay for an LLM analysis
+        indexBookInBackground(book, { analyze: false });
+        return { book: { _id: book._id, title: book.title }, similar: [], model: modelKey, index: index.type, indexing: true };
+    }
+
+    const hits = index.search(vector, limit + SEARCH_SLACK, { exclude: [book._id] });
+    return {
+        book: { _id: book._id, title: book.title },
+        similar: await loadHits(index, hits, limit),
+        model: modelKey,
+        index: index.type
+    };
+}
+
+/**
+ * Books closest in meaning to a free-text query
+ * @param {string} query - e.g. "a witch running a bakery in a seaside town"
+ * @param {object} options - { limit (default 20), offlineOnly (refuse when the query would be sent to a paid provider) }
+ * @returns {Promise<{ query, results: Array<object>, model: string, index: string }>}
+ */
+async function semanticSearch(query, options = {}) {
+    const limit = options.limit || DEFAULT_SEARCH_LIMIT;
+
+    if (options.offlineOnly) {
+        const { embedding } = await getAIServices();
+        if (!embedding.getEmbeddingModel().offline) {
+            throw new UnauthorizedError('Sign in to search by meaning', { code: 'SIGN_IN_REQUIRED' });
+        }
+    }
+
+    let index;
+    let modelKey;
+    let vector;
+    try {
+        const { embedding } = await getAIServices();
+        ({ index, modelKey } = await getIndex());
+        ({ vector } = await embedding.embedText(query));
+    } catch (err) {
+        throw embeddingFailed(err);
+    }
+
+    const hits = index.search(vector, limit + SEARCH_SLACK);
+    return {
+        query,
+        results: await loadHits(index, hits, limit),
+        model: modelKey,
+        index: index.type
+    };
+}
+
+module.exports = {
+    indexBook,
+    indexBookInBackground,
+    backfillEmbeddings,
+    findSimilarBooks,
+    semanticSearch,
+    getEmbeddings,
+    findNearest
+};
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const Book = require('../models/bookModel');
+const { ValidationError } = require('../errors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const FACET_LIMIT = 20;
+
+// Sort field per order; ties are broken by _id so cursors are stable
+const SORTS = {
+    relevance: { field: 'score', type: 'number' },
+    newest: { field: 'createdAt', type: 'date' },
+    'most-read': { field: 'readerCount', type: 'number' }
+};
+
+// Query-string rules for validate() on the search routes
+const SEARCH_QUERY = {
+    q: { type: 'string', maxLength: 200 },
+    genre: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 100 } },
+    aesthetic: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 50 } },
+    source: { type: 'string', enum: ['author_uploaded', 'external_scraped', 'goodreads_imported'] },
+    publishedFrom: { type: 'date' },
+    publishedTo: { type: 'date' },
+    hasVideo: { type: 'boolean' },
+    sort: { type: 'string', enum: Object.keys(SORTS) },
+    cursor: { type: 'string', maxLength: 500 },
+    limit: { type: 'integer', min: 1, max: MAX_LIMIT }
+};
+
+function encodeCursor(sort, book) {
+    const { field } = SORTS[sort];
+    return Buffer.from(JSON.stringify({ s: sort, v: book[field], id: book._id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    try {
+        const { s, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (s !== sort || !mongoose.isValidObjectId(id)) throw new Error('cursor does not match');
+
+        const value = SORTS[sort].type === 'date' ? new Date(v) : Number(v);
+        if (SORTS[sort].type === 'date' ? Number.isNaN(value.getTime()) : !Number.isFinite(value)) throw new Error('bad value');
+        return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch (err) {
+        throw new ValidationError('Invalid cursor', [{ field: 'cursor', message: 'is invalid or was made for another sort', in: 'query' }], { code: 'INVALID_CURSOR' });
+    }
+}
+
+/**
+ * Mongo filter for the search text and filters (not the cursor)
+ */
+function buildFilter({ q, genre, aesthetic, source, publishedFrom, publishedTo, hasVideo }) {
+    const filter = {};
+    if (q) filter.$text = { $search: q };
+    if (genre?.length) filter.genre = { $in: genre };
+    if (aesthetic?.length) filter.videoAesthetic = { $in: aesthetic };
+    if (source) filter.source = source;
+    if (publishedFrom || publishedTo) {
+        filter.publishedDate = {
+            ...(publishedFrom && { $gte: publishedFrom }),
+            ...(publishedTo && { $lte: publishedTo })
+        };
+    }
+    if (hasVideo === true) filter.videoStatus = 'completed';
+    if (hasVideo === false) filter.videoStatus = { $ne: 'completed' };
+    return filter;
+}
+
+function countsOf(field) {
+    return [
+        { $match: { [field]: { $nin: ['', null] } } },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: FACET_LIMIT }
+    ];
+}
+
+/**
+ * Total and facet counts over everything matching the search
+ */
+async function getFacets(filter) {
+    const [result] = await Book.aggregate([
+        { $match: filter },
+        {
+            $facet: {
+                total: [{ $count: 'count' }],
+                genre: countsOf('genre'),
+                aesthetic: countsOf('videoAesthetic'),
+                source: countsOf('source'),
+                hasVideo: [{ $group: { _id: { $eq: ['$videoStatus', 'completed'] }, count: { $sum: 1 } } }]
+            }
+        }
+    ]);
+
+    const toList = (buckets) => buckets.map(({ _id, count }) => ({ value: _id, count }));
+    const withVideo = result.hasVideo.find((bucket) => bucket._id === true);
+    const withoutVideo = result.hasVideo.find((bucket) => bucket._id === false);
+
+    return {
+        total: result.total[0]?.count || 0,
+        facets: {
+            genre: toList(result.genre),
+            aesthetic: toList(result.aesthetic),
+            source: toList(result.source),
+            hasVideo: { true: withVideo?.count || 0, false: withoutVideo?.count || 0 }
+        }
+    };
+}
+
+/**
+ * Search books by text (MongoDB text index over title, keywords, genre and summary)
+ * with filters, sorting and cursor pagination.
+ *
+ * @param {object} query - { q, genre[], aesthetic[], source, publishedFrom, publishedTo, hasVideo,
+ *   sort: 'relevance' (default with q) | 'newest' (default without) | 'most-read', cursor, limit }
+ * @returns {Promise<{ books: Array, nextCursor: string|null, total?: number, facets?: object }>}
+ *   total and facets are only computed for the first page
+ */
+async function searchBooks(query = {}) {
+    const limit = Math.min(query.limit || DEFAULT_LIMIT, MAX_LIMIT);
+    // Without search text there is no relevance to sort by
+    const sort = query.sort && (query.sort !== 'relevance' || query.q) ? query.sort : (query.q ? 'relevance' : 'newest');
+    const { field } = SORTS[sort];
+
+    const filter = buildFilter(query);
+    const pipeline = [{ $match: filter }];
+    if (query.q) pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    // Books from before reader counts were kept have none
+    if (sort === 'most-read') pipeline.push({ $addFields: { readerCount: { $ifNull: ['$readerCount', 0] } } });
+
+    if (query.cursor) {
+        const { value, id } = decodeCursor(query.cursor, sort);
+        pipeline.push({ $match: { $or: [{ [field]: { $lt: value } }, { [field]: value, _id: { $lt: id } }] } });
+    }
+
+    pipeline.push({ $sort: { [field]: -1, _id: -1 } }, { $limit: limit + 1 });
+
+    const [books, counts] = await Promise.all([
+        Book.aggregate(pipeline),
+        query.cursor ? null : getFacets(filter)
+    ]);
+
+    const hasMore = books.length > limit;
+    const page = hasMore ? books.slice(0, limit) : books;
+
+    return {
+        books: page,
+        nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null,
+        sort,
+        ...counts
+    };
+}
+
+/**
+ * Candidate books for a natural-language search (re-ranked by the AI search service).
+ * Text-matches the search terms, falling back to the newest books with the
+ * wanted aesthetic or genre when nothing matches.
+ *
+ * @param {object} interpretation - { aesthetic, genres, exclude } from the AI search service
+ * @param {Array<string>} terms - Words to text-search for
+ * @param {number} limit
+ */
+async function findCandidates(interpretation, terms, limit = 100) {
+    const { aesthetic = null, genres = [], exclude = [] } = interpretation;
+
+    if (terms.length) {
+        // Single-word exclusions can be negated in the text search itself; the rest are dropped when re-ranking
+        const negated = exclude.filter((term) => /^\w+$/.test(term)).map((term) => `-${term}`);
+        const books = await Book.find(
+            { $text: { $search: [...terms, ...negated].join(' ') } },
+            { score: { $meta: 'textScore' } }
+        ).sort({ score: { $meta: 'textScore' } }).limit(limit).lean();
+        if (books.length) return books;
+    }
+
+    const filter = {};
+    if (aesthetic) filter.videoAesthetic = aesthetic;
+    else if (genres.length) filter.genre = { $in: genres.map((genre) => new RegExp(`^${genre.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')) };
+    else return [];
+
+    return Book.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+module.exports = {
+    SEARCH_QUERY,
+    searchBooks,
+    findCandidates
+};
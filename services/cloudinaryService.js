@@ -12,7 +12,7 @@ cloudinary.config({
 /**
  * Upload a video to Cloudinary
  * @param {string} videoPath - Local path to the video file
- * @param {object} options - Upload options
+ * @param {object} options - Upload options ({ folder, publicId, resourceType, overwrite: replace and invalidate an asset with the same public ID })
  * @returns {Promise<object>} - Cloudinary upload result
  */
 async function uploadVideo(videoPath, options = {}) {
@@ -20,7 +20,8 @@ async function uploadVideo(videoPath, options = {}) {
         const {
             folder = 'booktok-videos',
             publicId,
-            resourceType = 'video'
+            resourceType = 'video',
+            overwrite = false
         } = options;
 
         console.log(`☁️ Uploading video to Cloudinary: ${path.basename(videoPath)}`);
@@ -30,7 +31,8 @@ async function uploadVideo(videoPath, options = {}) {
             folder,
             use_filename: true,
             unique_filename: true,
-            overwrite: false,
+            overwrite,
+            invalidate: overwrite,
             // Video-specific optimizations
             eager: [
                 { format: 'mp4', video_codec: 'h264' }
@@ -120,6 +122,106 @@ async function uploadVideoBuffer(videoBuffer, options = {}) {
     });
 }
 
+/**
+ * Upload an image (poster frame, GIF/WebP preview) to Cloudinary
+ * @param {string} imagePath - Local path to the image file
+ * @param {object} options - Upload options ({ folder, publicId, overwrite: replace and invalidate an asset with the same public ID })
+ * @returns {Promise<object>} - Cloudinary upload result
+ */
+async function uploadImage(imagePath, options = {}) {
+    try {
+        const {
+            folder = 'booktok-videos',
+            publicId,
+            overwrite = false
+        } = options;
+
+        console.log(`☁️ Uploading image to Cloudinary: ${path.basename(imagePath)}`);
+
+        const uploadOptions = {
+            resource_type: 'image',
+            folder,
+            use_filename: true,
+            unique_filename: true,
+            overwrite,
+            invalidate: overwrite
+        };
+
+        if (publicId) {
+            uploadOptions.public_id = publicId;
+        }
+
+        const result = await cloudinary.uploader.upload(imagePath, uploadOptions);
+
+        console.log(`✅ Image uploaded to Cloudinary: ${result.secure_url}`);
+
+        return {
+            success: true,
+            url: result.secure_url,
+            publicId: result.public_id,
+            format: result.format,
+            bytes: result.bytes,
+            width: result.width,
+            height: result.height
+        };
+    } catch (error) {
+        console.error('❌ Cloudinary upload failed:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Upload a file Cloudinary doesn't transform (caption sidecars) as a raw asset
+ * @param {string} filePath - Local path to the file
+ * @param {object} options - Upload options ({ folder, publicId, overwrite: replace and invalidate an asset with the same public ID })
+ * @returns {Promise<object>} - Cloudinary upload result
+ */
+async function uploadRawFile(filePath, options = {}) {
+    try {
+        const {
+            folder = 'booktok-videos',
+            publicId,
+            overwrite = false
+        } = options;
+
+        console.log(`☁️ Uploading file to Cloudinary: ${path.basename(filePath)}`);
+
+        const uploadOptions = {
+            resource_type: 'raw',
+            folder,
+            use_filename: true,
+            unique_filename: true,
+            overwrite,
+            invalidate: overwrite
+        };
+
+        if (publicId) {
+            // Raw assets keep their extension in the public ID, and are served with it
+            uploadOptions.public_id = `${publicId}${path.extname(filePath)}`;
+        }
+
+        const result = await cloudinary.uploader.upload(filePath, uploadOptions);
+
+        console.log(`✅ File uploaded to Cloudinary: ${result.secure_url}`);
+
+        return {
+            success: true,
+            url: result.secure_url,
+            publicId: result.public_id,
+            bytes: result.bytes
+        };
+    } catch (error) {
+        console.error('❌ Cloudinary upload failed:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
 /**
  * Delete a video from Cloudinary
  * @param {string} publicId - The public ID of the video
@@ -147,8 +249,8 @@ async function deleteVideo(publicId) {
  */
 function getOptimizedVideoUrl(publicId, options = {}) {
     const {
-        width = 768,
-        height = 1024,
+        width = 1080,
+        height = 1920,
         quality = 'auto',
         format = 'mp4'
     } = options;
@@ -179,6 +281,8 @@ function isConfigured() {
 module.exports = {
     uploadVideo,
     uploadVideoBuffer,
+    uploadImage,
+    uploadRawFile,
     deleteVideo,
     getOptimizedVideoUrl,
     isConfigured,
@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const Book = require('../models/bookModel');
+const UserBook = require('../models/userBookModel');
+const FeedImpression = require('../models/feedImpressionModel');
+const bookEmbeddingService = require('./bookEmbeddingService');
+const recommendationService = require('./recommendationService');
+const { ValidationError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 30;
+
+// How long a watched video stays out of a user's feed
+const IMPRESSION_TTL_DAYS = Number(process.env.FEED_IMPRESSION_TTL_DAYS) || 30;
+// Only the most recently watched videos are left out, so the query stays small for heavy viewers
+const IMPRESSION_EXCLUDE_MAX = Number(process.env.FEED_IMPRESSION_EXCLUDE_MAX) || 500;
+// Trending = most added to reading lists over this many days
+const TRENDING_DAYS = Number(process.env.FEED_TRENDING_DAYS) || 7;
+const TRENDING_POOL = 500;
+
+// The cursor carries the ids served earlier in the session (12 bytes each), newest kept
+const CURSOR_MAX_SEEN = 100;
+
+// A session's personalised picks are worked out on its first page and reused for the pages after
+const POOL_SIZE = 100;
+const POOL_TTL_MS = 15 * 60 * 1000;
+const POOL_CACHE_MAX = 1000;
+
+// Slot order each page repeats; a source that runs dry gives its slot to the others
+const MIX = {
+    signedIn: ['personalized', 'personalized', 'trending', 'personalized', 'fresh'],
+    anonymous: ['trending', 'fresh']
+};
+
+const VIDEO_READY = { videoStatus: 'completed', videoUrl: { $nin: ['', null] } };
+const CARD_FIELDS = 'title genre keywords coverImage videoUrl videoAesthetic videoGeneratedAt captions renditions readerCount';
+
+// Query-string rules for validate() on the feed route
+const FEED_QUERY = {
+    cursor: { type: 'string', maxLength: Math.ceil((CURSOR_MAX_SEEN * 12 * 4) / 3) },
+    limit: { type: 'integer', min: 1, max: MAX_LIMIT }
+};
+
+// Body rules for validate() on the views route
+const VIEWS_BODY = {
+    views: {
+        type: 'array',
+        required: true,
+        maxItems: MAX_LIMIT * 2,
+        items: {
+            type: 'object',
+            properties: {
+                bookId: { type: 'objectId', required: true },
+                source: { type: 'string', enum: FeedImpression.schema.path('source').enumValues }
+            }
+        }
+    }
+};
+
+function encodeCursor(ids) {
+    return Buffer.from(ids.slice(-CURSOR_MAX_SEEN).join(''), 'hex').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const bytes = Buffer.from(cursor, 'base64url');
+    if (!bytes.length || bytes.length % 12 !== 0 || bytes.toString('base64url') !== cursor) {
+        throw new ValidationError('Invalid cursor', [{ field: 'cursor', message: 'is invalid', in: 'query' }], { code: 'INVALID_CURSOR' });
+    }
+    return bytes.toString('hex').match(/.{24}/g);
+}
+
+// userId -> { picks, expiresAt }, oldest first
+const pools = new Map();
+
+/**
+ * Recommended videos, with the recommendation's first reason. The recommendations
+ * are made once per session (on the page without a cursor) and filtered after that.
+ */
+async function findPersonalized(userId, exclude, count, options = {}) {
+    const key = userId.toString();
+    let pool = pools.get(key);
+
+    if (options.newSession || !pool || pool.expiresAt <= Date.now()) {
+        const { recommendations } = await recommendationService.getRecommendations(userId, {
+            limit: POOL_SIZE,
+            filter: VIDEO_READY,
+            exclude
+        });
+        pool = {
+            picks: recommendations.map(({ book, reasons }) => ({ book, reason: reasons[0] || null })),
+            expiresAt: Date.now() + POOL_TTL_MS
+        };
+        pools.delete(key);
+        pools.set(key, pool);
+        if (pools.size > POOL_CACHE_MAX) pools.delete(pools.keys().next().value);
+    }
+
+    const excluded = new Set(exclude.map((id) => id.toString()));
+    return pool.picks.filter(({ book }) => !excluded.has(book._id.toString())).slice(0, count);
+}
+
+/**
+ * Videos of the books most added to reading lists lately, topped up with the most read overall
+ */
+async function findTrending(exclude, count) {
+    const since = new Date(Date.now() - TRENDING_DAYS * DAY_MS);
+    const recent = await UserBook.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: '$book', adds: { $sum: 1 } } },
+        { $sort: { adds: -1, _id: -1 } },
+        { $limit: TRENDING_POOL }
+    ]);
+    const adds = new Map(recent.map(({ _id, adds: count }) => [_id.toString(), count]));
+
+    const books = recent.length
+        ? await Book.find({ ...VIDEO_READY, _id: { $in: recent.map(({ _id }) => _id), $nin: exclude } }).select(CARD_FIELDS).lean()
+        : [];
+    const items = books
+        .sort((a, b) => adds.get(b._id.toString()) - adds.get(a._id.toString()))
+        .slice(0, count)
+        .map((book) => {
+            const added = adds.get(book._id.toString());
+            return { book, reason: `${added} reader${added === 1 ? '' : 's'} added it in the last ${TRENDING_DAYS} days` };
+        });
+    if (items.length >= count) return items;
+
+    const popular = await Book.find({ ...VIDEO_READY, _id: { $nin: [...exclude, ...items.map(({ book }) => book._id)] } })
+        .select(CARD_FIELDS).sort({ readerCount: -1, _id: -1 }).limit(count - items.length).lean();
+    return [...items, ...popular.map((book) => ({ book, reason: 'Popular with readers' }))];
+}
+
+/**
+ * The newest videos
+ */
+async function findFresh(exclude, count) {
+    const books = await Book.find({ ...VIDEO_READY, _id: { $nin: exclude } })
+        .select(CARD_FIELDS).sort({ videoGeneratedAt: -1, _id: -1 }).limit(count).lean();
+    return books.map((book) => ({ book, reason: 'New video' }));
+}
+
+/**
+ * Videos the reader watched longest ago, for when there are no unwatched ones left
+ */
+async function findRewatch(userId, exclude, count) {
+    const impressions = await FeedImpression.find({ user: userId, book: { $nin: exclude } })
+        .select('book').sort({ seenAt: 1, _id: 1 }).limit(count * 2).lean();
+    if (!impressions.length) return [];
+
+    const books = await Book.find({ ...VIDEO_READY, _id: { $in: impressions.map(({ book }) => book) } }).select(CARD_FIELDS).lean();
+    const byId = new Map(books.map((book) => [book._id.toString(), book]));
+    return impressions
+        .map(({ book }) => byId.get(book.toString()))
+        .filter(Boolean)
+        .slice(0, count)
+        .map((book) => ({ book, reason: 'Watched a while ago' }));
+}
+
+/**
+ * Fill `limit` slots following the pattern, never the same book twice
+ */
+function mix(pattern, sources, limit) {
+    const queues = Object.fromEntries(Object.entries(sources).map(([name, items]) => [name, [...items]]));
+    const taken = new Set();
+    const next = (name) => {
+        const queue = queues[name] || [];
+        while (queue.length) {
+            const item = queue.shift();
+            const id = item.book._id.toString();
+            if (!taken.has(id)) {
+                taken.add(id);
+                return { ...item, source: name };
+            }
+        }
+        return null;
+    };
+
+    const picks = [];
+    for (let slot = 0; picks.length < limit; slot++) {
+        const item = next(pattern[slot % pattern.length]) || Object.keys(queues).reduce((found, name) => found || next(name), null);
+        if (!item) break;
+        picks.push(item);
+    }
+    return picks;
+}
+
+function toCard({ book, source, reason }, tropes = []) {
+    const renditions = book.renditions || [];
+    // A vertical feed wants the 9:16 rendition; videoUrl is the master
+    const portrait = renditions.find((rendition) => rendition.kind === 'video' && rendition.name === 'portrait');
+    const poster = renditions.find((rendition) => rendition.kind === 'image');
+
+    return {
+        bookId: book._id,
+        title: book.title,
+        genre: book.genre || '',
+        tropes: tropes.length ? tropes : (book.keywords || []).slice(0, 5),
+        videoUrl: portrait?.url || book.videoUrl,
+        posterUrl: poster?.url || book.coverImage || '',
+        coverImage: book.coverImage || '',
+        captionsUrl: book.captions?.vttUrl || null,
+        aesthetic: book.videoAesthetic,
+        source,
+        reason
+    };
+}
+
+/**
+ * Remember the videos a reader actually watched, so they stay out of their feed
+ * until the impression expires
+ * @param {string} userId
+ * @param {Array<{ bookId: string, source?: string }>} views - Cards from getFeed() the client played
+ * @returns {Promise<{ recorded: number }>}
+ */
+async function recordViews(userId, views) {
+    // One write per book: two upserts of the same new impression would collide
+    const latest = [...new Map(views.map((view) => [view.bookId.toString(), view])).values()];
+    if (!latest.length) return { recorded: 0 };
+
+    const seenAt = new Date();
+    const expiresAt = new Date(seenAt.getTime() + IMPRESSION_TTL_DAYS * DAY_MS);
+    await FeedImpression.bulkWrite(latest.map(({ bookId, source }) => ({
+        updateOne: {
+            filter: { user: userId, book: bookId },
+            update: { $set: { seenAt, expiresAt, ...(source && { source }) } },
+            upsert: true
+        }
+    })), { ordered: false });
+    return { recorded: latest.length };
+}
+
+/**
+ * A page of the home-screen video feed: books with a finished video, mixing
+ * personalised picks (signed-in readers), trending and fresh videos. Videos
+ * a signed-in reader recently watched (see recordViews), or that earlier pages
+ * of this session held, are left out; once none are left, signed-in readers
+ * get the videos they watched longest ago.
+ *
+ * @param {string|null} userId - The signed-in reader, if any
+ * @param {object} options - { cursor (from the previous page), limit (default 10, max 30) }
+ * @returns {Promise<{ items: Array<object>, nextCursor: string|null }>} nextCursor is null once no videos are left
+ */
+async function getFeed(userId, options = {}) {
+    const limit = Math.min(options.limit || DEFAULT_LIMIT, MAX_LIMIT);
+    const seen = options.cursor ? decodeCursor(options.cursor) : [];
+
+    const impressions = userId
+        ? await FeedImpression.find({ user: userId, expiresAt: { $gt: new Date() } })
+            .select('book').sort({ seenAt: -1, _id: -1 }).limit(IMPRESSION_EXCLUDE_MAX).lean()
+        : [];
+    const exclude = [...new Set([...seen, ...impressions.map(({ book }) => book.toString())])]
+        .map((id) => new mongoose.Types.ObjectId(id));
+
+    const [personalized, trending, fresh] = await Promise.all([
+        userId
+            ? findPersonalized(userId, exclude, limit, { newSession: !options.cursor }).catch((err) => {
+                console.error('Personalized feed unavailable:', err.message);
+                return [];
+            })
+            : [],
+        findTrending(exclude, limit),
+        findFresh(exclude, limit)
+    ]);
+
+    const picks = mix(userId ? MIX.signedIn : MIX.anonymous, { personalized, trending, fresh }, limit);
+    if (userId && picks.length < limit) {
+        const shown = [...seen, ...picks.map(({ book }) => book._id.toString())].map((id) => new mongoose.Types.ObjectId(id));
+        const rewatch = await findRewatch(userId, shown, limit - picks.length);
+        picks.push(...rewatch.map((item) => ({ ...item, source: 'rewatch' })));
+    }
+
+    const embeddings = await bookEmbeddingService.getEmbeddings(picks.map(({ book }) => book._id))
+        .catch(() => new Map());
+    const served = [...seen, ...picks.map(({ book }) => book._id.toString())];
+
+    return {
+        items: picks.map((pick) => toCard(pick, embeddings.get(pick.book._id.toString())?.tropes)),
+        nextCursor: picks.length === limit ? encodeCursor(served) : null
+    };
+}
+
+module.exports = {
+    FEED_QUERY,
+    VIEWS_BODY,
+    getFeed,
+    recordViews
+};
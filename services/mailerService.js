@@ -0,0 +1,113 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { UpstreamFailureError } = require('../errors');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'BookTok <no-reply@booktok.local>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'temp', 'mail');
+
+/**
+ * A transport delivers one message: { name, send({ from, to, subject, text, html }) }
+ */
+const transports = new Map();
+
+/**
+ * SMTP through nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ */
+const smtpTransport = {
+    name: 'smtp',
+    client: null,
+
+    getClient() {
+        if (this.client) return this.client;
+        if (!process.env.SMTP_HOST) throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+
+        const port = parseInt(process.env.SMTP_PORT || '587', 10);
+        this.client = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+        return this.client;
+    },
+
+    async send(message) {
+        const info = await this.getClient().sendMail(message);
+        return { id: info.messageId };
+    }
+};
+
+/**
+ * Writes each message to MAIL_DIR as JSON, for development and tests
+ */
+const fileTransport = {
+    name: 'file',
+
+    async send(message) {
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        await fs.mkdir(MAIL_DIR, { recursive: true });
+        await fs.writeFile(path.join(MAIL_DIR, `${id}.json`), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+        return { id };
+    }
+};
+
+/**
+ * Prints each message to the server log
+ */
+const consoleTransport = {
+    name: 'console',
+
+    async send(message) {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { id: null };
+    }
+};
+
+/**
+ * Add a transport (replaces any transport with the same name)
+ */
+function registerTransport(transport) {
+    if (!transport?.name || typeof transport.send !== 'function') {
+        throw new Error('Mail transport needs a name and a send() function');
+    }
+    transports.set(transport.name, transport);
+}
+
+registerTransport(smtpTransport);
+registerTransport(fileTransport);
+registerTransport(consoleTransport);
+
+/**
+ * The transport selected by MAIL_TRANSPORT (smtp | file | console, default console)
+ */
+function getTransport() {
+    const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+    const transport = transports.get(name);
+    if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    return transport;
+}
+
+/**
+ * Send an email
+ * @param {object} message - { to, subject, text, html }
+ * @returns {Promise<{ id: string|null, transport: string }>}
+ * @throws {UpstreamFailureError} When the transport fails
+ */
+async function sendMail({ to, subject, text, html }) {
+    const transport = getTransport();
+    try {
+        const result = await transport.send({ from: MAIL_FROM, to, subject, text, ...(html && { html }) });
+        return { ...result, transport: transport.name };
+    } catch (err) {
+        console.error(`Mail via ${transport.name} failed:`, err.message);
+        throw new UpstreamFailureError('Could not send email', { code: 'MAIL_FAILED' });
+    }
+}
+
+module.exports = {
+    registerTransport,
+    getTransport,
+    sendMail
+};
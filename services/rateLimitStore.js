@@ -0,0 +1,98 @@
+const RateLimitCounter = require('../models/rateLimitCounterModel');
+
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Counters kept in process memory. Fast, but each server instance counts on its own.
+ */
+function createMemoryStore() {
+    const counters = new Map();
+
+    // Drop keys whose windows can no longer affect a sliding count
+    const cleanupTimer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.windowStart + 2 * counter.windowMs <= now) counters.delete(key);
+        }
+    }, CLEANUP_INTERVAL_MS);
+    cleanupTimer.unref();
+
+    return {
+        name: 'memory',
+
+        async increment(key, windowStart, windowMs) {
+            const counter = counters.get(key);
+
+            if (counter && counter.windowStart === windowStart) {
+                counter.current++;
+            } else {
+                // The window rolled over: the old current count becomes the previous one if adjacent
+                const previous = counter && counter.windowStart === windowStart - windowMs ? counter.current : 0;
+                counters.set(key, { windowStart, windowMs, current: 1, previous });
+            }
+
+            const { current, previous } = counters.get(key);
+            return { current, previous };
+        },
+
+        async reset(key) {
+            counters.delete(key);
+        }
+    };
+}
+
+/**
+ * Counters kept in MongoDB, shared by every server instance
+ */
+function createMongoStore() {
+    return {
+        name: 'mongo',
+
+        async increment(key, windowStart, windowMs) {
+            const start = new Date(windowStart);
+            const update = () => RateLimitCounter.findOneAndUpdate(
+                { key, windowStart: start },
+                { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart + 2 * windowMs) } },
+                { upsert: true, new: true }
+            );
+
+            let counter;
+            try {
+                counter = await update();
+            } catch (err) {
+                // Two requests upserted the same new window at once; the second now finds it
+                if (err.code !== 11000) throw err;
+                counter = await update();
+            }
+
+            const previous = await RateLimitCounter.findOne({ key, windowStart: new Date(windowStart - windowMs) }).select('count').lean();
+            return { current: counter.count, previous: previous ? previous.count : 0 };
+        },
+
+        async reset(key) {
+            await RateLimitCounter.deleteMany({ key });
+        }
+    };
+}
+
+let store = null;
+
+/**
+ * The store selected by RATE_LIMIT_STORE (memory | mongo, default memory)
+ */
+function getStore() {
+    if (store) return store;
+
+    const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+    if (name !== 'memory' && name !== 'mongo') {
+        console.warn(`⚠️ Unknown RATE_LIMIT_STORE "${name}", using memory`);
+    }
+    store = name === 'mongo' ? createMongoStore() : createMemoryStore();
+    return store;
+}
+
+module.exports = {
+    createMemoryStore,
+    createMongoStore,
+    getStore
+};
@@ -0,0 +1,42 @@
+const Book = require('../models/bookModel');
+const UserBook = require('../models/userBookModel');
+
+// Books updated per bulk write
+const BATCH_SIZE = 500;
+
+/**
+ * Set every book's readerCount from the reading lists. userBookController keeps the
+ * count current from then on, so this only runs while some book predates the field.
+ * @returns {Promise<{ updated: number }>}
+ */
+async function backfillReaderCounts() {
+    if (!await Book.exists({ readerCount: { $exists: false } })) return { updated: 0 };
+
+    const counts = await UserBook.aggregate([{ $group: { _id: '$book', readers: { $sum: 1 } } }]);
+    const readers = new Map(counts.map(({ _id, readers: count }) => [_id.toString(), count]));
+
+    let updated = 0;
+    let batch = [];
+    const flush = async () => {
+        if (!batch.length) return;
+        await Book.bulkWrite(batch, { ordered: false });
+        updated += batch.length;
+        batch = [];
+    };
+
+    for await (const book of Book.find().select('readerCount').lean().cursor()) {
+        const readerCount = readers.get(book._id.toString()) || 0;
+        if (book.readerCount === readerCount) continue;
+
+        batch.push({ updateOne: { filter: { _id: book._id }, update: { $set: { readerCount } } } });
+        if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    if (updated) console.log(`📚 Backfilled reader counts for ${updated} books`);
+    return { updated };
+}
+
+module.exports = {
+    backfillReaderCounts
+};
@@ -0,0 +1,108 @@
+const UserBook = require('../models/userBookModel');
+const Book = require('../models/bookModel');
+const bookEmbeddingService = require('./bookEmbeddingService');
+
+const DEFAULT_LIMIT = 20;
+
+// Candidates gathered per source before scoring
+const NEAREST_CANDIDATES = 100;
+const MATCHING_CANDIDATES = 200;
+const POPULAR_CANDIDATES = 50;
+
+// Book fields recommendations are scored on and returned with
+const BOOK_FIELDS = 'title summary genre keywords coverImage publishedDate readerCount videoUrl videoStatus videoAesthetic renditions captions createdAt';
+
+// AI Services - loaded dynamically since they use ES modules
+let bookAnalysis = null;
+
+async function getBookAnalysis() {
+    if (!bookAnalysis) bookAnalysis = await import('../ai-service/services/bookAnalysis.js');
+    return bookAnalysis;
+}
+
+// Attach stored embedding vectors and analysed tropes to books
+function withEmbeddings(books, embeddings) {
+    return books.map((book) => {
+        const embedding = embeddings.get(book._id.toString());
+        return embedding ? { ...book, vector: embedding.vector, tropes: embedding.tropes } : book;
+    });
+}
+
+// Embeddings are a bonus: without them recommendations still work on genres and keywords
+async function safely(promise, fallback) {
+    try {
+        return await promise;
+    } catch (err) {
+        console.error('Recommendation embeddings unavailable:', err.message);
+        return fallback;
+    }
+}
+
+/**
+ * Books not on the shelf that could suit the reader: nearest to their taste
+ * vector, sharing their liked genres or keywords, and the most popular overall
+ * @param {object} options - { filter (extra Book conditions), exclude (more book ids to leave out) }
+ */
+async function findCandidates(profile, shelf, shelvedIds, options = {}) {
+    const { filter = {}, exclude = [] } = options;
+    const liked = shelf.filter((entry) => profile.sources.some((source) => source.weight > 0 && source.book === entry.book));
+    const genres = [...new Set(liked.map((entry) => entry.book.genre).filter(Boolean))];
+    const keywords = [...new Set(liked.flatMap((entry) => entry.book.keywords || []))];
+    const excluded = [...shelvedIds, ...exclude];
+    const notShelved = { ...filter, _id: { $nin: excluded } };
+
+    const [nearest, matching, popular] = await Promise.all([
+        profile.vector
+            ? safely(bookEmbeddingService.findNearest(profile.vector, NEAREST_CANDIDATES, { exclude: excluded }), [])
+            : [],
+        genres.length || keywords.length
+            ? Book.find({ ...notShelved, $or: [{ genre: { $in: genres } }, { keywords: { $in: keywords } }] })
+                .select(BOOK_FIELDS).sort({ readerCount: -1, _id: -1 }).limit(MATCHING_CANDIDATES).lean()
+            : [],
+        Book.find(notShelved).select(BOOK_FIELDS).sort({ readerCount: -1, createdAt: -1 }).limit(POPULAR_CANDIDATES).lean()
+    ]);
+
+    const found = new Map([...popular, ...matching].map((book) => [book._id.toString(), book]));
+    const missing = nearest.map((hit) => hit.id).filter((id) => !found.has(id));
+    if (missing.length) {
+        const books = await Book.find({ ...filter, _id: { $in: missing } }).select(BOOK_FIELDS).lean();
+        books.forEach((book) => found.set(book._id.toString(), book));
+    }
+
+    // Popular books first, so a reader with no history gets the most read
+    return [...found.values()];
+}
+
+/**
+ * Personalised recommendations from a user's reading list (UserBook entries)
+ * @param {string} userId
+ * @param {object} options - { limit (default 20), filter (extra Book conditions for candidates, e.g. { videoStatus: 'completed' }),
+ *   exclude (book ids to leave out besides those on the list) }
+ * @returns {Promise<{ recommendations: Array<{ book, score, reasons, because }>, profile: object }>}
+ *   `profile` summarises the taste the picks are based on (top genres, tropes, keywords, aesthetics)
+ */
+async function getRecommendations(userId, options = {}) {
+    const limit = options.limit || DEFAULT_LIMIT;
+    const analysis = await getBookAnalysis();
+
+    const entries = await UserBook.find({ user: userId }).populate('book', BOOK_FIELDS).lean();
+    const shelf = entries.filter((entry) => entry.book);
+    const shelvedIds = shelf.map((entry) => entry.book._id);
+
+    const shelfEmbeddings = await safely(bookEmbeddingService.getEmbeddings(shelvedIds), new Map());
+    const shelfBooks = withEmbeddings(shelf.map((entry) => entry.book), shelfEmbeddings);
+    const profileShelf = shelf.map((entry, i) => ({ ...entry, book: shelfBooks[i] }));
+    const profile = analysis.buildTasteProfile(profileShelf);
+
+    const candidates = await findCandidates(profile, profileShelf, shelvedIds, options);
+    const candidateEmbeddings = await safely(bookEmbeddingService.getEmbeddings(candidates.map((book) => book._id)), new Map());
+
+    return {
+        recommendations: analysis.getPersonalizedRecommendations(profile, withEmbeddings(candidates, candidateEmbeddings), { limit }),
+        profile: profile.summary
+    };
+}
+
+module.exports = {
+    getRecommendations
+};
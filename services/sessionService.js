@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/sessionModel');
+const { UnauthorizedError } = require('../errors');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'change_this_secret';
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque and stored hashed
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+
+// How many rotated-out refresh tokens a session remembers for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+/**
+ * Error for a refresh token that can't be used; `reason` is 'invalid' or 'reuse'
+ */
+class RefreshTokenError extends UnauthorizedError {
+    constructor(message, reason) {
+        super(message, {
+            code: reason === 'reuse' ? 'REFRESH_TOKEN_REUSED' : 'REFRESH_TOKEN_INVALID',
+            details: { reason }
+        });
+        this.reason = reason;
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+function clientInfo(req) {
+    return {
+        userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+        ip: req.ip || ''
+    };
+}
+
+function signAccessToken(userId, sessionId) {
+    return jwt.sign({ id: userId, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function tokenPair(session, refreshToken) {
+    return {
+        token: signAccessToken(session.user, session._id),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+/**
+ * Start a session for a user who just signed in
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string }>}
+ */
+async function createSession(userId, req) {
+    const refreshToken = newRefreshToken();
+    const session = await Session.create({
+        user: userId,
+        tokenHash: hashToken(refreshToken),
+        ...clientInfo(req),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+    return tokenPair(session, refreshToken);
+}
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token.
+ * Presenting a refresh token that was already rotated out means it leaked:
+ * the whole session is revoked, logging out both the thief and the owner.
+ * @throws {RefreshTokenError}
+ */
+async function refreshSession(refreshToken, req) {
+    if (!refreshToken) throw new RefreshTokenError('Refresh token required', 'invalid');
+
+    const hash = hashToken(refreshToken);
+    const nextToken = newRefreshToken();
+    const now = new Date();
+
+    // Atomic, so two requests with the same token can't both rotate it
+    const session = await Session.findOneAndUpdate(
+        { tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: { tokenHash: hashToken(nextToken), lastUsedAt: now, expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS), ...clientInfo(req) },
+            $push: { previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKENS } }
+        },
+        { new: true }
+    );
+    if (session) return tokenPair(session, nextToken);
+
+    const reused = await Session.findOneAndUpdate(
+        { previousTokenHashes: hash, revokedAt: null },
+        { revokedAt: now, revokedReason: 'reuse' }
+    );
+    if (reused) {
+        console.warn(`⚠️ Refresh token reuse for user ${reused.user}, session ${reused._id} revoked`);
+        throw new RefreshTokenError('Refresh token reuse detected, session revoked', 'reuse');
+    }
+
+    throw new RefreshTokenError('Invalid or expired refresh token', 'invalid');
+}
+
+/**
+ * Whether an access token's session is still signed in
+ */
+async function isSessionActive(sessionId) {
+    if (!sessionId) return false;
+    const session = await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    return Boolean(session);
+}
+
+/**
+ * Revoke one session, found by its id or by its current refresh token
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+async function revokeSession({ sessionId, refreshToken, userId }, reason = 'logout') {
+    const filter = { revokedAt: null };
+    if (sessionId) filter._id = sessionId;
+    else if (refreshToken) filter.tokenHash = hashToken(refreshToken);
+    else return false;
+    if (userId) filter.user = userId;
+
+    const result = await Session.updateOne(filter, { revokedAt: new Date(), revokedReason: reason });
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user ("log out all devices")
+ * @returns {Promise<number>} Sessions revoked
+ */
+async function revokeAllSessions(userId) {
+    const result = await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: 'logout-all' });
+    return result.modifiedCount;
+}
+
+/**
+ * A user's active sessions, most recently used first
+ */
+async function listSessions(userId, currentSessionId = null) {
+    const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('userAgent ip createdAt lastUsedAt expiresAt')
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+    return sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+    }));
+}
+
+module.exports = {
+    JWT_SECRET,
+    RefreshTokenError,
+    createSession,
+    refreshSession,
+    isSessionActive,
+    revokeSession,
+    revokeAllSessions,
+    listSessions
+};
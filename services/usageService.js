@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const UsageRecord = require('../models/usageRecordModel');
+const UsageCounter = require('../models/usageCounterModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a daily quota from the environment; 0 means unlimited
+ */
+function readQuota(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : Infinity;
+}
+
+// Per user (or per IP for anonymous requests) per UTC day
+const QUOTAS = {
+    generations: readQuota('QUOTA_DAILY_GENERATIONS', 20),
+    costUsd: readQuota('QUOTA_DAILY_COST_USD', 2),
+    llmTokens: readQuota('QUOTA_DAILY_LLM_TOKENS', 500000),
+    images: readQuota('QUOTA_DAILY_IMAGES', 60),
+    ttsCharacters: readQuota('QUOTA_DAILY_TTS_CHARACTERS', 30000)
+};
+
+// AI usage meter - loaded dynamically since it is an ES module
+let aiUsage = null;
+let ledgerStarted = false;
+
+async function getAIUsage() {
+    if (!aiUsage) aiUsage = await import('../ai-service/services/usageService.js');
+    return aiUsage;
+}
+
+/**
+ * Store every metered AI call in the usage ledger
+ */
+async function startLedger() {
+    if (ledgerStarted) return;
+    ledgerStarted = true;
+
+    const usage = await getAIUsage();
+    usage.onUsage((record) => UsageRecord.create({
+        user: record.user,
+        ip: record.ip,
+        book: record.book,
+        job: record.job,
+        endpoint: record.endpoint,
+        kind: record.kind,
+        provider: record.provider,
+        model: record.model,
+        inputTokens: record.inputTokens,
+        outputTokens: record.outputTokens,
+        images: record.images,
+        characters: record.characters,
+        cached: record.cached,
+        costUsd: record.costUsd
+    }));
+    console.log('🧾 Usage ledger started');
+}
+
+/**
+ * Run fn with AI usage attributed to context ({ user, ip, book, job, endpoint })
+ */
+async function runWithUsage(context, fn) {
+    const usage = await getAIUsage();
+    return usage.runWithUsageContext(context, fn);
+}
+
+/**
+ * Who a request's usage counts against
+ * @returns {{ user: string|null, ip: string }}
+ */
+function getSubject(req) {
+    const userId = req.user?._id || req.user?.id || req.userId || null;
+    return { user: userId ? userId.toString() : null, ip: req.ip || '' };
+}
+
+// Aggregation pipelines aren't cast by Mongoose, so ids must already be ObjectIds
+function subjectFilter(subject) {
+    return subject.user
+        ? { user: new mongoose.Types.ObjectId(subject.user) }
+        : { user: null, ip: subject.ip };
+}
+
+function startOfUtcDay(date = new Date()) {
+    const start = new Date(date);
+    start.setUTCHours(0, 0, 0, 0);
+    return start;
+}
+
+// Cached calls are free, so they count towards nothing but the record itself.
+// Embedding tokens are far cheaper than LLM ones and only count towards cost.
+const TOTALS_GROUP = {
+    generations: { $sum: { $cond: [{ $eq: ['$kind', 'generation'] }, 1, 0] } },
+    costUsd: { $sum: '$costUsd' },
+    llmTokens: { $sum: { $cond: [{ $and: [{ $eq: ['$kind', 'llm'] }, { $not: ['$cached'] }] }, { $add: ['$inputTokens', '$outputTokens'] }, 0] } },
+    images: { $sum: { $cond: ['$cached', 0, '$images'] } },
+    ttsCharacters: { $sum: { $cond: [{ $and: [{ $eq: ['$kind', 'tts'] }, { $not: ['$cached'] }] }, '$characters', 0] } },
+    calls: { $sum: { $cond: [{ $eq: ['$kind', 'generation'] }, 0, 1] } },
+    cachedCalls: { $sum: { $cond: ['$cached', 1, 0] } }
+};
+
+function emptyTotals() {
+    return { generations: 0, costUsd: 0, llmTokens: 0, images: 0, ttsCharacters: 0, calls: 0, cachedCalls: 0 };
+}
+
+function roundCost(totals) {
+    return { ...totals, costUsd: Math.round(totals.costUsd * 1e4) / 1e4 };
+}
+
+/**
+ * Usage totals since a point in time
+ */
+async function getTotals(subject, since) {
+    const [totals] = await UsageRecord.aggregate([
+        { $match: { ...subjectFilter(subject), createdAt: { $gte: since } } },
+        { $group: { _id: null, ...TOTALS_GROUP } }
+    ]);
+    if (!totals) return emptyTotals();
+
+    const { _id, ...rest } = totals;
+    return roundCost(rest);
+}
+
+/**
+ * Check today's usage against the daily quotas
+ * @returns {Promise<{ allowed: boolean, exceeded: object|null, totals: object, limits: object, resetsAt: Date }>}
+ */
+async function checkQuota(subject) {
+    const since = startOfUtcDay();
+    const totals = await getTotals(subject, since);
+
+    const exceededName = Object.keys(QUOTAS).find((name) => totals[name] >= QUOTAS[name]);
+    return {
+        allowed: !exceededName,
+        exceeded: exceededName ? { quota: exceededName, limit: QUOTAS[exceededName], used: totals[exceededName] } : null,
+        totals,
+        limits: QUOTAS,
+        resetsAt: new Date(since.getTime() + DAY_MS)
+    };
+}
+
+/**
+ * Reserve one of today's generations. The counter only moves while under the
+ * quota, so concurrent requests can't overshoot it.
+ * @returns {Promise<{ subject: string, day: Date }|null>} The reservation, or null once the quota is used up
+ */
+async function reserveGeneration(subject) {
+    const reservation = { subject: subject.user ? `user:${subject.user}` : `ip:${subject.ip}`, day: startOfUtcDay() };
+    const filter = {
+        ...reservation,
+        ...(Number.isFinite(QUOTAS.generations) && { generations: { $lt: QUOTAS.generations } })
+    };
+    const reserve = () => UsageCounter.findOneAndUpdate(
+        filter,
+        { $inc: { generations: 1 }, $setOnInsert: { expiresAt: new Date(reservation.day.getTime() + DAY_MS) } },
+        { upsert: true, new: true }
+    );
+
+    try {
+        await reserve();
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+        // Either two requests created today's counter at once, or it is full and the upsert collided with it
+        try {
+            await reserve();
+        } catch (retryErr) {
+            if (retryErr.code !== 11000) throw retryErr;
+            return null;
+        }
+    }
+    return reservation;
+}
+
+/**
+ * Give back a reserved generation whose request failed
+ * @param {object} reservation - From reserveGeneration()
+ */
+async function releaseGeneration(reservation) {
+    await UsageCounter.updateOne({ ...reservation, generations: { $gt: 0 } }, { $inc: { generations: -1 } });
+}
+
+/**
+ * Record a successful generation request in the usage ledger
+ */
+async function recordGeneration(subject, { endpoint, book } = {}) {
+    return UsageRecord.create({
+        ...subject,
+        endpoint,
+        ...(book && { book }),
+        kind: 'generation'
+    });
+}
+
+/**
+ * A user's usage: today against the quotas, a per-day history, and where it went
+ * @param {object} subject - From getSubject()
+ * @param {object} options - { days: history length (default 7, max 90) }
+ */
+async function getUsageSummary(subject, options = {}) {
+    const days = Math.min(Math.max(parseInt(options.days, 10) || 7, 1), 90);
+    const since = new Date(startOfUtcDay().getTime() - (days - 1) * DAY_MS);
+    const match = { ...subjectFilter(subject), createdAt: { $gte: since } };
+
+    const [quota, daily, byProvider, byBook] = await Promise.all([
+        checkQuota(subject),
+        UsageRecord.aggregate([
+            { $match: match },
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, ...TOTALS_GROUP } },
+            { $sort: { _id: 1 } }
+        ]),
+        UsageRecord.aggregate([
+            { $match: { ...match, kind: { $ne: 'generation' } } },
+            {
+                $group: {
+                    _id: { kind: '$kind', provider: '$provider', model: '$model' },
+                    calls: { $sum: 1 },
+                    cachedCalls: { $sum: { $cond: ['$cached', 1, 0] } },
+                    inputTokens: { $sum: '$inputTokens' },
+                    outputTokens: { $sum: '$outputTokens' },
+                    images: { $sum: '$images' },
+                    characters: { $sum: '$characters' },
+                    costUsd: { $sum: '$costUsd' }
+                }
+            },
+            { $sort: { costUsd: -1 } }
+        ]),
+        UsageRecord.aggregate([
+            { $match: { ...match, book: { $ne: null } } },
+            { $group: { _id: '$book', ...TOTALS_GROUP } },
+            { $sort: { costUsd: -1 } },
+            { $limit: 20 }
+        ])
+    ]);
+
+    // Infinity (unlimited) doesn't survive JSON, report it as null
+    const limits = Object.fromEntries(Object.entries(quota.limits)
+        .map(([name, limit]) => [name, Number.isFinite(limit) ? limit : null]));
+    const remaining = Object.fromEntries(Object.entries(quota.limits)
+        .map(([name, limit]) => [name, Number.isFinite(limit) ? Math.round(Math.max(limit - quota.totals[name], 0) * 1e4) / 1e4 : null]));
+
+    return {
+        today: quota.totals,
+        limits,
+        remaining,
+        resetsAt: quota.resetsAt,
+        daily: daily.map(({ _id, ...totals }) => ({ date: _id, ...roundCost(totals) })),
+        byProvider: byProvider.map(({ _id, ...totals }) => ({ ..._id, ...roundCost(totals) })),
+        byBook: byBook.map(({ _id, ...totals }) => ({ book: _id, ...roundCost(totals) }))
+    };
+}
+
+module.exports = {
+    QUOTAS,
+    startLedger,
+    runWithUsage,
+    getSubject,
+    checkQuota,
+    reserveGeneration,
+    releaseGeneration,
+    recordGeneration,
+    getUsageSummary
+};
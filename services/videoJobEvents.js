@@ -0,0 +1,80 @@
+const { EventEmitter } = require('events');
+
+// Events kept per book so reconnecting clients can catch up via Last-Event-ID
+const REPLAY_BUFFER_SIZE = 100;
+// How long a finished book's events stay replayable
+const RETENTION_MS = 5 * 60 * 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffers = new Map();
+let lastEventId = 0;
+
+/**
+ * Event ids are time-based so they keep increasing across server restarts
+ */
+function nextEventId() {
+    lastEventId = Math.max(Date.now(), lastEventId + 1);
+    return lastEventId;
+}
+
+/**
+ * Publish a video event for a book
+ * @param {string} bookId - Book the event belongs to
+ * @param {string} type - 'status' | 'progress'
+ * @param {object} data - Event payload
+ * @returns {object} - The published event { id, type, data }
+ */
+function publish(bookId, type, data) {
+    const key = bookId.toString();
+    const event = { id: nextEventId(), type, data };
+
+    const buffer = buffers.get(key) || [];
+    buffer.push(event);
+    if (buffer.length > REPLAY_BUFFER_SIZE) buffer.shift();
+    buffers.set(key, buffer);
+
+    emitter.emit(key, event);
+    return event;
+}
+
+/**
+ * Subscribe to a book's events
+ * @returns {Function} - Call to unsubscribe
+ */
+function subscribe(bookId, listener) {
+    const key = bookId.toString();
+    emitter.on(key, listener);
+    return () => emitter.off(key, listener);
+}
+
+/**
+ * Events published after the given id, or null if the buffer no longer reaches back that far
+ */
+function getEventsSince(bookId, eventId) {
+    const buffer = buffers.get(bookId.toString()) || [];
+    const since = Number(eventId);
+    if (!Number.isFinite(since) || buffer.length === 0 || buffer[0].id > since) return null;
+    return buffer.filter((e) => e.id > since);
+}
+
+/**
+ * Drop a book's buffered events after the retention window, once its generation has settled
+ */
+function expire(bookId) {
+    const key = bookId.toString();
+    const timer = setTimeout(() => {
+        // Keep the buffer if a newer generation has started publishing since
+        const buffer = buffers.get(key);
+        if (buffer && Date.now() - buffer[buffer.length - 1].id >= RETENTION_MS) buffers.delete(key);
+    }, RETENTION_MS);
+    timer.unref();
+}
+
+module.exports = {
+    publish,
+    subscribe,
+    getEventsSince,
+    expire
+};
@@ -0,0 +1,466 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Book = require('../models/bookModel');
+const VideoJob = require('../models/videoJobModel');
+const cloudinaryService = require('./cloudinaryService');
+const videoJobEvents = require('./videoJobEvents');
+const usageService = require('./usageService');
+
+const POLL_INTERVAL_MS = Number(process.env.VIDEO_JOB_POLL_INTERVAL_MS) || 5000;
+const LEASE_MS = Number(process.env.VIDEO_JOB_LEASE_MS) || 2 * 60 * 1000;
+const HEARTBEAT_MS = Math.floor(LEASE_MS / 3);
+const MAX_ATTEMPTS = Number(process.env.VIDEO_JOB_MAX_ATTEMPTS) || 3;
+const BACKOFF_BASE_MS = Number(process.env.VIDEO_JOB_BACKOFF_MS) || 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+const PROGRESS_SAVE_INTERVAL_MS = 2000;
+
+// Output formats produced for a book when the job doesn't ask for specific ones.
+// Each extra one is another encode and upload, so square, landscape, gif and webp are opt-in.
+const DEFAULT_RENDITIONS = (process.env.VIDEO_RENDITIONS || 'portrait,poster')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// AI Services - loaded dynamically since they use ES modules
+let aiServices = null;
+
+async function getAIServices() {
+    if (aiServices) return aiServices;
+
+    const bookVideoPipeline = await import('../ai-service/services/bookVideoPipeline.js');
+    aiServices = {
+        generateVideoFromSummary: bookVideoPipeline.generateVideoFromSummary,
+        cleanupVideo: bookVideoPipeline.cleanupVideo,
+    };
+    return aiServices;
+}
+
+/**
+ * Publish a videoStatus transition to stream subscribers
+ */
+function publishStatus(bookId, videoStatus, job, extra = {}) {
+    videoJobEvents.publish(bookId, 'status', {
+        bookId,
+        videoStatus,
+        jobId: job?._id,
+        attempts: job?.attempts,
+        maxAttempts: job?.maxAttempts,
+        ...extra
+    });
+
+    if (videoStatus === 'completed' || videoStatus === 'failed') {
+        videoJobEvents.expire(bookId);
+    }
+}
+
+/**
+ * Queue a video generation job for a book
+ * Any jobs still waiting or running for the same book are superseded by the new one;
+ * a running one loses its lease, so its result is discarded.
+ * @param {string} bookId - Book to generate the video for
+ * @param {object} params - Pipeline parameters (summary, title, aesthetic, voiceType, numImages, burnCaptions, renditions)
+ * @param {object} options - { requestedBy, maxAttempts }
+ * @returns {Promise<object>} - The created VideoJob document
+ */
+async function enqueueVideoJob(bookId, params, options = {}) {
+    const { requestedBy, maxAttempts = MAX_ATTEMPTS } = options;
+
+    await VideoJob.updateMany(
+        { book: bookId, status: { $in: ['queued', 'running'] } },
+        { $set: { status: 'cancelled', finishedAt: new Date(), lastError: 'Superseded by a newer job', lockedBy: null, leaseExpiresAt: null } }
+    );
+
+    const job = await VideoJob.create({
+        book: bookId,
+        requestedBy,
+        params,
+        maxAttempts,
+        runAt: new Date()
+    });
+
+    await Book.findByIdAndUpdate(bookId, { videoStatus: 'pending', videoError: '' });
+    publishStatus(bookId, 'pending', job);
+
+    console.log(`📥 Video job queued: ${job._id} (book ${bookId})`);
+    return job;
+}
+
+/**
+ * Atomically claim the next runnable job and take a lease on it
+ * @returns {Promise<object|null>}
+ */
+async function claimNextJob() {
+    const now = new Date();
+    return VideoJob.findOneAndUpdate(
+        { status: 'queued', runAt: { $lte: now } },
+        {
+            $set: {
+                status: 'running',
+                lockedBy: WORKER_ID,
+                leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+                heartbeatAt: now,
+                startedAt: now,
+                progress: { stage: '', step: 0, percent: 0, message: '', updatedAt: now }
+            },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1, createdAt: 1 }, new: true }
+    );
+}
+
+/**
+ * Extend the lease on a running job
+ * @returns {Promise<boolean>} - false if the lease was lost to another worker
+ */
+async function heartbeat(jobId) {
+    const now = new Date();
+    const result = await VideoJob.updateOne(
+        { _id: jobId, status: 'running', lockedBy: WORKER_ID },
+        { $set: { heartbeatAt: now, leaseExpiresAt: new Date(now.getTime() + LEASE_MS) } }
+    );
+    return result.matchedCount > 0;
+}
+
+/**
+ * Delay before the next attempt, doubling per attempt
+ */
+function getBackoffDelay(attempts) {
+    return Math.min(BACKOFF_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), BACKOFF_MAX_MS);
+}
+
+/**
+ * Put a job back in the queue with backoff, or mark it failed once attempts are exhausted.
+ * Only while `lockedBy` still holds it: a job superseded or recovered by another worker is left alone.
+ * @returns {Promise<boolean>} - false if the job was no longer held
+ */
+async function failOrRetryJob(job, errorMessage, lockedBy) {
+    const now = new Date();
+    const held = { _id: job._id, status: 'running', lockedBy };
+
+    if (job.attempts >= job.maxAttempts) {
+        const failed = await VideoJob.updateOne(
+            held,
+            { $set: { status: 'failed', lastError: errorMessage, finishedAt: now, lockedBy: null, leaseExpiresAt: null } }
+        );
+        if (failed.matchedCount === 0) return false;
+
+        await Book.findByIdAndUpdate(job.book, { videoStatus: 'failed', videoError: errorMessage });
+        publishStatus(job.book, 'failed', job, { videoError: errorMessage });
+        console.error(`❌ Video job ${job._id} failed after ${job.attempts} attempts: ${errorMessage}`);
+        return true;
+    }
+
+    const delay = getBackoffDelay(job.attempts);
+    const runAt = new Date(now.getTime() + delay);
+    const requeued = await VideoJob.updateOne(
+        held,
+        { $set: { status: 'queued', lastError: errorMessage, runAt, lockedBy: null, leaseExpiresAt: null } }
+    );
+    if (requeued.matchedCount === 0) return false;
+
+    await Book.findByIdAndUpdate(job.book, { videoStatus: 'pending', videoError: errorMessage });
+    publishStatus(job.book, 'pending', job, { videoError: errorMessage, nextAttemptAt: runAt });
+    console.warn(`🔁 Video job ${job._id} attempt ${job.attempts} failed, retrying in ${Math.round(delay / 1000)}s: ${errorMessage}`);
+    return true;
+}
+
+/**
+ * Requeue (or fail) running jobs whose worker stopped heartbeating
+ * @returns {Promise<number>} - Number of recovered jobs
+ */
+async function recoverStaleJobs() {
+    const staleJobs = await VideoJob.find({
+        status: 'running',
+        leaseExpiresAt: { $lt: new Date() }
+    });
+
+    let recovered = 0;
+    for (const job of staleJobs) {
+        // Conditional on the old holder, so only one worker recovers it
+        if (await failOrRetryJob(job, 'Worker lease expired before the job finished', job.lockedBy)) {
+            console.warn(`⏰ Recovered stale video job ${job._id} (was held by ${job.lockedBy})`);
+            recovered++;
+        }
+    }
+
+    return recovered;
+}
+
+/**
+ * Relay pipeline progress to stream subscribers and persist it on the job.
+ * Writes are throttled, except when the pipeline moves to a new stage.
+ * Stops once the lease is lost, so a superseded job doesn't talk over its replacement.
+ */
+function createProgressHandler(job, lease) {
+    let lastStage = null;
+    let lastSavedAt = 0;
+
+    return ({ step, stage, message, progress }) => {
+        if (!lease.held) return;
+        videoJobEvents.publish(job.book, 'progress', { bookId: job.book, jobId: job._id, step, stage, message, progress });
+
+        const now = Date.now();
+        if (stage === lastStage && now - lastSavedAt < PROGRESS_SAVE_INTERVAL_MS) return;
+        lastStage = stage;
+        lastSavedAt = now;
+
+        VideoJob.updateOne(
+            { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+            { $set: { progress: { stage, step, percent: progress, message, updatedAt: new Date(now) } } }
+        ).catch((err) => console.warn(`⚠️ Could not save progress for video job ${job._id}:`, err.message));
+    };
+}
+
+/**
+ * Store one rendition: upload it to Cloudinary when configured, otherwise
+ * (or if the upload fails) serve it from local storage
+ */
+async function storeRendition(rendition, bookId, isMaster, services) {
+    const stored = {
+        name: rendition.name,
+        kind: rendition.kind,
+        format: rendition.format,
+        width: rendition.width,
+        height: rendition.height
+    };
+
+    if (cloudinaryService.isConfigured()) {
+        console.log(`☁️ Uploading ${rendition.name} to Cloudinary...`);
+
+        // The same public IDs every run, so a regenerated video replaces the old renditions
+        const publicId = isMaster ? `book_${bookId}` : `book_${bookId}_${rendition.name}`;
+        const uploadOptions = { folder: 'booktok-videos', publicId, overwrite: true };
+        const uploadResult = rendition.kind === 'video'
+            ? await cloudinaryService.uploadVideo(rendition.path, uploadOptions)
+            : await cloudinaryService.uploadImage(rendition.path, uploadOptions);
+
+        if (uploadResult.success) {
+            // Clean up local file after successful upload
+            try {
+                await services.cleanupVideo(rendition.path);
+            } catch (e) {
+                console.log(`⚠️ Could not clean up local file: ${e.message}`);
+            }
+            return { ...stored, url: uploadResult.url, cloudinaryPublicId: uploadResult.publicId };
+        }
+
+        console.log(`⚠️ Cloudinary upload failed for ${rendition.name}, using local URL`);
+    }
+
+    return { ...stored, url: `/videos/${path.basename(rendition.path)}` };
+}
+
+/**
+ * Store a caption sidecar next to the video: on Cloudinary when configured,
+ * otherwise (or if the upload fails) in local storage
+ */
+async function storeCaptionFile(filePath, bookId, services) {
+    if (cloudinaryService.isConfigured()) {
+        // The same public ID every run, so a regenerated video's captions replace the old ones
+        const publicId = `book_${bookId}_captions`;
+        const uploadResult = await cloudinaryService.uploadRawFile(filePath, { folder: 'booktok-videos', publicId, overwrite: true });
+
+        if (uploadResult.success) {
+            try {
+                await services.cleanupVideo(filePath);
+            } catch (e) {
+                console.log(`⚠️ Could not clean up local file: ${e.message}`);
+            }
+            return uploadResult.url;
+        }
+
+        console.log(`⚠️ Cloudinary upload failed for ${path.basename(filePath)}, using local URL`);
+    }
+
+    return `/videos/${path.basename(filePath)}`;
+}
+
+/**
+ * Run the pipeline for a claimed job and store the resulting video, its renditions and captions
+ */
+async function processVideoJob(job, lease) {
+    const bookId = job.book;
+    const { summary, title, aesthetic, voiceType, numImages, burnCaptions, renditions } = job.params;
+
+    console.log(`\n🎬 Starting video generation for book: ${bookId} (job ${job._id}, attempt ${job.attempts}/${job.maxAttempts})`);
+    await Book.findByIdAndUpdate(bookId, { videoStatus: 'generating' });
+    publishStatus(bookId, 'generating', job);
+
+    const services = await getAIServices();
+    // AI usage during the run is billed to whoever requested the job
+    const result = await usageService.runWithUsage(
+        { user: job.requestedBy, book: bookId, job: job._id, endpoint: 'video-job' },
+        () => services.generateVideoFromSummary({
+            summary,
+            title,
+            aesthetic,
+            voiceType,
+            numImages,
+            burnCaptions,
+            renditions: renditions?.length ? renditions : DEFAULT_RENDITIONS,
+            onProgress: createProgressHandler(job, lease)
+        })
+    );
+
+    if (!result.success) {
+        throw new Error(result.error || 'Video generation failed');
+    }
+
+    if (!cloudinaryService.isConfigured()) {
+        console.log(`📁 Cloudinary not configured, using local storage`);
+    }
+
+    const storedRenditions = [];
+    let videoUrl = `/videos/${path.basename(result.videoPath)}`;
+    let cloudinaryPublicId = null;
+
+    for (const rendition of result.renditions || []) {
+        const isMaster = rendition.path === result.videoPath;
+        const stored = await storeRendition(rendition, bookId, isMaster, services);
+        storedRenditions.push(stored);
+
+        if (isMaster) {
+            videoUrl = stored.url;
+            cloudinaryPublicId = stored.cloudinaryPublicId || null;
+        }
+    }
+
+    // Caption sidecars go wherever the video went, so players can load them from the same host
+    const captions = result.captionFiles ? {
+        vttUrl: await storeCaptionFile(result.captionFiles.vttPath, bookId, services),
+        srtUrl: await storeCaptionFile(result.captionFiles.srtPath, bookId, services)
+    } : { vttUrl: '', srtUrl: '' };
+
+    return { videoUrl, cloudinaryPublicId, captions, renditions: storedRenditions };
+}
+
+/**
+ * Claim and run a single job, if one is available
+ * @returns {Promise<boolean>} - true if a job was processed
+ */
+async function runNextJob() {
+    const job = await claimNextJob();
+    if (!job) return false;
+
+    const lease = { held: true };
+    const heartbeatTimer = setInterval(() => {
+        heartbeat(job._id)
+            .then((held) => {
+                if (!held && lease.held) console.warn(`⚠️ Lost lease on video job ${job._id}`);
+                lease.held = held;
+            })
+            .catch((err) => console.warn(`⚠️ Heartbeat failed for video job ${job._id}:`, err.message));
+    }, HEARTBEAT_MS);
+
+    try {
+        const { videoUrl, cloudinaryPublicId, captions, renditions } = await processVideoJob(job, lease);
+
+        const finished = await VideoJob.updateOne(
+            { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+            {
+                $set: {
+                    status: 'completed',
+                    finishedAt: new Date(),
+                    lastError: '',
+                    lockedBy: null,
+                    leaseExpiresAt: null,
+                    result: { videoUrl, cloudinaryPublicId, captions, renditions }
+                }
+            }
+        );
+        if (finished.matchedCount === 0) {
+            console.warn(`⚠️ Video job ${job._id} finished after its lease was lost, discarding result`);
+            return true;
+        }
+
+        await Book.findByIdAndUpdate(job.book, {
+            videoUrl,
+            captions,
+            renditions,
+            videoStatus: 'completed',
+            videoGeneratedAt: new Date(),
+            videoError: '',
+            ...(cloudinaryPublicId && { cloudinaryPublicId })
+        });
+        publishStatus(job.book, 'completed', job, { videoUrl, captions, renditions });
+
+        console.log(`✅ Video generated successfully for book: ${job.book}`);
+        console.log(`   Video URL: ${videoUrl}`);
+    } catch (error) {
+        console.error(`❌ Video generation failed for book ${job.book}:`, error.message);
+        if (!(await failOrRetryJob(job, error.message, WORKER_ID))) {
+            console.warn(`⚠️ Video job ${job._id} failed after it was superseded or its lease was lost, leaving it as is`);
+        }
+    } finally {
+        clearInterval(heartbeatTimer);
+    }
+
+    return true;
+}
+
+let workerTimer = null;
+let workerRunning = false;
+let currentTick = null;
+
+async function tick() {
+    try {
+        await recoverStaleJobs();
+        // Drain everything that is runnable before sleeping again
+        while (workerRunning && await runNextJob()) { /* keep going */ }
+    } catch (err) {
+        console.error('Video worker error:', err.message);
+    }
+}
+
+function scheduleTick() {
+    if (!workerRunning) return;
+    workerTimer = setTimeout(() => {
+        currentTick = tick().finally(() => {
+            currentTick = null;
+            scheduleTick();
+        });
+    }, POLL_INTERVAL_MS);
+}
+
+/**
+ * Start the background worker loop. Jobs left over from a previous run are picked up immediately.
+ */
+function startWorker() {
+    if (workerRunning) return;
+    workerRunning = true;
+
+    console.log(`👷 Video job worker started (${WORKER_ID})`);
+    currentTick = tick().finally(() => {
+        currentTick = null;
+        scheduleTick();
+    });
+}
+
+/**
+ * Stop the worker loop, waiting for the job in progress to settle
+ */
+async function stopWorker() {
+    workerRunning = false;
+    if (workerTimer) clearTimeout(workerTimer);
+    workerTimer = null;
+    if (currentTick) await currentTick;
+}
+
+/**
+ * Get the most recent job for a book
+ */
+async function getLatestJobForBook(bookId) {
+    return VideoJob.findOne({ book: bookId }).sort({ createdAt: -1 });
+}
+
+module.exports = {
+    enqueueVideoJob,
+    recoverStaleJobs,
+    runNextJob,
+    startWorker,
+    stopWorker,
+    getLatestJobForBook
+};